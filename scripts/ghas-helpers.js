@@ -1,15 +1,557 @@
 // Helper functions for GHAS enablement workflow
 const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
-const { execSync } = require('child_process');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * GHAS features that can be enabled on a repository, in the order they are applied.
+ * Advanced Security is always enabled first as the other features depend on it.
+ */
+const REPOSITORY_FEATURES = [
+  { key: 'advanced_security', label: 'Advanced Security', flag: null },
+  { key: 'secret_scanning', label: 'Secret Scanning', flag: 'enableSecretScanning' },
+  { key: 'secret_scanning_push_protection', label: 'Push Protection', flag: 'enablePushProtection', requires: 'secret_scanning' },
+  { key: 'secret_scanning_non_provider_patterns', label: 'Non-Provider Patterns', flag: 'enableNonProviderPatterns', requires: 'secret_scanning' },
+  { key: 'secret_scanning_validity_checks', label: 'Validity Checks', flag: 'enableValidityChecks', requires: 'secret_scanning' },
+  { key: 'code_scanning_default_setup', label: 'Code Scanning (default setup)', flag: 'enableCodeScanning' },
+  { key: 'dependabot_alerts', label: 'Dependabot Alerts', flag: 'enableDependabotAlerts' },
+  { key: 'dependabot_security_updates', label: 'Dependabot Security Updates', flag: 'enableDependabotSecurityUpdates', requires: 'dependabot_alerts' },
+  { key: 'private_vulnerability_reporting', label: 'Private Vulnerability Reporting', flag: 'enablePrivateVulnerabilityReporting' }
+];
+
+// Issue form options for each feature flag, as listed in the "GHAS Features" dropdown
+const FEATURE_OPTIONS = {
+  enableSecretScanning: 'Secret Scanning',
+  enablePushProtection: 'Secret Scanning Push Protection',
+  enableNonProviderPatterns: 'Secret Scanning Non-Provider Patterns',
+  enableValidityChecks: 'Secret Scanning Validity Checks',
+  enableCodeScanning: 'Code Scanning',
+  enableDependabotAlerts: 'Dependabot Alerts',
+  enableDependabotSecurityUpdates: 'Dependabot Security Updates',
+  enablePrivateVulnerabilityReporting: 'Private Vulnerability Reporting'
+};
+
+// Features toggled through their own endpoint, which answers GET with { enabled }
+const TOGGLE_ENDPOINT_FEATURES = {
+  dependabot_security_updates: 'automated-security-fixes',
+  private_vulnerability_reporting: 'private-vulnerability-reporting'
+};
+
+// Products licensed separately on enterprises billed per product, with the repository features that consume their seats
+const LICENSE_PRODUCTS = [
+  { key: 'secret_protection', label: 'Secret Protection', features: ['secret_scanning', 'secret_scanning_push_protection', 'secret_scanning_non_provider_patterns', 'secret_scanning_validity_checks'] },
+  { key: 'code_security', label: 'Code Security', features: ['code_scanning_default_setup'] }
+];
+
+// Enterprises on the combined GitHub Advanced Security license are checked as this single product
+const COMBINED_LICENSE_PRODUCT = { key: 'advanced_security', label: 'GitHub Advanced Security', features: [] };
+
+/**
+ * Returns the feature flags that are set, e.g. for logging or "no features selected" checks
+ * @param {Object} features - Feature selection flags (enableSecretScanning, enablePushProtection, ...)
+ * @returns {Array} REPOSITORY_FEATURES entries whose flag is set, in enablement order
+ */
+function getSelectedFeatures(features = {}) {
+  return REPOSITORY_FEATURES.filter(feature => feature.flag && features[feature.flag]);
+}
+
+// CodeQL languages analyzed by default setup, keyed by the repository languages GitHub detects
+const CODE_SCANNING_LANGUAGES = {
+  'C': 'c-cpp',
+  'C++': 'c-cpp',
+  'C#': 'csharp',
+  'Go': 'go',
+  'Java': 'java-kotlin',
+  'Kotlin': 'java-kotlin',
+  'JavaScript': 'javascript-typescript',
+  'TypeScript': 'javascript-typescript',
+  'Python': 'python',
+  'Ruby': 'ruby',
+  'Swift': 'swift'
+};
+
+// Other spellings accepted for default setup languages in requests and config.yaml
+const CODE_SCANNING_LANGUAGE_ALIASES = {
+  'c': 'c-cpp',
+  'cpp': 'c-cpp',
+  'c++': 'c-cpp',
+  'c#': 'csharp',
+  'java': 'java-kotlin',
+  'kotlin': 'java-kotlin',
+  'javascript': 'javascript-typescript',
+  'typescript': 'javascript-typescript',
+  'js': 'javascript-typescript',
+  'ts': 'javascript-typescript'
+};
+
+/**
+ * Default setup configuration used when neither the request nor config.yaml sets it
+ * An empty language list lets default setup analyze every supported language it detects.
+ */
+const DEFAULT_CODE_SCANNING_OPTIONS = {
+  querySuite: 'default',
+  languages: [],
+  runnerType: 'standard',
+  runnerLabel: null
+};
+
+/**
+ * Returns the REST API base URL for a GitHub hostname
+ * The api_url configured for the hostname in config.yaml wins; otherwise the URL is derived from the hostname.
+ * @param {string} hostname - GitHub hostname (github.com or a GHES hostname)
+ * @param {Object} config - Parsed config.yaml (optional, read with loadConfig when omitted)
+ * @returns {string} API base URL without a trailing slash
+ */
+function getApiBaseUrl(hostname, config) {
+  const configured = getConfiguredApiUrl(hostname, config);
+  if (configured) {
+    return configured;
+  }
+  return hostname === 'github.com' ? 'https://api.github.com' : `https://${hostname}/api/v3`;
+}
+
+/**
+ * Looks up the api_url configured for a hostname in the ghes_instances and ghec sections of config.yaml
+ * @param {string} hostname - GitHub hostname
+ * @param {Object} config - Parsed config.yaml (optional, read with loadConfig when omitted)
+ * @returns {string|null} Configured API URL without a trailing slash, or null when no entry matches
+ * @throws {Error} If config.yaml is invalid (see loadConfig)
+ */
+function getConfiguredApiUrl(hostname, config) {
+  const resolved = config || loadConfig();
+  const entries = [...(resolved.ghes_instances || []), ...(resolved.ghec ? [resolved.ghec] : [])];
+  for (const entry of entries) {
+    try {
+      if (new URL(entry.api_url).hostname.replace(/^api\./, '') === hostname) {
+        return entry.api_url.replace(/\/$/, '');
+      }
+    } catch (error) {
+      // Invalid API URLs are reported by validateConfig
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates the error thrown for unsuccessful API responses
+ * The message keeps the HTTP status so it stays readable in logs.
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} response - Response with status, headers and data
+ * @returns {Error} Error with status, headers and data properties
+ */
+function createApiError(method, path, response) {
+  const detail = response.data && response.data.message ? response.data.message : 'Request failed';
+  const error = new Error(`HTTP ${response.status}: ${detail} (${method} ${path})`);
+  error.status = response.status;
+  error.headers = response.headers;
+  error.data = response.data;
+  return error;
+}
+
+/**
+ * Parses a response body, returning null for empty bodies and raw text for non-JSON bodies
+ * @param {string} text - Response body
+ * @returns {*} Parsed body
+ */
+function parseResponseBody(text) {
+  if (!text || !text.trim()) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Creates a transport that sends requests to the REST API using fetch
+ * @param {Object} options - Transport options
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} options.token - Authentication token
+ * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+ * @returns {Function} Async send(method, path, body) returning { status, headers, data }
+ */
+function createRestTransport({ baseUrl, token, fetch: fetchImpl = globalThis.fetch }) {
+  return async (method, path, body) => {
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'ghas-issue-ops'
+    };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const responseHeaders = {};
+    response.headers.forEach((value, name) => {
+      responseHeaders[name.toLowerCase()] = value;
+    });
+
+    return {
+      status: response.status,
+      headers: responseHeaders,
+      data: parseResponseBody(await response.text())
+    };
+  };
+}
+
+/**
+ * Creates a transport that sends requests through the GitHub CLI (`gh api`)
+ * Arguments are passed without a shell, so org and repo names cannot alter the command.
+ * @param {Object} options - Transport options
+ * @param {string} options.hostname - GitHub hostname passed to --hostname
+ * @param {string} options.token - Authentication token
+ * @returns {Function} Async send(method, path, body) returning { status, headers, data }
+ */
+function createGhTransport({ hostname, token }) {
+  // GitHub.com uses GH_TOKEN, GHES instances use GH_ENTERPRISE_TOKEN
+  const tokenEnvVar = hostname === 'github.com' ? 'GH_TOKEN' : 'GH_ENTERPRISE_TOKEN';
+
+  return async (method, path, body) => {
+    const args = ['api', '-X', method, '-H', 'Accept: application/vnd.github+json', '--include', path, '--hostname', hostname];
+    if (body !== undefined) {
+      args.push('--input', '-');
+    }
+
+    let stdout;
+    try {
+      const child = execFileAsync('gh', args, {
+        env: { ...process.env, [tokenEnvVar]: token },
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024
+      });
+      // Always close stdin so gh never waits for input
+      child.child.stdin.end(body !== undefined ? JSON.stringify(body) : undefined);
+      ({ stdout } = await child);
+    } catch (error) {
+      // gh exits non-zero for HTTP errors but still prints the response with --include
+      if (!error.stdout || !/^HTTP\//.test(error.stdout)) {
+        throw error;
+      }
+      stdout = error.stdout;
+    }
+
+    // --include prints the status line and headers, a blank line, then the body
+    const separator = stdout.search(/\r?\n\r?\n/);
+    const head = separator === -1 ? stdout : stdout.slice(0, separator);
+    const bodyText = separator === -1 ? '' : stdout.slice(separator).trim();
+    const [statusLine, ...headerLines] = head.split(/\r?\n/);
+
+    const headers = {};
+    headerLines.forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+
+    return {
+      status: parseInt(statusLine.split(' ')[1], 10),
+      headers,
+      data: parseResponseBody(bodyText)
+    };
+  };
+}
+
+/**
+ * Default retry behaviour for API requests
+ * Secondary rate limits ask clients to wait at least a minute, so the base delay is generous.
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  serverErrorDelayMs: 2 * 1000
+};
+
+// Rate limit waits recorded across all clients, reported in the results comment
+const rateLimitEvents = [];
+
+// Per-hostname timestamps (ms) until which requests are paused after the quota ran out
+const rateLimitPauses = {};
+
+/**
+ * Resolves after the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Records a rate limit wait so it can be surfaced in logs and the results comment
+ * @param {Object} event - Event with hostname, method, path, waitSeconds and reason
+ */
+function recordRateLimitEvent(event) {
+  rateLimitEvents.push({ ...event, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Returns the rate limit waits recorded since the helpers were loaded (or last reset)
+ * @param {boolean} reset - Whether to clear the recorded events after reading them
+ * @returns {Array} Array of { hostname, method, path, waitSeconds, reason, timestamp }
+ */
+function getRateLimitEvents(reset = false) {
+  const events = rateLimitEvents.slice();
+  if (reset) {
+    rateLimitEvents.length = 0;
+  }
+  return events;
+}
+
+/**
+ * Determines whether a failed response should be retried and how long to wait
+ * Rate limits are recognised from 429 responses and from 403 responses that carry
+ * Retry-After, an exhausted X-RateLimit-Remaining, or a rate limit message.
+ * @param {Object} response - Response with status, headers and data
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Retry options
+ * @returns {Object|null} { delayMs, reason, rateLimited } or null when the error is not retryable
+ */
+function getRetryDelay(response, attempt, options) {
+  const { status, headers } = response;
+  const message = response.data && response.data.message ? response.data.message : '';
+  const jitter = Math.floor(Math.random() * 1000);
+
+  const isRateLimited = status === 429 ||
+    (status === 403 && (headers['retry-after'] !== undefined ||
+      headers['x-ratelimit-remaining'] === '0' ||
+      /rate limit/i.test(message)));
+
+  if (isRateLimited) {
+    let delayMs = NaN;
+    if (headers['retry-after'] !== undefined) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const retryAfter = String(headers['retry-after']).trim();
+      delayMs = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      delayMs = parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now();
+    }
+    // Unreadable headers fall back to exponential backoff instead of retrying immediately
+    if (Number.isNaN(delayMs)) {
+      delayMs = options.baseDelayMs * Math.pow(2, attempt);
+    }
+    const reason = /secondary/i.test(message) ? 'Secondary rate limit' : 'Rate limit';
+    return {
+      delayMs: Math.min(Math.max(delayMs, 0), options.maxDelayMs) + jitter,
+      reason,
+      rateLimited: true
+    };
+  }
+
+  if ([502, 503, 504].includes(status)) {
+    return {
+      delayMs: options.serverErrorDelayMs * Math.pow(2, attempt) + jitter,
+      reason: `Server error ${status}`,
+      rateLimited: false
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Creates a GitHub API client for a single hostname
+ * All helpers talk to GitHub through this client, so the backend can be swapped
+ * (REST over fetch, or the gh CLI) and pointed at a mock server in tests.
+ * Rate limited and transient server errors are retried with backoff and jitter.
+ * @param {Object} options - Client options
+ * @param {string} options.hostname - GitHub hostname (github.com or a GHES hostname)
+ * @param {string} options.token - Authentication token
+ * @param {string} options.transport - 'rest' (default) or 'gh'
+ * @param {string} options.baseUrl - REST API base URL, defaults to the hostname's API URL (see getApiBaseUrl)
+ * @param {Function} options.fetch - fetch implementation for the REST transport
+ * @param {Object} options.retry - Retry settings overriding DEFAULT_RETRY_OPTIONS
+ * @param {Function} options.sleep - Async delay function, replaceable in tests
+ * @returns {Object} Client with:
+ *   - hostname: The hostname the client talks to
+ *   - request(method, path, body): Resolves to { status, headers, data }, rejects with an error carrying `status` for HTTP errors
+ *   - paginate(path, options): Resolves to all items across pages; options.itemsKey selects the array in object responses
+ */
+function createApiClient({ hostname, token, transport = 'rest', baseUrl, fetch, retry = {}, sleep = delay } = {}) {
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...retry };
+  const resolvedBaseUrl = (baseUrl || getApiBaseUrl(hostname)).replace(/\/$/, '');
+  let send;
+  if (transport === 'gh') {
+    send = createGhTransport({ hostname, token });
+  } else if (transport === 'rest') {
+    send = createRestTransport({ baseUrl: resolvedBaseUrl, token, fetch });
+  } else {
+    throw new Error(`Unknown API transport '${transport}'. Expected 'rest' or 'gh'.`);
+  }
+
+  const request = async (method, path, body) => {
+    for (let attempt = 0; ; attempt++) {
+      // Honour a rate limit reset announced by an earlier response on this hostname
+      const pausedUntil = rateLimitPauses[hostname] || 0;
+      if (pausedUntil > Date.now()) {
+        const waitMs = pausedUntil - Date.now();
+        console.log(`⏳ Rate limit exhausted on ${hostname}, waiting ${Math.ceil(waitMs / 1000)} seconds for reset`);
+        await sleep(waitMs);
+        recordRateLimitEvent({ hostname, method, path, waitSeconds: Math.ceil(waitMs / 1000), reason: 'primary rate limit reset' });
+      }
+
+      const response = await send(method, path, body);
+
+      // Pause further requests until the reset time once the remaining quota reaches zero
+      if (response.headers['x-ratelimit-remaining'] === '0' && response.headers['x-ratelimit-reset']) {
+        rateLimitPauses[hostname] = parseInt(response.headers['x-ratelimit-reset'], 10) * 1000;
+      }
+
+      if (response.status < 400) {
+        return response;
+      }
+
+      const retry = getRetryDelay(response, attempt, retryOptions);
+      if (!retry) {
+        throw createApiError(method, path, response);
+      }
+      if (attempt >= retryOptions.maxRetries) {
+        const error = createApiError(method, path, response);
+        error.rateLimited = retry.rateLimited;
+        error.message = retry.rateLimited
+          ? `Rate limited by ${hostname}; gave up after ${attempt} retries (${method} ${path})`
+          : error.message;
+        throw error;
+      }
+
+      const waitSeconds = Math.ceil(retry.delayMs / 1000);
+      console.log(`⏳ ${retry.reason} on ${hostname} (${method} ${path}), retrying in ${waitSeconds} seconds (attempt ${attempt + 1}/${retryOptions.maxRetries})`);
+      await sleep(retry.delayMs);
+      if (retry.rateLimited) {
+        recordRateLimitEvent({ hostname, method, path, waitSeconds, reason: retry.reason });
+        console.log(`▶️ Rate limited, resumed after ${waitSeconds} seconds`);
+      }
+    }
+  };
+
+  const paginate = async (path, { itemsKey } = {}) => {
+    const items = [];
+    let nextPath = path;
+    while (nextPath) {
+      const { headers, data } = await request('GET', nextPath);
+      const pageItems = itemsKey ? (data && data[itemsKey]) : data;
+      if (!Array.isArray(pageItems)) {
+        throw new Error(`Invalid response format from API for ${path}`);
+      }
+      items.push(...pageItems);
+
+      // Follow the rel="next" link, keeping only the path relative to the API base URL
+      const nextLink = (headers.link || '').split(',').find(part => /rel="next"/.test(part));
+      const nextUrl = nextLink ? nextLink.match(/<([^>]+)>/)[1] : null;
+      if (!nextUrl) {
+        nextPath = null;
+      } else if (nextUrl.startsWith(resolvedBaseUrl)) {
+        nextPath = nextUrl.slice(resolvedBaseUrl.length);
+      } else {
+        nextPath = nextUrl.replace(/^https?:\/\/[^/]+/, '').replace(/^\/api\/v3/, '');
+      }
+    }
+    return items;
+  };
+
+  return { hostname, request, paginate };
+}
+
+// Factory used by every helper to obtain an API client; replaceable with setApiClientFactory
+let apiClientFactory = createApiClient;
+
+/**
+ * Replaces the factory used by the helpers to create API clients
+ * Useful for pointing the helpers at a mock server or injecting a custom backend.
+ * @param {Function} factory - Function receiving { hostname, token, transport, baseUrl } and returning a client, or null to restore the default
+ */
+function setApiClientFactory(factory) {
+  apiClientFactory = factory || createApiClient;
+}
+
+/**
+ * Returns an API client for a hostname using the configured factory
+ * The transport defaults to REST and can be switched to the gh CLI with GHAS_API_TRANSPORT=gh.
+ * REST requests go to the api_url configured for the hostname in config.yaml.
+ * @param {string} hostname - GitHub hostname
+ * @param {string} token - Authentication token
+ * @returns {Object} API client
+ */
+function getApiClient(hostname, token) {
+  return apiClientFactory({
+    hostname,
+    token,
+    transport: process.env.GHAS_API_TRANSPORT || 'rest',
+    baseUrl: getApiBaseUrl(hostname)
+  });
+}
+
+/**
+ * Default committer lookback window and branch scope for license estimation
+ * GHAS billing counts committers active in the last 90 days on any branch. Only the default branch is
+ * read by default, as listing every branch costs a request per branch; this is an approximation that
+ * can under-estimate, since committers who only push to other branches are missed. Use 'all' for the
+ * billing count.
+ */
+const DEFAULT_LOOKBACK_DAYS = 90;
+const DEFAULT_BRANCH_SCOPE = 'default';
+
+/**
+ * Normalizes a branch scope setting from config.yaml or the issue form
+ * @param {string|Array} scope - 'default', 'all', a comma separated list of branch patterns, or an array of patterns
+ * @returns {Object} { mode: 'default' | 'all' | 'patterns', patterns: Array }
+ */
+function normalizeBranchScope(scope) {
+  if (Array.isArray(scope)) {
+    const patterns = scope.map(pattern => String(pattern).trim()).filter(Boolean);
+    return patterns.length > 0 ? { mode: 'patterns', patterns } : { mode: 'default', patterns: [] };
+  }
+  const value = (scope || DEFAULT_BRANCH_SCOPE).toString().trim();
+  if (value.toLowerCase() === 'default' || value === '') {
+    return { mode: 'default', patterns: [] };
+  }
+  if (value.toLowerCase() === 'all') {
+    return { mode: 'all', patterns: [] };
+  }
+  return normalizeBranchScope(value.split(','));
+}
+
+/**
+ * Describes a committer analysis policy for logs and the results comment
+ * @param {Object} policy - { lookbackDays, branchScope } with a normalized branch scope
+ * @returns {string} Human readable description
+ */
+function describeCommitterPolicy(policy) {
+  const { mode, patterns } = policy.branchScope;
+  const branches = mode === 'all'
+    ? 'all branches'
+    : mode === 'patterns' ? `branches matching ${patterns.map(pattern => `\`${pattern}\``).join(', ')}` : 'the default branch only';
+  return `commits from the last ${policy.lookbackDays} days on ${branches}`;
+}
 
 /**
- * Fetches unique committers from a repository over the last 90 days
+ * Fetches unique committer identities from a repository over the lookback window
+ * Each commit contributes its author and committer, including the linked GitHub
+ * login and account type when GitHub could match the email to a user.
  * @param {string} repoUrl - Repository URL
  * @param {string} token - Authentication token
- * @returns {Array} Array of committer emails
+ * @param {Object} options - Analysis options (optional)
+ * @param {number} options.lookbackDays - Number of days of commits to analyze (default 90)
+ * @param {string|Array|Object} options.branchScope - Branch scope, see normalizeBranchScope (default: default branch only)
+ * @returns {Promise<Array>} Array of { login, email, name, type } identities (login and type may be null)
  */
-function fetchRepoCommitters(repoUrl, token) {
+async function fetchRepoCommitters(repoUrl, token, options = {}) {
   try {
     // Parse the URL to extract components
     const url = new URL(repoUrl);
@@ -27,54 +569,69 @@ function fetchRepoCommitters(repoUrl, token) {
     
     console.log(`Fetching committers for repository: ${org}/${repo} from ${hostname}`);
     
-    // Calculate date 90 days ago for commit search
-    const ninetyDaysAgo = new Date();
-    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-    const sinceDate = ninetyDaysAgo.toISOString().split('T')[0]; // YYYY-MM-DD format
+    const lookbackDays = options.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+    const branchScope = options.branchScope && options.branchScope.mode
+      ? options.branchScope
+      : normalizeBranchScope(options.branchScope);
     
-    // Use GitHub CLI to fetch commits from the last 90 days
-    // Note: This will paginate to get up to 1000 commits from the last 90 days
-    const cmd = `gh api -H "Accept: application/vnd.github+json" "/repos/${org}/${repo}/commits?since=${sinceDate}&per_page=100" --hostname "${hostname}" --paginate`;
+    // Calculate the start of the lookback window for commit search
+    const windowStart = new Date();
+    windowStart.setDate(windowStart.getDate() - lookbackDays);
+    const sinceDate = windowStart.toISOString().split('T')[0]; // YYYY-MM-DD format
     
     try {
-      // Determine the correct environment variable based on hostname
-      // GitHub.com uses GH_TOKEN, GHES instances use GH_ENTERPRISE_TOKEN
-      const isGitHubDotCom = hostname === 'github.com';
-      const tokenEnvVar = isGitHubDotCom ? 'GH_TOKEN' : 'GH_ENTERPRISE_TOKEN';
-      
-      const execEnv = { 
-        ...process.env,
-        [tokenEnvVar]: token
-      };
+      const client = getApiClient(hostname, token);
+      const repoPath = `/repos/${encodeURIComponent(org)}/${encodeURIComponent(repo)}`;
       
-      const commitsDataRaw = execSync(cmd, {
-        env: execEnv,
-        encoding: 'utf8'
-      });
+      // Determine which branches to analyze; null means the default branch
+      let branches = [null];
+      if (branchScope.mode !== 'default') {
+        const allBranches = (await client.paginate(`${repoPath}/branches?per_page=100`)).map(branch => branch.name);
+        branches = branchScope.mode === 'all'
+          ? allBranches
+          : allBranches.filter(name => findMatchingPattern(name, branchScope.patterns));
+        console.log(`Analyzing ${branches.length} of ${allBranches.length} branches in ${org}/${repo}`);
+      }
       
-      // Parse commits and extract unique committer emails
-      const commits = JSON.parse(commitsDataRaw);
-      const committers = new Set();
+      // Paginate through all commits in the lookback window, de-duplicating commits shared between branches
+      const commitsBySha = new Map();
+      for (const branch of branches) {
+        const shaParam = branch ? `&sha=${encodeURIComponent(branch)}` : '';
+        const branchCommits = await client.paginate(`${repoPath}/commits?since=${sinceDate}&per_page=100${shaParam}`);
+        branchCommits.forEach(commit => commitsBySha.set(commit.sha, commit));
+      }
+      const commits = Array.from(commitsBySha.values());
       
-      if (Array.isArray(commits)) {
-        commits.forEach(commit => {
-          if (commit.commit && commit.commit.author && commit.commit.author.email) {
-            committers.add(commit.commit.author.email.toLowerCase());
-          }
-          if (commit.commit && commit.commit.committer && commit.commit.committer.email) {
-            committers.add(commit.commit.committer.email.toLowerCase());
+      // Extract unique author and committer identities
+      const committers = new Map();
+      commits.forEach(commit => {
+        for (const role of ['author', 'committer']) {
+          const gitIdentity = commit.commit && commit.commit[role];
+          if (!gitIdentity || !gitIdentity.email) {
+            continue;
           }
-        });
-      } else {
-        console.error(`Invalid response format when fetching commits for ${org}/${repo}`);
-      }
+          const user = commit[role] || null;
+          const identity = {
+            login: user && user.login ? user.login.toLowerCase() : null,
+            email: gitIdentity.email.toLowerCase(),
+            name: gitIdentity.name || null,
+            type: user && user.type ? user.type : null
+          };
+          committers.set(`${identity.login || ''}|${identity.email}`, identity);
+        }
+      });
       
-      return Array.from(committers);
+      return Array.from(committers.values());
     } catch (error) {
-      if (error.message.includes('404')) {
+      if (error.rateLimited) {
+        console.error(`Rate limit retries exhausted when fetching commits for ${org}/${repo}`);
+      } else if (error.status === 404) {
         console.error(`Repository not found or no access: ${org}/${repo}`);
-      } else if (error.message.includes('403')) {
+      } else if (error.status === 403) {
         console.error(`Permission denied when fetching commits for ${org}/${repo}`);
+      } else if (error.status === 409) {
+        // GitHub responds with 409 Conflict for empty repositories
+        console.log(`Repository ${org}/${repo} is empty, no committers found`);
       } else {
         console.error(`Error fetching commits for ${org}/${repo}:`, error.message);
       }
@@ -87,113 +644,483 @@ function fetchRepoCommitters(repoUrl, token) {
 }
 
 /**
- * Fetch all unique committers across multiple repositories over the last 90 days
- * @param {Array} repositories - Array of repository URLs
- * @param {Object} tokensByHostname - Map of hostnames to authentication tokens
- * @returns {Array} Array of unique committer emails
+ * Logins of automation accounts that never consume a GHAS license
  */
-function getAllUniqueCommitters(repositories, tokensByHostname) {
-  const allCommitters = new Set();
-  
-  for (const repoUrl of repositories) {
-    try {
-      const hostname = new URL(repoUrl).hostname;
-      const token = tokensByHostname[hostname];
-      
-      if (!token) {
-        console.error(`No token found for hostname ${hostname}`);
-        continue;
-      }
-      
-      const repoCommitters = fetchRepoCommitters(repoUrl, token);
-      repoCommitters.forEach(committer => allCommitters.add(committer));
-      
-      console.log(`Found ${repoCommitters.length} committers in ${repoUrl}`);
-    } catch (error) {
-      console.error(`Error processing repository ${repoUrl}:`, error.message);
-    }
+const KNOWN_BOT_LOGINS = ['dependabot', 'github-actions', 'web-flow', 'renovate', 'copilot-swe-agent'];
+
+/**
+ * Converts a glob (`*`, `?`) or `/regex/flags` pattern into a RegExp
+ * Globs are matched case-insensitively against the whole value.
+ * @param {string} pattern - Glob or regex pattern
+ * @returns {RegExp} Regular expression for the pattern
+ */
+function patternToRegExp(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
   }
-  
-  return Array.from(allCommitters);
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
 }
 
 /**
- * Fetches all repositories for a given organization URL
- * @param {string} orgUrl - The URL of the organization
- * @param {string} token - The token for authentication
- * @returns {Object} Object with success flag, repositories array, and error info
+ * Checks whether a value matches any of the given glob or regex patterns
+ * @param {string} value - Value to test
+ * @param {Array} patterns - Glob or regex patterns
+ * @returns {string|null} The first matching pattern, or null
  */
-function fetchOrganizationRepos(orgUrl, token) {
-  try {
-    // Parse the URL to extract components
-    const url = new URL(orgUrl);
-    const hostname = url.hostname;
-    
-    // Extract org name from path (remove leading slash)
-    const orgPath = url.pathname.replace(/^\//, '');
-    
-    if (!orgPath) {
-      console.error(`Invalid organization URL: ${orgUrl}. Could not extract organization name.`);
-      return {
-        success: false,
-        repositories: [],
-        error: 'Could not extract organization name from URL'
-      };
-    }
+function findMatchingPattern(value, patterns = []) {
+  if (!value) {
+    return null;
+  }
+  return patterns.find(pattern => patternToRegExp(String(pattern)).test(value)) || null;
+}
 
-    console.log(`🔍 DEBUG: Fetching repositories for organization: ${orgPath} from ${hostname}`);
-    console.log(`🔍 DEBUG: Using token: ${token ? token.substring(0, 8) + '...' : 'NO_TOKEN'}`);
-    
-    if (!token) {
-      console.error(`❌ No authentication token provided for ${hostname}`);
-      console.error(`   Cannot fetch repositories from organization: ${orgPath}`);
-      return {
-        success: false,
-        repositories: [],
-        error: 'No authentication token provided'
-      };
+/**
+ * Extracts the login from a GitHub noreply address
+ * Handles both `login@users.noreply.<host>` and `12345+login@users.noreply.<host>`.
+ * @param {string} email - Email address
+ * @returns {string|null} Login in lowercase, or null if the address is not a noreply address
+ */
+function loginFromNoreplyEmail(email) {
+  const match = /^(?:\d+\+)?([^@]+)@users\.noreply\./i.exec(email || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Resolves raw commit identities into the people that would consume GHAS licenses
+ * - Commits linked to a GitHub user are keyed by login; unlinked commits using an
+ *   email that is linked elsewhere, or a noreply address, are folded into that login
+ * - Configured aliases fold additional emails or logins into one canonical login
+ * - Bots (`[bot]` logins, Bot accounts, known automation accounts) and configured
+ *   exclude patterns are removed
+ * @param {Array} identities - Identities returned by fetchRepoCommitters
+ * @param {Object} options - Resolution options (optional)
+ * @param {boolean} options.excludeBots - Whether to exclude bot accounts (default true)
+ * @param {Array} options.excludePatterns - Glob or regex patterns matched against logins and emails
+ * @param {Object} options.aliases - Map of canonical login to an array of alias emails or logins
+ * @returns {Object} Object containing:
+ *   - committers: Array of { id, login, emails } where id is the login, or the email when no login is known
+ *   - merged: Array of { id, identifiers, reason } for committers that were folded together
+ *   - excluded: Array of { identifier, reason } for identities that do not consume licenses
+ */
+function resolveCommitterIdentities(identities, options = {}) {
+  const { excludeBots = true, excludePatterns = [], aliases = {} } = options;
+  
+  // Map every configured alias to its canonical login
+  const aliasToCanonical = {};
+  Object.entries(aliases || {}).forEach(([canonical, aliasList]) => {
+    (aliasList || []).forEach(alias => {
+      aliasToCanonical[String(alias).toLowerCase()] = canonical.toLowerCase();
+    });
+  });
+  
+  // Learn which emails belong to which login from commits GitHub could link to a user
+  const emailToLogin = {};
+  identities.forEach(identity => {
+    if (identity.login && identity.email) {
+      emailToLogin[identity.email] = identity.login;
     }
+  });
+  
+  const committers = new Map();
+  const mergeReasons = new Map();
+  const excluded = new Map();
+  
+  identities.forEach(identity => {
+    const email = identity.email ? identity.email.toLowerCase() : null;
+    const noreplyLogin = loginFromNoreplyEmail(email);
+    let login = identity.login || null;
+    let reason = null;
     
-    // Use GitHub CLI to fetch repositories with pagination
-    // The --paginate flag automatically handles pagination to get all repositories
-    const cmd = `gh api -H "Accept: application/vnd.github+json" "/orgs/${orgPath}/repos?per_page=100" --hostname "${hostname}" --paginate`;
-    
-    console.log(`🔍 DEBUG: Executing command: ${cmd}`);
-    
-    // Determine the correct environment variable based on hostname
-    // GitHub.com uses GH_TOKEN, GHES instances use GH_ENTERPRISE_TOKEN
-    const isGitHubDotCom = hostname === 'github.com';
-    const tokenEnvVar = isGitHubDotCom ? 'GH_TOKEN' : 'GH_ENTERPRISE_TOKEN';
-    
-    console.log(`🔍 DEBUG: Using environment variable: ${tokenEnvVar} (hostname: ${hostname})`);
-    
-    const execEnv = { 
-      ...process.env,
-      [tokenEnvVar]: token
-    };
+    if (!login && email && emailToLogin[email]) {
+      login = emailToLogin[email];
+      reason = 'email linked to GitHub user';
+    } else if (!login && noreplyLogin) {
+      login = noreplyLogin;
+      reason = 'GitHub noreply address';
+    }
     
-    const reposDataRaw = execSync(cmd, {
-      env: execEnv,
-      encoding: 'utf8'
-    });
+    const canonicalAlias = (login && aliasToCanonical[login]) || (email && aliasToCanonical[email]);
+    if (canonicalAlias) {
+      login = canonicalAlias;
+      reason = 'alias from config.yaml';
+    }
     
-    const reposData = JSON.parse(reposDataRaw);
-    if (!Array.isArray(reposData)) {
-      console.error(`Invalid response when fetching repositories for ${orgPath}`);
-      return {
-        success: false,
-        repositories: [],
-        error: 'Invalid response format from API'
-      };
+    const identifier = login || email;
+    if (!identifier) {
+      return;
     }
     
-    // Map to full repository URLs
-    const repoUrls = reposData.map(repo => {
-      // Construct the full URL using the hostname and full_name (org/repo)
-      return `https://${hostname}/${repo.full_name}`;
-    });
+    // Exclude automation accounts and configured patterns
+    if (excludeBots) {
+      const isBot = identity.type === 'Bot' ||
+        /\[bot\]$/.test(login || '') ||
+        /\[bot\]@users\.noreply\./.test(email || '') ||
+        KNOWN_BOT_LOGINS.includes(login) ||
+        email === 'noreply@github.com';
+      if (isBot) {
+        excluded.set(identifier, { identifier, reason: 'bot account' });
+        return;
+      }
+    }
+    const pattern = findMatchingPattern(login, excludePatterns) || findMatchingPattern(email, excludePatterns);
+    if (pattern) {
+      excluded.set(identifier, { identifier, reason: `matches exclude pattern '${pattern}'` });
+      return;
+    }
     
-    console.log(`✅ Found ${repoUrls.length} repositories in organization ${orgPath}`);
+    const committer = committers.get(identifier) || { id: identifier, login, emails: [] };
+    if (email && !committer.emails.includes(email)) {
+      committer.emails.push(email);
+    }
+    committers.set(identifier, committer);
+    if (reason) {
+      mergeReasons.set(identifier, reason);
+    }
+  });
+  
+  // Report committers that were seen under more than one identifier
+  const merged = [];
+  committers.forEach(committer => {
+    const identifiers = [...committer.emails];
+    if (committer.login && !identifiers.includes(committer.login)) {
+      identifiers.unshift(committer.login);
+    }
+    if (committer.emails.length > 1 || mergeReasons.has(committer.id)) {
+      merged.push({
+        id: committer.id,
+        identifiers,
+        reason: mergeReasons.get(committer.id) || 'multiple emails for GitHub user'
+      });
+    }
+  });
+  
+  return {
+    committers: Array.from(committers.values()),
+    merged,
+    excluded: Array.from(excluded.values())
+  };
+}
+
+/**
+ * Default number of repositories analyzed in parallel per hostname
+ * Overridable globally with committer_analysis.concurrency and per instance with max_concurrency in config.yaml.
+ */
+const DEFAULT_COMMITTER_CONCURRENCY = 8;
+
+/**
+ * Runs an async worker over items with at most `limit` workers in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>} Resolves when every item has been processed
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Fetch all unique committers across multiple repositories over the lookback window
+ * Repositories are analyzed in parallel with a concurrency limit per hostname, so a
+ * large request does not overwhelm a single GHES instance. The collected identities
+ * are resolved with resolveCommitterIdentities.
+ * @param {Array} repositories - Array of repository URLs
+ * @param {Object} tokensByHostname - Map of hostnames to authentication tokens
+ * @param {Object} options - Analysis options (optional)
+ * @param {number} options.concurrency - Default concurrency limit per hostname
+ * @param {Object} options.concurrencyByHostname - Map of hostnames to concurrency limits
+ * @param {Function} options.onProgress - Called with ({ completed, total, repository }) after each repository
+ * @param {Object} options.identity - Identity resolution options passed to resolveCommitterIdentities
+ * @param {number} options.lookbackDays - Number of days of commits to analyze (default 90)
+ * @param {string|Array|Object} options.branchScope - Branch scope passed to fetchRepoCommitters
+ * @returns {Promise<Object>} Resolution result with committers, merged and excluded (see resolveCommitterIdentities),
+ *   and committersByRepository mapping each analyzed repository URL to the number of committer identities found in it
+ */
+async function getAllUniqueCommitters(repositories, tokensByHostname, options = {}) {
+  const {
+    concurrency = DEFAULT_COMMITTER_CONCURRENCY,
+    concurrencyByHostname = {},
+    onProgress,
+    identity = {},
+    lookbackDays,
+    branchScope
+  } = options;
+  const allIdentities = [];
+  const committersByRepository = {};
+  const total = repositories.length;
+  let completed = 0;
+  
+  // Log progress roughly every 10% so large organizations don't flood the log
+  const progressInterval = Math.max(1, Math.ceil(total / 10));
+  const reportProgress = repoUrl => {
+    completed++;
+    if (completed % progressInterval === 0 || completed === total) {
+      console.log(`📊 Committer analysis progress: ${completed}/${total} repositories (${Math.round((completed / total) * 100)}%)`);
+    }
+    if (onProgress) {
+      onProgress({ completed, total, repository: repoUrl });
+    }
+  };
+  
+  // Group repositories by hostname so each instance gets its own concurrency limit
+  const reposByHostname = {};
+  for (const repoUrl of repositories) {
+    try {
+      const hostname = new URL(repoUrl).hostname;
+      (reposByHostname[hostname] = reposByHostname[hostname] || []).push(repoUrl);
+    } catch (error) {
+      console.error(`Error processing repository ${repoUrl}:`, error.message);
+      reportProgress(repoUrl);
+    }
+  }
+  
+  await Promise.all(Object.entries(reposByHostname).map(([hostname, hostRepos]) => {
+    const token = tokensByHostname[hostname];
+    const limit = concurrencyByHostname[hostname] || concurrency;
+    console.log(`Analyzing ${hostRepos.length} repositories on ${hostname} with concurrency ${limit}`);
+    
+    return runWithConcurrency(hostRepos, limit, async repoUrl => {
+      try {
+        if (!token) {
+          console.error(`No token found for hostname ${hostname}`);
+          return;
+        }
+        
+        const repoCommitters = await fetchRepoCommitters(repoUrl, token, { lookbackDays, branchScope });
+        allIdentities.push(...repoCommitters);
+        committersByRepository[repoUrl] = repoCommitters.length;
+        
+        console.log(`Found ${repoCommitters.length} committers in ${repoUrl}`);
+      } catch (error) {
+        console.error(`Error processing repository ${repoUrl}:`, error.message);
+      } finally {
+        reportProgress(repoUrl);
+      }
+    });
+  }));
+  
+  return { ...resolveCommitterIdentities(allIdentities, identity), committersByRepository };
+}
+
+/**
+ * Repository filters applied when expanding organization URLs
+ * These defaults keep every repository; config.yaml (repository_filters) and the
+ * issue form override them key by key.
+ */
+const DEFAULT_REPOSITORY_FILTERS = {
+  exclude_archived: false,
+  exclude_forks: false,
+  exclude_empty: false,
+  exclude_templates: false,
+  exclude_disabled: false,
+  include_names: [],
+  exclude_names: [],
+  include_topics: [],
+  exclude_topics: [],
+  visibility: [],
+  pushed_after: null
+};
+
+/**
+ * Converts a comma separated string or an array into a list of trimmed values
+ * @param {string|Array} value - Value to convert
+ * @returns {Array} List of non-empty strings
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parses the "Repository Filters" issue form field
+ * Each line is `key: value`; list values are comma separated, e.g.
+ * `exclude_names: test-*, /^sandbox-/`. Unknown keys are ignored with a warning.
+ * @param {string} text - Raw field text
+ * @returns {Object|null} Filter overrides keyed like repository_filters in config.yaml, or null if empty
+ */
+function parseRepositoryFilters(text) {
+  if (!text || text.trim() === '_No response_') {
+    return null;
+  }
+  const filters = {};
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.indexOf(':');
+    const key = separator > 0 ? line.slice(0, separator).trim().toLowerCase() : '';
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_REPOSITORY_FILTERS, key)) {
+      console.warn(`Ignoring unknown repository filter: ${line}`);
+      return;
+    }
+    const value = line.slice(separator + 1).trim();
+    filters[key] = typeof DEFAULT_REPOSITORY_FILTERS[key] === 'boolean'
+      ? ['true', 'yes'].includes(value.toLowerCase())
+      : value;
+  });
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Resolves the repository filters for a request
+ * @param {Object} configFilters - repository_filters from config.yaml (optional)
+ * @param {Object} overrides - Per-request filters from the issue form or workflow input (optional)
+ * @returns {Object} Normalized filters: booleans, pattern lists and pushedAfter as a Date or null
+ */
+function resolveRepositoryFilters(configFilters = {}, overrides = {}) {
+  const merged = { ...DEFAULT_REPOSITORY_FILTERS, ...(configFilters || {}), ...(overrides || {}) };
+
+  // pushed_after accepts an ISO date or a relative number of days such as `180d`
+  let pushedAfter = null;
+  const pushedAfterRaw = merged.pushed_after ? String(merged.pushed_after).trim() : '';
+  const relativeMatch = /^(\d+)d$/i.exec(pushedAfterRaw);
+  if (relativeMatch) {
+    pushedAfter = new Date(Date.now() - parseInt(relativeMatch[1], 10) * 24 * 60 * 60 * 1000);
+  } else if (pushedAfterRaw) {
+    pushedAfter = new Date(pushedAfterRaw);
+    if (isNaN(pushedAfter.getTime())) {
+      console.warn(`Ignoring invalid pushed_after filter: ${pushedAfterRaw}`);
+      pushedAfter = null;
+    }
+  }
+
+  return {
+    excludeArchived: merged.exclude_archived === true,
+    excludeForks: merged.exclude_forks === true,
+    excludeEmpty: merged.exclude_empty === true,
+    excludeTemplates: merged.exclude_templates === true,
+    excludeDisabled: merged.exclude_disabled === true,
+    includeNames: toList(merged.include_names),
+    excludeNames: toList(merged.exclude_names),
+    includeTopics: toList(merged.include_topics),
+    excludeTopics: toList(merged.exclude_topics),
+    visibility: toList(merged.visibility).map(value => value.toLowerCase()),
+    pushedAfter
+  };
+}
+
+/**
+ * Determines why a repository from an organization listing should be skipped
+ * @param {Object} repo - Repository object from the organization repositories API
+ * @param {Object} filters - Filters returned by resolveRepositoryFilters
+ * @returns {string|null} Reason for excluding the repository, or null to keep it
+ */
+function getRepositoryExclusionReason(repo, filters) {
+  if (filters.excludeArchived && repo.archived) {
+    return 'Archived repository';
+  }
+  if (filters.excludeDisabled && repo.disabled) {
+    return 'Disabled repository';
+  }
+  if (filters.excludeForks && repo.fork) {
+    return 'Forked repository';
+  }
+  if (filters.excludeTemplates && repo.is_template) {
+    return 'Template repository';
+  }
+  if (filters.excludeEmpty && repo.size === 0) {
+    return 'Empty repository';
+  }
+  if (filters.visibility.length > 0) {
+    const visibility = repo.visibility || (repo.private ? 'private' : 'public');
+    if (!filters.visibility.includes(visibility)) {
+      return `Visibility is ${visibility} (allowed: ${filters.visibility.join(', ')})`;
+    }
+  }
+  if (filters.includeNames.length > 0 && !findMatchingPattern(repo.name, filters.includeNames)) {
+    return 'Name does not match any include_names pattern';
+  }
+  const excludedName = findMatchingPattern(repo.name, filters.excludeNames);
+  if (excludedName) {
+    return `Name matches exclude_names pattern \`${excludedName}\``;
+  }
+  const topics = repo.topics || [];
+  if (filters.includeTopics.length > 0 && !topics.some(topic => findMatchingPattern(topic, filters.includeTopics))) {
+    return 'No topic matches include_topics';
+  }
+  const excludedTopic = topics.find(topic => findMatchingPattern(topic, filters.excludeTopics));
+  if (excludedTopic) {
+    return `Has excluded topic \`${excludedTopic}\``;
+  }
+  if (filters.pushedAfter && (!repo.pushed_at || new Date(repo.pushed_at) < filters.pushedAfter)) {
+    return `Last pushed ${repo.pushed_at ? repo.pushed_at.split('T')[0] : 'never'} (before ${filters.pushedAfter.toISOString().split('T')[0]})`;
+  }
+  return null;
+}
+
+/**
+ * Fetches all repositories for a given organization URL
+ * @param {string} orgUrl - The URL of the organization
+ * @param {string} token - The token for authentication
+ * @param {Object} filters - Filters returned by resolveRepositoryFilters (optional, keeps every repository when omitted)
+ * @returns {Promise<Object>} Object with success flag, repositories array, excludedRepositories ({ url, reason }) and error info
+ */
+async function fetchOrganizationRepos(orgUrl, token, filters = resolveRepositoryFilters()) {
+  try {
+    // Parse the URL to extract components
+    const url = new URL(orgUrl);
+    const hostname = url.hostname;
+    
+    // Extract org name from path (remove leading slash)
+    const orgPath = url.pathname.replace(/^\//, '').replace(/\/$/, '');
+    
+    if (!orgPath) {
+      console.error(`Invalid organization URL: ${orgUrl}. Could not extract organization name.`);
+      return {
+        success: false,
+        repositories: [],
+        excludedRepositories: [],
+        error: 'Could not extract organization name from URL'
+      };
+    }
+
+    console.log(`🔍 DEBUG: Fetching repositories for organization: ${orgPath} from ${hostname}`);
+    console.log(`🔍 DEBUG: Using token: ${token ? token.substring(0, 8) + '...' : 'NO_TOKEN'}`);
+    
+    if (!token) {
+      console.error(`❌ No authentication token provided for ${hostname}`);
+      console.error(`   Cannot fetch repositories from organization: ${orgPath}`);
+      return {
+        success: false,
+        repositories: [],
+        excludedRepositories: [],
+        error: 'No authentication token provided'
+      };
+    }
+    
+    // Paginate through all repositories in the organization
+    const reposPath = `/orgs/${encodeURIComponent(orgPath)}/repos?per_page=100`;
+    console.log(`🔍 DEBUG: Requesting ${reposPath} from ${hostname}`);
+    
+    const client = getApiClient(hostname, token);
+    const reposData = await client.paginate(reposPath);
+    
+    // Apply repository filters and map the remaining repositories to full URLs
+    // Construct each full URL using the hostname and full_name (org/repo)
+    const repoUrls = [];
+    const excludedRepositories = [];
+    reposData.forEach(repo => {
+      const url = `https://${hostname}/${repo.full_name}`;
+      const reason = getRepositoryExclusionReason(repo, filters);
+      if (reason) {
+        excludedRepositories.push({ url, reason });
+      } else {
+        repoUrls.push(url);
+      }
+    });
+    
+    console.log(`✅ Found ${reposData.length} repositories in organization ${orgPath}`);
+    if (excludedRepositories.length > 0) {
+      console.log(`⏭️ Excluded ${excludedRepositories.length} repositories by repository filters, ${repoUrls.length} remaining`);
+    }
     
     // Log first few repositories for debugging (but not all to avoid log spam)
     if (repoUrls.length > 0) {
@@ -207,6 +1134,7 @@ function fetchOrganizationRepos(orgUrl, token) {
     return {
       success: true,
       repositories: repoUrls,
+      excludedRepositories,
       error: null
     };
   } catch (error) {
@@ -214,13 +1142,17 @@ function fetchOrganizationRepos(orgUrl, token) {
     
     let errorMessage = error.message;
     // Provide more specific error information
-    if (error.message.includes('404')) {
+    // Rate limiting is checked first because GitHub reports it with a 403 status
+    if (error.rateLimited) {
+      console.error(`   Rate limited by ${new URL(orgUrl).hostname} and retries were exhausted`);
+      errorMessage = 'Rate limited by the GitHub API and retries were exhausted. Please retry the request later.';
+    } else if (error.status === 404) {
       console.error(`   Organization '${orgUrl}' not found or not accessible with provided token`);
       errorMessage = 'Organization not found or not accessible with provided token';
-    } else if (error.message.includes('403')) {
+    } else if (error.status === 403) {
       console.error(`   Access denied. Token may lack permissions to access organization '${orgUrl}'`);
       errorMessage = 'Access denied. Token may lack permissions to access organization';
-    } else if (error.message.includes('401')) {
+    } else if (error.status === 401) {
       console.error(`   Authentication failed. Token may be invalid or expired`);
       errorMessage = 'Authentication failed. Token may be invalid or expired';
     }
@@ -228,6 +1160,7 @@ function fetchOrganizationRepos(orgUrl, token) {
     return {
       success: false,
       repositories: [],
+      excludedRepositories: [],
       error: errorMessage
     };
   }
@@ -252,735 +1185,4930 @@ function isOrganizationUrl(url) {
 }
 
 /**
- * Parses config.yaml and groups repositories by GHES instance
- * @param {string} repositoriesJson - JSON string of repositories
- * @param {boolean} enableSecretScanning - Whether to enable secret scanning
- * @param {boolean} enableCodeScanning - Whether to enable code scanning
- * @param {boolean} enableDependabotAlerts - Whether to enable dependabot alerts
- * @param {number} minRemainingLicenses - Minimum remaining licenses
- * @returns {Object} Object containing:
- *   - matrixItems: Array of matrix items for GitHub Actions
- *   - invalidRepositories: Array of invalid repository URLs that were skipped
- *   - validRepositories: Array of valid repository URLs that will be processed
- *   - totalRepositories: Total number of input repositories
+ * Splits a target URL into its hostname and path segments
+ * The path is read from the raw string: URL would take the `?` of a glob such as
+ * https://ghes.example.com/org/svc-? as the start of a query string.
+ * @param {string} url - Target URL from the issue form or /add commands
+ * @returns {Object} { hostname, pathParts } with the decoded path segments
+ * @throws {Error} If the URL has no http(s) scheme and hostname
+ */
+function splitTargetUrl(url) {
+  const match = /^(https?:\/\/[^/?#]+)(.*)$/i.exec(String(url).trim());
+  if (!match) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  return {
+    hostname: new URL(match[1]).hostname,
+    pathParts: match[2].split('/').filter(Boolean).map(part => decodeURIComponent(part))
+  };
+}
+
+/**
+ * Classifies a target URL from the issue form
+ * - `https://ghes.example.com` targets every organization on the instance
+ * - `https://ghes.example.com/org` targets one organization, `https://ghes.example.com/team-*` an org glob
+ * - `https://ghes.example.com/org/repo` targets one repository, `https://ghes.example.com/org/svc-*` a repository
+ *   glob; the organization name in a repository glob may be a glob as well
+ * @param {string} url - The URL to classify
+ * @returns {Object} { type, hostname, org, repo } where type is 'enterprise', 'organization',
+ *   'organization-pattern', 'repository', 'repository-pattern' or 'invalid'
+ */
+function classifyTargetUrl(url) {
+  try {
+    const { hostname, pathParts } = splitTargetUrl(url);
+    const isPattern = value => /[*?]/.test(value);
+    const [org = null, repo = null] = pathParts;
+    const target = { hostname, org, repo };
+    
+    if (pathParts.length === 0) {
+      return { ...target, type: 'enterprise' };
+    }
+    if (pathParts.length === 1) {
+      return { ...target, type: isPattern(org) ? 'organization-pattern' : 'organization' };
+    }
+    if (pathParts.length === 2) {
+      return { ...target, type: isPattern(org) || isPattern(repo) ? 'repository-pattern' : 'repository' };
+    }
+    // Deeper paths (e.g. /org/repo/tree/main) keep their previous behaviour as repository URLs,
+    // but globs are only supported in the organization or repository name
+    return { ...target, type: pathParts.slice(0, 2).some(isPattern) ? 'invalid' : 'repository' };
+  } catch (error) {
+    return { type: 'invalid', hostname: null, org: null, repo: null };
+  }
+}
+
+/**
+ * Checks if a URL is a scope target that expands into several repositories
+ * (an enterprise, an organization, or an organization or repository glob)
+ * @param {string} url - The URL to check
+ * @returns {boolean} True if the URL needs expanding before grouping
+ */
+function isScopeTargetUrl(url) {
+  return !['repository', 'invalid'].includes(classifyTargetUrl(url).type);
+}
+
+/**
+ * Fetches the logins of all organizations on an instance
+ * @param {string} hostname - Instance hostname
+ * @param {string} token - The token for authentication
+ * @returns {Promise<Object>} Object with success flag, organizations (logins) and error info
+ */
+async function fetchEnterpriseOrganizations(hostname, token) {
+  try {
+    const client = getApiClient(hostname, token);
+    const organizations = await client.paginate('/organizations?per_page=100');
+    console.log(`✅ Found ${organizations.length} organizations on ${hostname}`);
+    return {
+      success: true,
+      organizations: organizations.map(org => org.login),
+      error: null
+    };
+  } catch (error) {
+    console.error(`❌ Error listing organizations on ${hostname}:`, error.message);
+    return {
+      success: false,
+      organizations: [],
+      error: describeApiError(error, 'list organizations on this instance')
+    };
+  }
+}
+
+/**
+ * Expands an enterprise, organization or glob target into concrete repository URLs
+ * Organization globs and enterprise targets list the organizations on the instance first;
+ * repository globs list the organization's repositories and keep the matching names.
+ * Repository filters apply to every repository found this way.
+ * @param {string} targetUrl - Target URL (see classifyTargetUrl)
+ * @param {string} token - The token for authentication
+ * @param {Object} filters - Filters returned by resolveRepositoryFilters
+ * @returns {Promise<Object>} Object with success flag, repositories, excludedRepositories,
+ *   invalidTargets ({ url, error } for organizations that could not be listed) and error info
  */
-function parseConfigAndGroupRepos(repositoriesJson, enableSecretScanning, enableCodeScanning, enableDependabotAlerts, minRemainingLicenses) {
-  // Load and parse config.yaml
-  const configYaml = fs.readFileSync('config.yaml', 'utf8');
-  const config = yaml.load(configYaml);
+async function expandScopeTarget(targetUrl, token, filters) {
+  const target = classifyTargetUrl(targetUrl);
+  const result = { success: false, repositories: [], excludedRepositories: [], invalidTargets: [], error: null };
   
-  // Parse repositories from JSON string
-  const inputRepos = JSON.parse(repositoriesJson);
+  let orgLogins = [target.org];
+  if (target.type === 'enterprise' || /[*?]/.test(target.org)) {
+    const orgsResult = await fetchEnterpriseOrganizations(target.hostname, token);
+    if (!orgsResult.success) {
+      result.error = orgsResult.error;
+      return result;
+    }
+    orgLogins = target.type === 'enterprise'
+      ? orgsResult.organizations
+      : orgsResult.organizations.filter(login => findMatchingPattern(login, [target.org]));
+    if (orgLogins.length === 0) {
+      result.error = `No organizations on ${target.hostname} match this target`;
+      return result;
+    }
+    console.log(`Expanding ${targetUrl} to ${orgLogins.length} organizations`);
+  }
   
-  // Expand organization URLs to include all repositories
-  const repositories = [];
-  const orgUrls = [];
-  const invalidRepositories = [];
+  // Only keep repositories matching the repository glob, if any
+  const matchesTarget = url => target.type !== 'repository-pattern' || findMatchingPattern(url.split('/').pop(), [target.repo]);
   
-  // First pass: identify and separate org URLs from repo URLs
-  inputRepos.forEach(url => {
-    if (isOrganizationUrl(url)) {
-      orgUrls.push(url);
-    } else {
-      repositories.push(url);
+  for (const login of orgLogins) {
+    const orgUrl = `https://${target.hostname}/${login}`;
+    const orgResult = await fetchOrganizationRepos(orgUrl, token, filters);
+    if (!orgResult.success) {
+      result.invalidTargets.push({ url: orgUrl, error: orgResult.error });
+      continue;
     }
-  });
+    result.repositories.push(...orgResult.repositories.filter(matchesTarget));
+    result.excludedRepositories.push(...orgResult.excludedRepositories.filter(item => matchesTarget(item.url)));
+  }
   
-  console.log(`Found ${repositories.length} repository URLs and ${orgUrls.length} organization URLs`);
+  // A single organization or repository glob that fails is reported against the target itself
+  if (orgLogins.length === 1 && result.invalidTargets.length === 1) {
+    result.error = result.invalidTargets[0].error;
+    result.invalidTargets = [];
+    return result;
+  }
+  if (target.type === 'repository-pattern' && result.repositories.length === 0 && result.excludedRepositories.length === 0) {
+    result.error = `No repositories in ${target.org} match \`${target.repo}\``;
+    return result;
+  }
   
-  // Second pass: expand org URLs to repo URLs
-  // Note: This is done in a separate loop because we need to find the right token for each org
-  if (orgUrls.length > 0) {
-    // Find tokens for each hostname
-    const tokensByHostname = {};
-    
-    console.log(`🔍 DEBUG: Processing ${orgUrls.length} organization URLs`);
-    console.log(`🔍 DEBUG: Available environment variables: ${Object.keys(process.env).filter(k => k.includes('TOKEN')).join(', ')}`);
-    console.log(`🔍 DEBUG: Specifically checking for: GHES_API_TOKEN_1=${process.env.GHES_API_TOKEN_1 ? 'SET' : 'NOT_SET'}, GHES_API_TOKEN_2=${process.env.GHES_API_TOKEN_2 ? 'SET' : 'NOT_SET'}, GH_ENTERPRISE_TOKEN_CLOUD=${process.env.GH_ENTERPRISE_TOKEN_CLOUD ? 'SET' : 'NOT_SET'}`);
-    
-    // Process GHES instances
-    if (config.ghes_instances && Array.isArray(config.ghes_instances)) {
-      console.log(`🔍 DEBUG: Processing ${config.ghes_instances.length} GHES instances`);
-      for (const instance of config.ghes_instances) {
-        try {
-          const apiUrl = new URL(instance.api_url);
-          const hostname = apiUrl.hostname.replace(/^api\./, '');
-          const tokenValue = process.env[instance.auth_var];
-          tokensByHostname[hostname] = tokenValue;
-          
-          console.log(`🔍 DEBUG: Instance '${instance.name}' mapping:`);
-          console.log(`   API URL: ${instance.api_url}`);
-          console.log(`   Hostname: ${hostname}`);
-          console.log(`   Auth var: ${instance.auth_var}`);
-          console.log(`   Token exists: ${tokenValue ? 'YES' : 'NO'}`);
-          console.log(`   Token preview: ${tokenValue ? tokenValue.substring(0, 8) + '...' : 'undefined'}`);
-        } catch (error) {
-          console.error(`Error processing instance config:`, error.message);
-        }
-      }
+  result.success = true;
+  return result;
+}
+
+/**
+ * Converts an API error into a user-facing reason
+ * @param {Error} error - Error thrown by an API call
+ * @param {string} action - Description of the action that failed
+ * @returns {string} Reason suitable for the results comment
+ */
+function describeApiError(error, action) {
+  if (error.rateLimited) {
+    return `Rate limited by the GitHub API while trying to ${action}. Please retry later.`;
+  } else if (error.status === 404) {
+    return action === 'access this repository'
+      ? 'Repository not found. Please verify the URL and your permissions.'
+      : `Not found when trying to ${action}. The API may not be available on this instance.`;
+  } else if (error.status === 403) {
+    return `Access denied. You don't have permission to ${action} for this repository.`;
+  } else if (error.status === 422) {
+    return `Validation failed. Repository may not be eligible to ${action}.`;
+  }
+  return `Failed to ${action}: ${error.message}`;
+}
+
+/**
+ * Maps a language name to the CodeQL language used by default setup
+ * @param {string} language - CodeQL language, alias (js, cpp, kotlin, ...) or GitHub language name
+ * @returns {string|null} CodeQL language, or null if default setup does not support it
+ */
+function normalizeCodeScanningLanguage(language) {
+  const value = String(language || '').trim();
+  const codeqlLanguages = new Set(Object.values(CODE_SCANNING_LANGUAGES));
+  if (codeqlLanguages.has(value.toLowerCase())) {
+    return value.toLowerCase();
+  }
+  return CODE_SCANNING_LANGUAGES[value] || CODE_SCANNING_LANGUAGE_ALIASES[value.toLowerCase()] || null;
+}
+
+/**
+ * Lists the default setup languages for the languages GitHub detected in a repository
+ * @param {Object} repositoryLanguages - Response of GET /repos/{owner}/{repo}/languages (language name to bytes)
+ * @returns {Array} CodeQL languages, without duplicates
+ */
+function detectCodeScanningLanguages(repositoryLanguages) {
+  const languages = Object.keys(repositoryLanguages || {})
+    .map(language => CODE_SCANNING_LANGUAGES[language])
+    .filter(Boolean);
+  return [...new Set(languages)];
+}
+
+/**
+ * Merges per-request default setup options over the code_scanning section of config.yaml
+ * Invalid values are logged and replaced by the configured or built-in default.
+ * @param {Object} configOptions - code_scanning section of config.yaml (query_suite, languages, runner_type, runner_label)
+ * @param {Object} overrides - Per-request options (querySuite, languages, runnerType, runnerLabel); null values are ignored
+ * @returns {Object} { querySuite, languages, runnerType, runnerLabel }
+ */
+function resolveCodeScanningOptions(configOptions = {}, overrides = {}) {
+  const configured = configOptions || {};
+  const requested = overrides || {};
+  const pick = (override, configValue, fallback) =>
+    override !== null && override !== undefined && override !== '' ? override : configValue !== null && configValue !== undefined && configValue !== '' ? configValue : fallback;
+
+  let querySuite = String(pick(requested.querySuite, configured.query_suite, DEFAULT_CODE_SCANNING_OPTIONS.querySuite)).toLowerCase();
+  if (!['default', 'extended'].includes(querySuite)) {
+    console.warn(`Unknown code scanning query suite "${querySuite}", using "default"`);
+    querySuite = 'default';
+  }
+
+  const languageList = toList(pick(requested.languages && requested.languages.length > 0 ? requested.languages : null, configured.languages, []));
+  const languages = [];
+  languageList.forEach(language => {
+    const normalized = normalizeCodeScanningLanguage(language);
+    if (!normalized) {
+      console.warn(`Ignoring language "${language}": not supported by code scanning default setup`);
+    } else if (!languages.includes(normalized)) {
+      languages.push(normalized);
     }
-    
-    console.log(`🔍 DEBUG: Final tokensByHostname mapping:`);
-    Object.entries(tokensByHostname).forEach(([hostname, token]) => {
-      console.log(`   ${hostname} -> ${token ? 'HAS_TOKEN' : 'NO_TOKEN'}`);
+  });
+
+  let runnerType = String(pick(requested.runnerType, configured.runner_type, DEFAULT_CODE_SCANNING_OPTIONS.runnerType)).toLowerCase();
+  let runnerLabel = pick(requested.runnerLabel, configured.runner_label, null);
+  if (!['standard', 'labeled'].includes(runnerType)) {
+    console.warn(`Unknown code scanning runner type "${runnerType}", using "standard"`);
+    runnerType = 'standard';
+  }
+  if (runnerType === 'labeled' && !runnerLabel) {
+    console.warn('Code scanning runner type "labeled" needs a runner label, using "standard"');
+    runnerType = 'standard';
+  }
+  if (runnerType === 'standard') {
+    runnerLabel = null;
+  }
+
+  return { querySuite, languages, runnerType, runnerLabel };
+}
+
+/**
+ * Describes default setup options for the results comment
+ * @param {Object} options - Options from resolveCodeScanningOptions
+ * @returns {string} For example "extended query suite, languages: python, go, labeled runner (code-scanning)"
+ */
+function describeCodeScanningOptions(options) {
+  const languages = options.languages && options.languages.length > 0 ? options.languages.join(', ') : 'all detected';
+  const runner = options.runnerType === 'labeled' ? `labeled runner (\`${options.runnerLabel}\`)` : 'standard runner';
+  return `${options.querySuite} query suite, languages: ${languages}, ${runner}`;
+}
+
+// Oldest GHES release that supports each repository feature; GitHub.com supports all of them
+const FEATURE_MINIMUM_VERSIONS = {
+  advanced_security: '3.0',
+  secret_scanning: '3.0',
+  secret_scanning_push_protection: '3.5',
+  secret_scanning_non_provider_patterns: '3.12',
+  secret_scanning_validity_checks: '3.12',
+  code_scanning_default_setup: '3.9',
+  dependabot_alerts: '3.0',
+  dependabot_security_updates: '3.3',
+  private_vulnerability_reporting: '3.10'
+};
+
+// Oldest GHES release for API variants that are chosen per instance
+const API_MINIMUM_VERSIONS = {
+  // Code security configurations (otherwise features are enabled per repository)
+  securityConfigurations: '3.15',
+  // runner_type and runner_label on the default setup endpoint
+  codeScanningRunnerType: '3.14'
+};
+
+/**
+ * Compares two dotted version numbers (3.12.4 against 3.12)
+ * @param {string} a - Version number
+ * @param {string} b - Version number
+ * @returns {number} Negative if a is older than b, 0 if equal, positive if newer
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Reads the version of a GitHub instance from its meta endpoint and derives which features and
+ * API variants it supports
+ * GHES reports installed_version; GitHub.com (and GHE.com) do not and support everything. When the
+ * version cannot be read nothing is blocked, and the API calls report their own errors.
+ * @param {string} hostname - GitHub hostname
+ * @param {string} token - Authentication token for the hostname
+ * @returns {Promise<Object>} Object containing:
+ *   - hostname, version (null for cloud or unknown), isCloud, error (why the version could not be read)
+ *   - features: Map of feature key to { supported, minimumVersion }
+ *   - apis: Map of API variant (see API_MINIMUM_VERSIONS) to a boolean
+ */
+async function probeInstanceCapabilities(hostname, token) {
+  const capabilities = { hostname, version: null, isCloud: hostname === 'github.com', error: null, features: {}, apis: {} };
+
+  if (!capabilities.isCloud) {
+    try {
+      const { data: meta } = await getApiClient(hostname, token).request('GET', '/meta');
+      capabilities.version = (meta && meta.installed_version) || null;
+      capabilities.isCloud = !capabilities.version;
+    } catch (error) {
+      capabilities.error = describeApiError(error, 'read the instance version');
+      console.warn(`Could not determine the version of ${hostname}: ${capabilities.error}`);
+    }
+  }
+
+  const supports = minimumVersion => !capabilities.version || compareVersions(capabilities.version, minimumVersion) >= 0;
+  for (const [featureKey, minimumVersion] of Object.entries(FEATURE_MINIMUM_VERSIONS)) {
+    capabilities.features[featureKey] = { supported: supports(minimumVersion), minimumVersion };
+  }
+  for (const [api, minimumVersion] of Object.entries(API_MINIMUM_VERSIONS)) {
+    capabilities.apis[api] = supports(minimumVersion);
+  }
+
+  console.log(`${hostname}: ${describeInstance(capabilities)}`);
+  return capabilities;
+}
+
+/**
+ * Describes the instance a capability probe ran against
+ * @param {Object} capabilities - Result of probeInstanceCapabilities
+ * @returns {string} For example "GHES 3.12.4", "GitHub Enterprise Cloud" or "unknown version"
+ */
+function describeInstance(capabilities) {
+  if (capabilities.version) {
+    return `GHES ${capabilities.version}`;
+  }
+  return capabilities.isCloud ? 'GitHub Enterprise Cloud' : 'unknown version';
+}
+
+/**
+ * Lists the requested features an instance cannot provide
+ * Code scanning on labeled runners is listed separately, as older instances only offer standard runners.
+ * @param {Object} capabilities - Result of probeInstanceCapabilities
+ * @param {Object} features - Feature selection flags (see enableRepositoryFeatures)
+ * @param {Object} options - Enablement options (see getEnablementOptions); omit for disable requests
+ * @returns {Array} Entries { key, label, minimumVersion, reason }
+ */
+function getUnsupportedFeatures(capabilities, features = {}, options = {}) {
+  if (!capabilities || !capabilities.version) {
+    return [];
+  }
+
+  const unsupported = getSelectedFeatures(features)
+    .filter(feature => capabilities.features[feature.key] && !capabilities.features[feature.key].supported)
+    .map(feature => ({
+      key: feature.key,
+      label: FEATURE_OPTIONS[feature.flag],
+      minimumVersion: capabilities.features[feature.key].minimumVersion
+    }));
+
+  const codeScanningSupported = !unsupported.some(feature => feature.key === 'code_scanning_default_setup');
+  if (features.enableCodeScanning && codeScanningSupported && options.codeScanning &&
+    options.codeScanning.runnerType === 'labeled' && !capabilities.apis.codeScanningRunnerType) {
+    unsupported.push({
+      key: 'code_scanning_runner',
+      label: 'Code Scanning on labeled runners',
+      minimumVersion: API_MINIMUM_VERSIONS.codeScanningRunnerType
     });
-    
-    // Process each org URL
-    orgUrls.forEach(orgUrl => {
+  }
+
+  return unsupported.map(feature => ({
+    ...feature,
+    reason: `${feature.label} requires GHES ${feature.minimumVersion} or later (${capabilities.hostname} runs ${capabilities.version})`
+  }));
+}
+
+/**
+ * Explains why a feature cannot be changed on an instance
+ * @param {Object} capabilities - Result of probeInstanceCapabilities, or null when the instance was not probed
+ * @param {string} featureKey - Key from REPOSITORY_FEATURES
+ * @returns {string|null} Reason for the results comment, or null if the feature is supported
+ */
+function getUnsupportedReason(capabilities, featureKey) {
+  const support = capabilities && capabilities.features && capabilities.features[featureKey];
+  if (!support || support.supported) {
+    return null;
+  }
+  return `Not supported on ${describeInstance(capabilities)} (requires GHES ${support.minimumVersion} or later)`;
+}
+
+/**
+ * Reads the enablement and code_scanning sections of config.yaml
+ * @param {Object} overrides - Per-request overrides
+ * @param {Object} overrides.codeScanning - Default setup options from the request (see resolveCodeScanningOptions)
+ * @returns {Object} { rollbackOnFailure, codeScanning }
+ */
+function getEnablementOptions(overrides = {}) {
+  const config = loadConfig();
+  const enablement = config.enablement || {};
+  return {
+    rollbackOnFailure: enablement.rollback_on_failure === true,
+    codeScanning: resolveCodeScanningOptions(config.code_scanning, overrides.codeScanning)
+  };
+}
+
+/**
+ * Enables the selected GHAS features on a single repository
+ * Advanced Security is enabled first; if that fails the remaining features are not attempted.
+ * The repository's settings are captured before any change and turned into a change plan (see
+ * computeChangePlan); only the features the plan adds are sent, so re-running a request is a no-op
+ * for features that are already enabled. With rollbackOnFailure the features enabled by this run
+ * are turned off again when any requested feature fails.
+ * @param {string} repoUrl - Repository URL
+ * @param {Object} features - Feature selection flags
+ * @param {boolean} features.enableSecretScanning - Whether to enable secret scanning
+ * @param {boolean} features.enableCodeScanning - Whether to enable code scanning default setup
+ * @param {boolean} features.enableDependabotAlerts - Whether to enable dependabot alerts
+ * @param {boolean} features.enablePushProtection - Whether to enable secret scanning push protection (implies secret scanning)
+ * @param {boolean} features.enableNonProviderPatterns - Whether to scan for non-provider patterns (implies secret scanning)
+ * @param {boolean} features.enableValidityChecks - Whether to enable secret validity checks (implies secret scanning)
+ * @param {boolean} features.enableDependabotSecurityUpdates - Whether to enable Dependabot security updates (implies dependabot alerts)
+ * @param {boolean} features.enablePrivateVulnerabilityReporting - Whether to enable private vulnerability reporting
+ * @param {string} token - Authentication token for the repository's hostname
+ * @param {Object} options - Enablement options (see getEnablementOptions)
+ * @param {boolean} options.rollbackOnFailure - Restore the captured settings if any requested feature fails
+ * @param {Object} options.codeScanning - Default setup options (see resolveCodeScanningOptions)
+ * @param {Object} options.capabilities - Result of probeInstanceCapabilities; features the instance does not support are not attempted
+ * @returns {Promise<Object>} Result object containing:
+ *   - repository: The repository URL
+ *   - hostname: The repository hostname
+ *   - success: True if every requested feature is enabled, was already enabled or is not supported by the instance
+ *   - error: Repository-level error (invalid URL, not accessible, Advanced Security failed) or null
+ *   - previousState: Snapshot from captureRepositorySnapshot, or null if the repository could not be read
+ *   - plan: Result of computeChangePlan, or an empty list if the repository could not be read
+ *   - features: Map of feature key to { status: 'enabled' | 'already-enabled' | 'failed' | 'skipped' | 'unsupported', reason, previous },
+ *     where previous is the feature's state before the change ('enabled'/'disabled', or the default setup state);
+ *     code scanning outcomes also carry the default setup configuration (see enableFeature)
+ *   - rollback: Outcome of rollbackRepositoryFeatures when a failure triggered a rollback, otherwise null
+ */
+async function enableRepositoryFeatures(repoUrl, features = {}, token, options = {}) {
+  const result = {
+    repository: repoUrl,
+    hostname: null,
+    success: false,
+    error: null,
+    previousState: null,
+    plan: [],
+    features: {},
+    rollback: null
+  };
+
+  let org;
+  let repo;
+  try {
+    const url = new URL(repoUrl);
+    result.hostname = url.hostname;
+    [org, repo] = url.pathname.replace(/^\//, '').split('/');
+  } catch (error) {
+    result.error = `Invalid repository URL: ${error.message}`;
+    return result;
+  }
+
+  if (!org || !repo) {
+    result.error = 'Could not extract organization and repository name from URL';
+    return result;
+  }
+
+  const hostname = result.hostname;
+  const client = getApiClient(hostname, token);
+  const repoPath = `/repos/${encodeURIComponent(org)}/${encodeURIComponent(repo)}`;
+  const requested = resolveRequestedFeatures(features);
+
+  console.log(`Processing repository: ${org}/${repo} on ${hostname}`);
+
+  // Read the current settings so already-enabled features are not changed again
+  let repoData;
+  try {
+    ({ data: repoData } = await client.request('GET', repoPath));
+  } catch (error) {
+    result.error = describeApiError(error, 'access this repository');
+    console.error(`Error: ${result.error} (${repoUrl})`);
+    return result;
+  }
+  const securityAndAnalysis = (repoData && repoData.security_and_analysis) || {};
+  result.previousState = await captureRepositorySnapshot(client, repoPath, securityAndAnalysis, requested);
+  // No visibility: the Advanced Security policy guess is for dry runs, real runs let the API answer
+  result.plan = computeChangePlan(requested, result.previousState, {
+    codeScanning: options.codeScanning,
+    capabilities: options.capabilities
+  });
+  console.log(`Plan for ${org}/${repo}: ${describeChangePlan(result.plan)}`);
+
+  for (const step of result.plan) {
+    const feature = REPOSITORY_FEATURES.find(item => item.key === step.key);
+    // Once Advanced Security has failed the remaining features cannot be enabled
+    if (result.features.advanced_security && result.features.advanced_security.status === 'failed') {
+      result.features[feature.key] = { status: 'skipped', reason: 'Advanced Security could not be enabled' };
+      continue;
+    }
+    // Nor can a feature whose prerequisite failed
+    const prerequisite = feature.requires && result.features[feature.requires];
+    if (prerequisite && ['failed', 'skipped', 'unsupported'].includes(prerequisite.status)) {
+      const prerequisiteLabel = REPOSITORY_FEATURES.find(item => item.key === feature.requires).label;
+      result.features[feature.key] = { status: 'skipped', reason: `${prerequisiteLabel} could not be enabled` };
+      continue;
+    }
+    // Instances that predate a feature would only answer with a confusing API error
+    if (step.action === 'unsupported') {
+      result.features[feature.key] = { status: 'unsupported', reason: step.reason, previous: step.current };
+      console.log(`${feature.label} for ${repoUrl}: ${step.reason}`);
+      continue;
+    }
+    // Only the difference is applied; default setup is still read to report its configuration
+    if (step.action === 'unchanged' && feature.key !== 'code_scanning_default_setup') {
+      result.features[feature.key] = { status: 'already-enabled', reason: null, previous: step.current };
+      console.log(`${feature.label} for ${repoUrl}: already-enabled`);
+      continue;
+    }
+
+    try {
+      result.features[feature.key] = await enableFeature(feature.key, client, repoPath, securityAndAnalysis, options);
+      console.log(`${feature.label} for ${repoUrl}: ${result.features[feature.key].status}`);
+    } catch (error) {
+      const reason = describeApiError(error, `enable ${feature.label}`);
+      result.features[feature.key] = { status: 'failed', reason };
+      console.error(`Warning: Failed to enable ${feature.label} for ${repoUrl}: ${reason}`);
+    }
+  }
+
+  if (result.features.advanced_security && result.features.advanced_security.status === 'failed') {
+    result.error = result.features.advanced_security.reason;
+  }
+  result.success = !result.error &&
+    Object.values(result.features).every(outcome => ['enabled', 'already-enabled', 'unsupported'].includes(outcome.status));
+
+  // Leave the repository as it was rather than half-configured (and holding licenses)
+  if (!result.success && options.rollbackOnFailure &&
+    Object.values(result.features).some(outcome => outcome.status === 'enabled')) {
+    result.rollback = await rollbackRepositoryFeatures(client, repoPath, result);
+  }
+
+  return result;
+}
+
+/**
+ * Lists the features an enablement changes: Advanced Security, the selected features, and the
+ * features they build on (push protection on secret scanning, ...)
+ * @param {Object} features - Feature selection flags
+ * @returns {Array} REPOSITORY_FEATURES entries in enablement order
+ */
+function resolveRequestedFeatures(features = {}) {
+  const selected = getSelectedFeatures(features);
+  const required = new Set(selected.map(feature => feature.requires).filter(Boolean));
+  return REPOSITORY_FEATURES.filter(feature =>
+    !feature.flag || selected.includes(feature) || required.has(feature.key)
+  );
+}
+
+/**
+ * Computes the change plan of a repository, like a terraform plan: the current and desired state of each
+ * requested feature and the action that reconciles them. Only 'add' and 'remove' entries are applied;
+ * the plan reads nothing itself and works from the snapshot captured before the change.
+ * When options.visibility is given (dry-run predictions), private and internal repositories whose settings do
+ * not offer Advanced Security are planned as blocked (organization or enterprise policy, or licensing), together
+ * with the features that depend on it. GitHub also omits these settings for tokens without admin access, so
+ * real runs leave visibility out and let the API report the actual cause.
+ * @param {Array} requested - REPOSITORY_FEATURES entries of the request, in the order they are applied
+ * @param {Object} snapshot - Result of captureRepositorySnapshot
+ * @param {Object} options - Plan options (optional)
+ * @param {string} options.requestType - 'enable' (default) or 'disable'
+ * @param {string} options.visibility - Repository visibility ('public', 'private' or 'internal'), for dry-run predictions only
+ * @param {Object} options.codeScanning - Default setup options (see resolveCodeScanningOptions)
+ * @param {Object} options.capabilities - Result of probeInstanceCapabilities
+ * @returns {Array} Plan entries { key, label, current, desired, action, reason } in request order, where action is
+ *   'add' | 'remove' | 'unchanged' | 'blocked' | 'unsupported' and current is null when the state could not be read
+ */
+function computeChangePlan(requested, snapshot, options = {}) {
+  const isDisable = options.requestType === 'disable';
+  const securityAndAnalysis = snapshot.security_and_analysis || {};
+  const advancedSecurityBlocked = !isDisable && Boolean(options.visibility) && options.visibility !== 'public' &&
+    !securityAndAnalysis.advanced_security;
+  const needsAdvancedSecurity = key => key === 'advanced_security' || LICENSE_PRODUCTS.some(product => product.features.includes(key));
+  const plan = [];
+
+  for (const feature of requested) {
+    // Features outside security_and_analysis are captured at the top level of the snapshot
+    let current = securityAndAnalysis[feature.key] ? securityAndAnalysis[feature.key].status : 'disabled';
+    if (feature.key in snapshot) {
+      current = snapshot[feature.key];
+    }
+    const entry = { key: feature.key, label: feature.label, current, desired: isDisable ? 'disabled' : 'enabled', action: null, reason: null };
+    plan.push(entry);
+
+    let unsupported = getUnsupportedReason(options.capabilities, feature.key);
+    // Instances without runner_type only run default setup on standard runners
+    if (!unsupported && !isDisable && feature.key === 'code_scanning_default_setup' && options.capabilities &&
+      (options.codeScanning || DEFAULT_CODE_SCANNING_OPTIONS).runnerType === 'labeled' &&
+      !options.capabilities.apis.codeScanningRunnerType) {
+      unsupported = `Labeled runners require GHES ${API_MINIMUM_VERSIONS.codeScanningRunnerType} or later`;
+    }
+    const isOn = current === 'enabled' || current === 'configured';
+    const prerequisite = feature.requires && plan.find(item => item.key === feature.requires);
+
+    if (unsupported) {
+      entry.action = 'unsupported';
+      entry.reason = unsupported;
+    } else if (isDisable) {
+      // States that could not be read are attempted; the feature is checked again before it is changed
+      entry.action = isOn || current === null ? 'remove' : 'unchanged';
+    } else if (isOn) {
+      entry.action = 'unchanged';
+    } else if (advancedSecurityBlocked && needsAdvancedSecurity(feature.key)) {
+      entry.action = 'blocked';
+      entry.reason = 'Advanced Security is not available for this repository (blocked by organization or enterprise policy, or no license)';
+    } else if (prerequisite && ['blocked', 'unsupported'].includes(prerequisite.action)) {
+      entry.action = 'blocked';
+      entry.reason = `${prerequisite.label} cannot be enabled`;
+    } else {
+      entry.action = 'add';
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Describes a change plan in one line for the workflow log
+ * @param {Array} plan - Result of computeChangePlan
+ * @returns {string} For example "2 to add, 3 unchanged, 1 blocked"
+ */
+function describeChangePlan(plan) {
+  const counts = {};
+  plan.forEach(entry => {
+    counts[entry.action] = (counts[entry.action] || 0) + 1;
+  });
+  return ['add', 'remove', 'unchanged', 'blocked', 'unsupported']
+    .filter(action => counts[action])
+    .map(action => `${counts[action]} ${['add', 'remove'].includes(action) ? `to ${action}` : action}`)
+    .join(', ') || 'nothing to change';
+}
+
+/**
+ * Captures a repository's security settings before they are changed
+ * Default setup, Dependabot and private vulnerability reporting states are only read when those features are requested;
+ * states that cannot be read are recorded as null.
+ * @param {Object} client - API client for the repository's hostname
+ * @param {string} repoPath - API path of the repository (/repos/org/repo)
+ * @param {Object} securityAndAnalysis - Current security_and_analysis settings of the repository
+ * @param {Array} requested - REPOSITORY_FEATURES entries about to be changed
+ * @returns {Promise<Object>} { capturedAt, security_and_analysis, code_scanning_default_setup, dependabot_alerts,
+ *   dependabot_security_updates, private_vulnerability_reporting }
+ */
+async function captureRepositorySnapshot(client, repoPath, securityAndAnalysis, requested) {
+  const snapshot = {
+    capturedAt: new Date().toISOString(),
+    security_and_analysis: securityAndAnalysis,
+    code_scanning_default_setup: null,
+    dependabot_alerts: null,
+    dependabot_security_updates: null,
+    private_vulnerability_reporting: null
+  };
+  const keys = requested.map(feature => feature.key);
+
+  if (keys.includes('code_scanning_default_setup')) {
+    try {
+      const { data: defaultSetup } = await client.request('GET', `${repoPath}/code-scanning/default-setup`);
+      snapshot.code_scanning_default_setup = (defaultSetup && defaultSetup.state) || 'not-configured';
+    } catch (error) {
+      console.log(`Could not read default setup state for snapshot: ${error.message}`);
+    }
+  }
+
+  if (keys.includes('dependabot_alerts')) {
+    try {
+      await client.request('GET', `${repoPath}/vulnerability-alerts`);
+      snapshot.dependabot_alerts = 'enabled';
+    } catch (error) {
+      snapshot.dependabot_alerts = error.status === 404 ? 'disabled' : null;
+    }
+  }
+
+  for (const [featureKey, endpoint] of Object.entries(TOGGLE_ENDPOINT_FEATURES)) {
+    if (keys.includes(featureKey)) {
       try {
-        const hostname = new URL(orgUrl).hostname;
-        const token = tokensByHostname[hostname];
-        
-        console.log(`🔍 DEBUG: Processing org URL: ${orgUrl}`);
-        console.log(`   Extracted hostname: ${hostname}`);
-        console.log(`   Looking for token in tokensByHostname...`);
-        console.log(`   Token found: ${token ? 'YES' : 'NO'}`);
-        
-        if (!token) {
-          // Find which auth_var should be used for this hostname
-          const matchingInstance = config.ghes_instances.find(instance => {
-            try {
-              const apiUrl = new URL(instance.api_url);
-              return apiUrl.hostname.replace(/^api\./, '') === hostname;
-            } catch {
-              return false;
-            }
-          });
-          
-          console.error(`❌ No token found for hostname ${hostname}`);
-          console.error(`   Expected environment variable: ${matchingInstance?.auth_var || 'UNKNOWN'}`);
-          console.error(`   Environment variable value: ${process.env[matchingInstance?.auth_var] ? 'SET (but not in tokensByHostname)' : 'NOT SET'}`);
-          console.error(`   Available hostnames in tokensByHostname: ${Object.keys(tokensByHostname).join(', ')}`);
-          console.error(`   This will prevent organization URL expansion for: ${orgUrl}`);
-          console.error(`   Please ensure the token is configured in your workflow secrets and environment variables.`);
-          
-          // Add to invalid repositories list
-          invalidRepositories.push({
-            url: orgUrl,
-            error: 'No authentication token available for this hostname'
-          });
-          return;
+        const { data: current } = await client.request('GET', `${repoPath}/${endpoint}`);
+        snapshot[featureKey] = current && current.enabled ? 'enabled' : 'disabled';
+      } catch (error) {
+        console.log(`Could not read ${featureKey} state for snapshot: ${error.message}`);
+      }
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Turns off the features an enablement run switched on, restoring the captured snapshot
+ * Features are restored in reverse order, so Advanced Security is disabled last. Features
+ * that were already enabled before the run are left untouched.
+ * @param {Object} client - API client for the repository's hostname
+ * @param {string} repoPath - API path of the repository (/repos/org/repo)
+ * @param {Object} result - Result being built by enableRepositoryFeatures
+ * @returns {Promise<Object>} { success, features } where features maps each feature key to
+ *   { status: 'restored' | 'failed', reason }
+ */
+async function rollbackRepositoryFeatures(client, repoPath, result) {
+  const rollback = { success: true, features: {} };
+  const changed = REPOSITORY_FEATURES
+    .filter(feature => result.features[feature.key] && result.features[feature.key].status === 'enabled')
+    .reverse();
+
+  console.log(`Rolling back ${changed.map(feature => feature.label).join(', ')} for ${result.repository}`);
+  for (const feature of changed) {
+    try {
+      // The snapshot settings are stale now, so tell disableFeature the feature is on
+      await disableFeature(feature.key, client, repoPath, { [feature.key]: { status: 'enabled' } });
+      rollback.features[feature.key] = { status: 'restored', reason: null };
+    } catch (error) {
+      const reason = describeApiError(error, `roll back ${feature.label}`);
+      rollback.features[feature.key] = { status: 'failed', reason };
+      rollback.success = false;
+      console.error(`Warning: ${reason} (${result.repository})`);
+    }
+  }
+
+  return rollback;
+}
+
+/**
+ * Enables a single feature on a repository unless it is already enabled
+ * Code scanning default setup is configured with the requested query suite, runner and languages;
+ * selected languages that GitHub did not detect in the repository are skipped, and the step fails
+ * if none are left.
+ * @param {string} featureKey - Key from REPOSITORY_FEATURES
+ * @param {Object} client - API client for the repository's hostname
+ * @param {string} repoPath - API path of the repository (/repos/org/repo)
+ * @param {Object} securityAndAnalysis - Current security_and_analysis settings of the repository
+ * @param {Object} options - Enablement options (see getEnablementOptions)
+ * @returns {Promise<Object>} Outcome with status 'enabled', 'already-enabled', 'failed' or 'unsupported' (labeled runners
+ *   on an instance without them) and the previous state; code scanning outcomes include configuration: { languages, querySuite, runnerType, runnerLabel, skippedLanguages }
+ */
+async function enableFeature(featureKey, client, repoPath, securityAndAnalysis, options = {}) {
+  switch (featureKey) {
+    case 'advanced_security':
+    case 'secret_scanning':
+    case 'secret_scanning_push_protection':
+    case 'secret_scanning_non_provider_patterns':
+    case 'secret_scanning_validity_checks': {
+      const current = securityAndAnalysis[featureKey];
+      const previous = current ? current.status : 'disabled';
+      if (previous === 'enabled') {
+        return { status: 'already-enabled', reason: null, previous };
+      }
+      await client.request('PATCH', repoPath, {
+        security_and_analysis: { [featureKey]: { status: 'enabled' } }
+      });
+      return { status: 'enabled', reason: null, previous };
+    }
+    case 'code_scanning_default_setup': {
+      const { data: defaultSetup } = await client.request('GET', `${repoPath}/code-scanning/default-setup`);
+      const previous = (defaultSetup && defaultSetup.state) || 'not-configured';
+      if (previous === 'configured') {
+        // Existing configurations are reported but not changed
+        return {
+          status: 'already-enabled',
+          reason: null,
+          previous,
+          configuration: {
+            languages: defaultSetup.languages || [],
+            querySuite: defaultSetup.query_suite || null,
+            runnerType: defaultSetup.runner_type || null,
+            runnerLabel: defaultSetup.runner_label || null,
+            skippedLanguages: []
+          }
+        };
+      }
+
+      const codeScanning = options.codeScanning || DEFAULT_CODE_SCANNING_OPTIONS;
+      // Instances without runner_type only run default setup on standard runners
+      const runnerTypeSupported = !options.capabilities || options.capabilities.apis.codeScanningRunnerType;
+      if (codeScanning.runnerType === 'labeled' && !runnerTypeSupported) {
+        return {
+          status: 'unsupported',
+          reason: `Labeled runners require GHES ${API_MINIMUM_VERSIONS.codeScanningRunnerType} or later`,
+          previous
+        };
+      }
+      const { data: repositoryLanguages } = await client.request('GET', `${repoPath}/languages`);
+      const detected = detectCodeScanningLanguages(repositoryLanguages);
+      const languages = codeScanning.languages.length > 0
+        ? codeScanning.languages.filter(language => detected.includes(language))
+        : detected;
+      const skippedLanguages = codeScanning.languages.filter(language => !detected.includes(language));
+      if (codeScanning.languages.length > 0 && languages.length === 0) {
+        return {
+          status: 'failed',
+          reason: `None of the selected languages (${codeScanning.languages.join(', ')}) were detected in the repository (detected: ${detected.length > 0 ? detected.join(', ') : 'none supported by default setup'})`,
+          previous
+        };
+      }
+
+      const body = {
+        state: 'configured',
+        query_suite: codeScanning.querySuite
+      };
+      // Without a language selection default setup analyzes everything it supports
+      if (codeScanning.languages.length > 0) {
+        body.languages = languages;
+      }
+      if (runnerTypeSupported) {
+        body.runner_type = codeScanning.runnerType;
+      }
+      if (codeScanning.runnerType === 'labeled') {
+        body.runner_label = codeScanning.runnerLabel;
+      }
+      await client.request('PATCH', `${repoPath}/code-scanning/default-setup`, body);
+      return {
+        status: 'enabled',
+        reason: null,
+        previous,
+        configuration: {
+          languages,
+          querySuite: codeScanning.querySuite,
+          runnerType: codeScanning.runnerType,
+          runnerLabel: codeScanning.runnerLabel,
+          skippedLanguages
         }
-        
-        // Fetch all repositories for this organization
-        const orgResult = fetchOrganizationRepos(orgUrl, token);
-        if (orgResult.success) {
-          console.log(`Adding ${orgResult.repositories.length} repositories from organization URL: ${orgUrl}`);
-          repositories.push(...orgResult.repositories);
-        } else {
-          console.error(`Failed to fetch repositories from organization: ${orgUrl}`);
-          // Add to invalid repositories list
-          invalidRepositories.push({
-            url: orgUrl,
-            error: orgResult.error
-          });
+      };
+    }
+    case 'dependabot_alerts': {
+      // The vulnerability-alerts endpoint responds with 204 when enabled and 404 when disabled
+      try {
+        await client.request('GET', `${repoPath}/vulnerability-alerts`);
+        return { status: 'already-enabled', reason: null, previous: 'enabled' };
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
         }
+      }
+      await client.request('PUT', `${repoPath}/vulnerability-alerts`);
+      return { status: 'enabled', reason: null, previous: 'disabled' };
+    }
+    case 'dependabot_security_updates':
+    case 'private_vulnerability_reporting': {
+      const endpoint = `${repoPath}/${TOGGLE_ENDPOINT_FEATURES[featureKey]}`;
+      const { data: current } = await client.request('GET', endpoint);
+      if (current && current.enabled) {
+        return { status: 'already-enabled', reason: null, previous: 'enabled' };
+      }
+      await client.request('PUT', endpoint);
+      return { status: 'enabled', reason: null, previous: 'disabled' };
+    }
+    default:
+      throw new Error(`Unknown feature: ${featureKey}`);
+  }
+}
+
+/**
+ * Disables the selected GHAS features on a single repository
+ * Features are turned off in reverse order of enablement, so Advanced Security (when selected)
+ * is disabled last. Only the features the change plan removes are sent; features that are
+ * already off are reported as such and not changed.
+ * @param {string} repoUrl - Repository URL
+ * @param {Object} features - Feature selection flags (same flags as enableRepositoryFeatures, naming the features to turn off)
+ * @param {boolean} features.enableSecretScanning - Whether to disable secret scanning
+ * @param {boolean} features.enableCodeScanning - Whether to disable code scanning default setup
+ * @param {boolean} features.enableDependabotAlerts - Whether to disable dependabot alerts
+ * @param {boolean} features.enablePushProtection - Whether to disable push protection (likewise for the other enable* flags)
+ * @param {boolean} features.disableAdvancedSecurity - Whether to disable Advanced Security, which frees licenses
+ * @param {string} token - Authentication token for the repository's hostname
+ * @param {Object} options - Disable options
+ * @param {Object} options.capabilities - Result of probeInstanceCapabilities; features the instance does not support are not attempted
+ * @returns {Promise<Object>} Result object with the same shape as enableRepositoryFeatures, where
+ *   feature statuses are 'disabled' | 'already-disabled' | 'failed' | 'unsupported'
+ */
+async function disableRepositoryFeatures(repoUrl, features = {}, token, options = {}) {
+  const result = {
+    repository: repoUrl,
+    hostname: null,
+    success: false,
+    error: null,
+    previousState: null,
+    plan: [],
+    features: {}
+  };
+
+  let org;
+  let repo;
+  try {
+    const url = new URL(repoUrl);
+    result.hostname = url.hostname;
+    [org, repo] = url.pathname.replace(/^\//, '').split('/');
+  } catch (error) {
+    result.error = `Invalid repository URL: ${error.message}`;
+    return result;
+  }
+
+  if (!org || !repo) {
+    result.error = 'Could not extract organization and repository name from URL';
+    return result;
+  }
+
+  const hostname = result.hostname;
+  const client = getApiClient(hostname, token);
+  const repoPath = `/repos/${encodeURIComponent(org)}/${encodeURIComponent(repo)}`;
+  const requested = REPOSITORY_FEATURES
+    .filter(feature => feature.flag ? features[feature.flag] : features.disableAdvancedSecurity)
+    .reverse();
+
+  console.log(`Processing repository: ${org}/${repo} on ${hostname}`);
+
+  // Read the current settings so features that are already off are not changed again
+  let repoData;
+  try {
+    ({ data: repoData } = await client.request('GET', repoPath));
+  } catch (error) {
+    result.error = describeApiError(error, 'access this repository');
+    console.error(`Error: ${result.error} (${repoUrl})`);
+    return result;
+  }
+  const securityAndAnalysis = (repoData && repoData.security_and_analysis) || {};
+  result.previousState = await captureRepositorySnapshot(client, repoPath, securityAndAnalysis, requested);
+  result.plan = computeChangePlan(requested, result.previousState, { requestType: 'disable', capabilities: options.capabilities });
+  console.log(`Plan for ${org}/${repo}: ${describeChangePlan(result.plan)}`);
+
+  for (const step of result.plan) {
+    const feature = REPOSITORY_FEATURES.find(item => item.key === step.key);
+    if (step.action === 'unsupported') {
+      result.features[feature.key] = { status: 'unsupported', reason: step.reason, previous: step.current };
+      console.log(`${feature.label} for ${repoUrl}: ${step.reason}`);
+      continue;
+    }
+    if (step.action === 'unchanged') {
+      result.features[feature.key] = { status: 'already-disabled', reason: null, previous: step.current };
+      console.log(`${feature.label} for ${repoUrl}: already-disabled`);
+      continue;
+    }
+    try {
+      result.features[feature.key] = await disableFeature(feature.key, client, repoPath, securityAndAnalysis);
+      console.log(`${feature.label} for ${repoUrl}: ${result.features[feature.key].status}`);
+    } catch (error) {
+      const reason = describeApiError(error, `disable ${feature.label}`);
+      result.features[feature.key] = { status: 'failed', reason };
+      console.error(`Warning: Failed to disable ${feature.label} for ${repoUrl}: ${reason}`);
+    }
+  }
+
+  result.success = Object.values(result.features).every(outcome => ['disabled', 'already-disabled', 'unsupported'].includes(outcome.status));
+
+  return result;
+}
+
+/**
+ * Disables a single feature on a repository unless it is already off
+ * @param {string} featureKey - Key from REPOSITORY_FEATURES
+ * @param {Object} client - API client for the repository's hostname
+ * @param {string} repoPath - API path of the repository (/repos/org/repo)
+ * @param {Object} securityAndAnalysis - Current security_and_analysis settings of the repository
+ * @returns {Promise<Object>} Outcome with status 'disabled' or 'already-disabled' and the previous state
+ */
+async function disableFeature(featureKey, client, repoPath, securityAndAnalysis) {
+  switch (featureKey) {
+    case 'advanced_security':
+    case 'secret_scanning':
+    case 'secret_scanning_push_protection':
+    case 'secret_scanning_non_provider_patterns':
+    case 'secret_scanning_validity_checks': {
+      const current = securityAndAnalysis[featureKey];
+      const previous = current ? current.status : 'disabled';
+      if (previous !== 'enabled') {
+        return { status: 'already-disabled', reason: null, previous };
+      }
+      await client.request('PATCH', repoPath, {
+        security_and_analysis: { [featureKey]: { status: 'disabled' } }
+      });
+      return { status: 'disabled', reason: null, previous };
+    }
+    case 'code_scanning_default_setup': {
+      const { data: defaultSetup } = await client.request('GET', `${repoPath}/code-scanning/default-setup`);
+      const previous = (defaultSetup && defaultSetup.state) || 'not-configured';
+      if (previous !== 'configured') {
+        return { status: 'already-disabled', reason: null, previous };
+      }
+      await client.request('PATCH', `${repoPath}/code-scanning/default-setup`, { state: 'not-configured' });
+      return { status: 'disabled', reason: null, previous };
+    }
+    case 'dependabot_alerts': {
+      // The vulnerability-alerts endpoint responds with 204 when enabled and 404 when disabled
+      try {
+        await client.request('GET', `${repoPath}/vulnerability-alerts`);
       } catch (error) {
-        console.error(`Error processing org URL ${orgUrl}:`, error.message);
+        if (error.status === 404) {
+          return { status: 'already-disabled', reason: null, previous: 'disabled' };
+        }
+        throw error;
+      }
+      await client.request('DELETE', `${repoPath}/vulnerability-alerts`);
+      return { status: 'disabled', reason: null, previous: 'enabled' };
+    }
+    case 'dependabot_security_updates':
+    case 'private_vulnerability_reporting': {
+      const endpoint = `${repoPath}/${TOGGLE_ENDPOINT_FEATURES[featureKey]}`;
+      const { data: current } = await client.request('GET', endpoint);
+      if (!current || !current.enabled) {
+        return { status: 'already-disabled', reason: null, previous: 'disabled' };
+      }
+      await client.request('DELETE', endpoint);
+      return { status: 'disabled', reason: null, previous: 'enabled' };
+    }
+    default:
+      throw new Error(`Unknown feature: ${featureKey}`);
+  }
+}
+
+/**
+ * Checks a repository before any change, without changing anything
+ * Reads the repository, its security_and_analysis settings and the current state of each requested
+ * feature, and computes the change plan enableRepositoryFeatures (or disableRepositoryFeatures) would apply.
+ * Default setup is also planned as blocked when none of the selected languages are detected.
+ * @param {string} repoUrl - Repository URL
+ * @param {Object} features - Feature selection flags, as for enableRepositoryFeatures (or disableRepositoryFeatures)
+ * @param {string} token - Authentication token for the repository's hostname
+ * @param {Object} options - Check options (optional)
+ * @param {string} options.requestType - 'enable' (default) or 'disable'
+ * @param {Object} options.codeScanning - Default setup options (see resolveCodeScanningOptions)
+ * @param {Object} options.capabilities - Result of probeInstanceCapabilities
+ * @returns {Promise<Object>} Result object containing:
+ *   - repository, hostname: The repository URL and hostname
+ *   - valid: False when the repository cannot be changed at all (see error)
+ *   - error: Why the repository cannot be changed (not accessible, archived, no admin access) or null
+ *   - visibility, archived, admin: Repository details; admin is null when the API does not report permissions
+ *   - securityAndAnalysis: Current security_and_analysis settings, or null
+ *   - plan: Result of computeChangePlan (empty when the repository is not valid)
+ *   - features: Map of feature key to { status, reason, current }, where status is 'already-enabled' | 'will-enable' |
+ *     'cannot-enable' (or the disable equivalents) | 'unsupported' and current is the state read from the repository
+ */
+async function validateRepository(repoUrl, features = {}, token, options = {}) {
+  const isDisable = options.requestType === 'disable';
+  const result = {
+    repository: repoUrl,
+    hostname: null,
+    valid: false,
+    error: null,
+    visibility: null,
+    archived: false,
+    admin: null,
+    securityAndAnalysis: null,
+    plan: [],
+    features: {}
+  };
+
+  let org;
+  let repo;
+  try {
+    const url = new URL(repoUrl);
+    result.hostname = url.hostname;
+    [org, repo] = url.pathname.replace(/^\//, '').split('/');
+  } catch (error) {
+    result.error = `Invalid repository URL: ${error.message}`;
+    return result;
+  }
+
+  if (!org || !repo) {
+    result.error = 'Could not extract organization and repository name from URL';
+    return result;
+  }
+
+  const client = getApiClient(result.hostname, token);
+  const repoPath = `/repos/${encodeURIComponent(org)}/${encodeURIComponent(repo)}`;
+  const requested = isDisable
+    ? REPOSITORY_FEATURES.filter(feature => feature.flag ? features[feature.flag] : features.disableAdvancedSecurity).reverse()
+    : resolveRequestedFeatures(features);
+
+  let repoData;
+  try {
+    ({ data: repoData } = await client.request('GET', repoPath));
+  } catch (error) {
+    result.error = describeApiError(error, 'access this repository');
+    return result;
+  }
+  result.visibility = repoData.visibility || (repoData.private ? 'private' : 'public');
+  result.archived = repoData.archived === true;
+  result.admin = repoData.permissions ? repoData.permissions.admin === true : null;
+  result.securityAndAnalysis = repoData.security_and_analysis || null;
+
+  if (result.archived) {
+    result.error = 'Repository is archived; its security settings cannot be changed until it is unarchived';
+    return result;
+  }
+  if (repoData.disabled) {
+    result.error = 'Repository is disabled';
+    return result;
+  }
+  if (result.admin === false) {
+    result.error = 'The token does not have admin access to this repository, which is needed to change its security settings';
+    return result;
+  }
+  result.valid = true;
+
+  const snapshot = await captureRepositorySnapshot(client, repoPath, result.securityAndAnalysis || {}, requested);
+  result.plan = computeChangePlan(requested, snapshot, {
+    requestType: options.requestType,
+    visibility: result.visibility,
+    codeScanning: options.codeScanning,
+    capabilities: options.capabilities
+  });
+
+  // Default setup fails on repositories without the selected languages; the plan cannot see that without reading them
+  const defaultSetup = result.plan.find(entry => entry.key === 'code_scanning_default_setup' && entry.action === 'add');
+  if (defaultSetup) {
+    const reason = await getDefaultSetupBlocker(client, repoPath, options);
+    if (reason) {
+      defaultSetup.action = 'blocked';
+      defaultSetup.reason = reason;
+    }
+  }
+
+  const statuses = isDisable
+    ? { remove: 'will-disable', unchanged: 'already-disabled', blocked: 'cannot-disable' }
+    : { add: 'will-enable', unchanged: 'already-enabled', blocked: 'cannot-enable' };
+  result.plan.forEach(entry => {
+    result.features[entry.key] = { status: statuses[entry.action] || entry.action, reason: entry.reason, current: entry.current };
+  });
+
+  return result;
+}
+
+/**
+ * Finds why code scanning default setup could not be configured on a repository, as enableFeature would find out
+ * @param {Object} client - API client for the repository's hostname
+ * @param {string} repoPath - API path of the repository (/repos/org/repo)
+ * @param {Object} options - Check options (codeScanning)
+ * @returns {Promise<string|null>} Reason, or null when default setup can be configured (or languages could not be read)
+ */
+async function getDefaultSetupBlocker(client, repoPath, options) {
+  const codeScanning = options.codeScanning || DEFAULT_CODE_SCANNING_OPTIONS;
+  let detected;
+  try {
+    const { data: repositoryLanguages } = await client.request('GET', `${repoPath}/languages`);
+    detected = detectCodeScanningLanguages(repositoryLanguages);
+  } catch (error) {
+    return null;
+  }
+  if (codeScanning.languages.length > 0 && !codeScanning.languages.some(language => detected.includes(language))) {
+    return `None of the selected languages (${codeScanning.languages.join(', ')}) were detected in the repository (detected: ${detected.length > 0 ? detected.join(', ') : 'none supported by default setup'})`;
+  }
+  if (detected.length === 0) {
+    return 'No language supported by default setup was detected in the repository';
+  }
+  return null;
+}
+
+// Values accepted for each setting of a code security configuration
+const SECURITY_CONFIGURATION_VALUES = ['enabled', 'disabled', 'not_set'];
+
+// Settings of a code security configuration and the feature flags they correspond to
+const SECURITY_CONFIGURATION_SETTINGS = {
+  advanced_security: null,
+  secret_scanning: 'enableSecretScanning',
+  secret_scanning_push_protection: 'enablePushProtection',
+  secret_scanning_non_provider_patterns: 'enableNonProviderPatterns',
+  secret_scanning_validity_checks: 'enableValidityChecks',
+  code_scanning_default_setup: 'enableCodeScanning',
+  dependency_graph: null,
+  dependabot_alerts: 'enableDependabotAlerts',
+  dependabot_security_updates: 'enableDependabotSecurityUpdates',
+  private_vulnerability_reporting: 'enablePrivateVulnerabilityReporting'
+};
+
+/**
+ * Builds the request body for creating a code security configuration from its config.yaml definition
+ * Settings missing from the definition are left as 'not_set'; invalid values are logged and skipped.
+ * @param {string} name - Configuration name
+ * @param {Object} definition - Entry from the security_configurations section of config.yaml
+ * @returns {Object} Body for POST /orgs/{org}/code-security/configurations
+ */
+function buildSecurityConfigurationBody(name, definition = {}) {
+  const body = {
+    name,
+    description: definition.description || `Created by GHAS IssueOps for ${name}`
+  };
+  Object.keys(SECURITY_CONFIGURATION_SETTINGS).forEach(setting => {
+    const value = definition[setting];
+    if (value === undefined || value === null) {
+      return;
+    }
+    const normalized = value === true ? 'enabled' : value === false ? 'disabled' : String(value).toLowerCase();
+    if (SECURITY_CONFIGURATION_VALUES.includes(normalized)) {
+      body[setting] = normalized;
+    } else {
+      console.warn(`Ignoring ${setting}: "${value}" in security configuration ${name} (expected ${SECURITY_CONFIGURATION_VALUES.join(', ')})`);
+    }
+  });
+  if (definition.enforcement) {
+    body.enforcement = definition.enforcement;
+  }
+  return body;
+}
+
+/**
+ * Maps a code security configuration to the feature flags of enableRepositoryFeatures
+ * Used to apply the same settings per repository on instances without security configurations.
+ * @param {Object} configuration - Configuration from the API or buildSecurityConfigurationBody
+ * @returns {Object} Feature flags, true for every setting that is 'enabled'
+ */
+function securityConfigurationToFeatures(configuration = {}) {
+  const features = {};
+  Object.entries(SECURITY_CONFIGURATION_SETTINGS).forEach(([setting, flag]) => {
+    if (flag) {
+      features[flag] = configuration[setting] === 'enabled';
+    }
+  });
+  return features;
+}
+
+/**
+ * Looks up a code security configuration by name on an organization, creating it from its
+ * config.yaml definition when it does not exist yet
+ * @param {Object} client - API client for the organization's hostname
+ * @param {string} org - Organization login
+ * @param {string} name - Configuration name (matched case-insensitively)
+ * @param {Object} definition - Entry from the security_configurations section of config.yaml, or null
+ * @param {boolean} apiSupported - True when the instance was probed and supports the API; a 404 then means the
+ *   organization could not be found rather than that the API is missing
+ * @returns {Promise<Object>} { supported, configuration, created, error }, where supported is false
+ *   when the instance has no code security configurations API
+ */
+async function ensureSecurityConfiguration(client, org, name, definition = null, apiSupported = false) {
+  const outcome = { supported: true, configuration: null, created: false, error: null };
+  const basePath = `/orgs/${encodeURIComponent(org)}/code-security/configurations`;
+
+  let configurations;
+  try {
+    configurations = await client.paginate(`${basePath}?per_page=100`);
+  } catch (error) {
+    // Instances that predate security configurations do not know the endpoint
+    if (error.status === 404 && !apiSupported) {
+      outcome.supported = false;
+      return outcome;
+    }
+    outcome.error = error.status === 404
+      ? `Organization ${org} was not found, or the token cannot read its security configurations`
+      : describeApiError(error, `list security configurations for ${org}`);
+    return outcome;
+  }
+
+  outcome.configuration = configurations.find(configuration => configuration.name.toLowerCase() === name.toLowerCase()) || null;
+  if (outcome.configuration) {
+    return outcome;
+  }
+
+  if (!definition) {
+    outcome.error = `Security configuration "${name}" does not exist in ${org} and is not defined in config.yaml`;
+    return outcome;
+  }
+
+  try {
+    ({ data: outcome.configuration } = await client.request('POST', basePath, buildSecurityConfigurationBody(name, definition)));
+    outcome.created = true;
+    console.log(`Created security configuration "${name}" in ${org}`);
+  } catch (error) {
+    outcome.error = describeApiError(error, `create security configuration "${name}" in ${org}`);
+  }
+  return outcome;
+}
+
+/**
+ * Attaches a code security configuration to repositories, organization by organization
+ * Repositories on instances without security configurations are returned for the per-repository
+ * fallback (enableRepositoryFeatures with securityConfigurationToFeatures) instead of being changed.
+ * Attaching is asynchronous on GitHub's side; 'attached' means the request was accepted.
+ * @param {Array} repositories - Repository URLs (all on one hostname)
+ * @param {string} name - Configuration name
+ * @param {string} token - Authentication token for the repositories' hostname
+ * @param {Object} capabilities - Result of probeInstanceCapabilities; instances known to predate security
+ *   configurations go straight to the fallback. Only when the instance was not probed, or its version could not be
+ *   read, is the fallback chosen when the API answers 404; otherwise the organization's repositories fail.
+ * @returns {Promise<Object>} Object containing:
+ *   - results: Results shaped like enableRepositoryFeatures, with a security_configuration feature
+ *     { status: 'attached' | 'already-attached' | 'failed', reason, previous }
+ *   - fallbackRepositories: Repository URLs to enable per repository
+ *   - fallbackFeatures: Feature flags matching the configuration (or null if it is not defined in config.yaml)
+ */
+async function applySecurityConfiguration(repositories, name, token, capabilities = null) {
+  const definitions = loadConfig().security_configurations || {};
+  const definitionName = Object.keys(definitions).find(key => key.toLowerCase() === name.toLowerCase());
+  const definition = definitionName ? definitions[definitionName] : null;
+
+  const outcome = {
+    results: [],
+    fallbackRepositories: [],
+    fallbackFeatures: definition ? securityConfigurationToFeatures(buildSecurityConfigurationBody(name, definition)) : null
+  };
+
+  if (capabilities && !capabilities.apis.securityConfigurations) {
+    console.log(`${describeInstance(capabilities)} does not support security configurations (requires GHES ${API_MINIMUM_VERSIONS.securityConfigurations}), enabling features per repository`);
+    outcome.fallbackRepositories.push(...repositories);
+    return outcome;
+  }
+
+  const apiSupported = Boolean(capabilities && !capabilities.error && capabilities.apis.securityConfigurations);
+
+  // Group repositories by organization, as configurations are attached per organization
+  const byOrg = {};
+  repositories.forEach(repoUrl => {
+    const target = classifyTargetUrl(repoUrl);
+    const key = `${target.hostname}/${target.org}`;
+    (byOrg[key] = byOrg[key] || { hostname: target.hostname, org: target.org, repositories: [] }).repositories.push(repoUrl);
+  });
+
+  for (const { hostname, org, repositories: orgRepositories } of Object.values(byOrg)) {
+    const client = getApiClient(hostname, token);
+    const ensured = await ensureSecurityConfiguration(client, org, name, definition, apiSupported);
+    if (!ensured.supported) {
+      console.log(`${hostname} does not support security configurations, enabling features per repository for ${org}`);
+      outcome.fallbackRepositories.push(...orgRepositories);
+      continue;
+    }
+
+    const attach = [];
+    for (const repoUrl of orgRepositories) {
+      const repo = classifyTargetUrl(repoUrl).repo;
+      const repoPath = `/repos/${encodeURIComponent(org)}/${encodeURIComponent(repo)}`;
+      const result = { repository: repoUrl, hostname, success: false, error: null, previousState: null, features: {} };
+      outcome.results.push(result);
+      if (ensured.error) {
+        result.error = ensured.error;
+        continue;
+      }
+
+      try {
+        const { data: repoData } = await client.request('GET', repoPath);
+        result.previousState = {
+          capturedAt: new Date().toISOString(),
+          security_and_analysis: repoData.security_and_analysis || {},
+          security_configuration: null
+        };
+        try {
+          const { data: attached } = await client.request('GET', `${repoPath}/code-security-configuration`);
+          result.previousState.security_configuration = attached && attached.configuration ? attached.configuration.name : null;
+        } catch (error) {
+          // No configuration attached yet
+        }
+        const previous = result.previousState.security_configuration || 'none';
+        if (previous.toLowerCase() === ensured.configuration.name.toLowerCase()) {
+          result.features.security_configuration = { status: 'already-attached', reason: null, previous };
+          result.success = true;
+        } else {
+          attach.push({ result, id: repoData.id, previous });
+        }
+      } catch (error) {
+        result.error = describeApiError(error, 'access this repository');
+      }
+    }
+
+    if (attach.length === 0) {
+      continue;
+    }
+    try {
+      await client.request('POST', `/orgs/${encodeURIComponent(org)}/code-security/configurations/${ensured.configuration.id}/attach`, {
+        scope: 'selected',
+        selected_repository_ids: attach.map(item => item.id)
+      });
+      attach.forEach(({ result, previous }) => {
+        result.features.security_configuration = { status: 'attached', reason: null, previous };
+        result.success = true;
+      });
+      console.log(`Attached security configuration "${ensured.configuration.name}" to ${attach.length} repositories in ${org}`);
+    } catch (error) {
+      const reason = describeApiError(error, `attach security configuration "${ensured.configuration.name}"`);
+      attach.forEach(({ result, previous }) => {
+        result.features.security_configuration = { status: 'failed', reason, previous };
+      });
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Removes entries reported more than once for the same URL, keeping the first
+ * @param {Array} items - Objects with a url property
+ * @returns {Array} Entries with unique URLs
+ */
+function uniqueByUrl(items) {
+  const seen = new Set();
+  return items.filter(item => !seen.has(item.url) && seen.add(item.url));
+}
+
+// Lists accept a YAML sequence or a comma separated string (see toList)
+const CONFIG_STRING_LIST = { type: ['array', 'string'], items: { type: 'string' } };
+const CONFIG_TEAM = { type: 'string', pattern: /^@?[^/\s]+\/[^/\s]+$/, patternMessage: 'must be a team as org/team-slug' };
+
+/**
+ * Declared schema of config.yaml, checked by validateConfig
+ * Objects reject keys that are not listed in properties, so typos are reported instead of ignored.
+ * Types: object (properties), map (any keys, values), array (items), string, integer, boolean, url, env, date.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['ghes_instances'],
+  properties: {
+    ghes_instances: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'api_url', 'auth_var'],
+        properties: {
+          name: { type: 'string' },
+          api_url: { type: 'url' },
+          auth_var: { type: 'env' },
+          enterprise: { type: 'string' },
+          max_concurrency: { type: 'integer', minimum: 1 },
+          license_pool: { type: 'string' }
+        }
+      }
+    },
+    ghec: {
+      type: 'object',
+      required: ['name', 'api_url', 'auth_var'],
+      properties: {
+        name: { type: 'string' },
+        api_url: { type: 'url' },
+        auth_var: { type: 'env' }
+      }
+    },
+    license_pools: {
+      type: 'map',
+      values: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', enum: ['ghec', 'ghes'] },
+          total: { type: 'integer', minimum: 0 },
+          min_remaining_licenses: { type: 'integer', minimum: 0 }
+        }
+      }
+    },
+    committer_analysis: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'integer', minimum: 1 },
+        lookback_days: { type: 'integer', minimum: 1, maximum: 365 },
+        branch_scope: { type: 'string' },
+        exclude_bots: { type: 'boolean' },
+        exclude_patterns: CONFIG_STRING_LIST,
+        aliases: { type: 'map', values: CONFIG_STRING_LIST }
+      }
+    },
+    repository_filters: {
+      type: 'object',
+      properties: {
+        exclude_archived: { type: 'boolean' },
+        exclude_disabled: { type: 'boolean' },
+        exclude_forks: { type: 'boolean' },
+        exclude_empty: { type: 'boolean' },
+        exclude_templates: { type: 'boolean' },
+        include_names: CONFIG_STRING_LIST,
+        exclude_names: CONFIG_STRING_LIST,
+        include_topics: CONFIG_STRING_LIST,
+        exclude_topics: CONFIG_STRING_LIST,
+        visibility: { type: ['array', 'string'], items: { type: 'string', enum: ['public', 'private', 'internal'] } },
+        pushed_after: { type: ['date', 'string'], pattern: /^(\d+d|\d{4}-\d{2}-\d{2}.*)$/i, patternMessage: 'must be a date (2024-01-01) or a number of days (180d)' }
+      }
+    },
+    approval: {
+      type: 'object',
+      properties: {
+        required: { type: 'boolean' },
+        approvers: {
+          type: 'object',
+          properties: {
+            users: CONFIG_STRING_LIST,
+            teams: { type: ['array', 'string'], items: CONFIG_TEAM }
+          }
+        },
+        command: { type: 'string', pattern: /^\/\S+$/, patternMessage: 'must be a slash command such as /approve' },
+        label: { type: 'string' }
+      }
+    },
+    budgets: {
+      type: 'object',
+      properties: {
+        max_repositories_per_request: { type: 'integer', minimum: 0 },
+        action: { type: 'string', enum: ['reject', 'flag'] },
+        default: { type: 'integer', minimum: 0 },
+        users: { type: 'map', values: { type: 'integer', minimum: 0 } },
+        teams: { type: 'map', keys: CONFIG_TEAM, values: { type: 'integer', minimum: 0 } }
+      }
+    },
+    enablement: {
+      type: 'object',
+      properties: {
+        rollback_on_failure: { type: 'boolean' }
+      }
+    },
+    code_scanning: {
+      type: 'object',
+      properties: {
+        query_suite: { type: 'string', enum: ['default', 'extended'] },
+        languages: CONFIG_STRING_LIST,
+        runner_type: { type: 'string', enum: ['standard', 'labeled'] },
+        runner_label: { type: 'string' }
+      }
+    },
+    security_configurations: {
+      type: 'map',
+      values: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          enforcement: { type: 'string', enum: ['enforced', 'unenforced'] },
+          ...Object.fromEntries(Object.keys(SECURITY_CONFIGURATION_SETTINGS).map(setting => [
+            setting,
+            { type: ['string', 'boolean'], enum: [...SECURITY_CONFIGURATION_VALUES, true, false] }
+          ]))
+        }
+      }
+    },
+    results: {
+      type: 'object',
+      properties: {
+        author: { type: 'string' }
+      }
+    },
+    ledger: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        branch: { type: ['string', 'boolean'] },
+        path: { type: 'string' },
+        artifact: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * Checks whether a config value has one of the schema types
+ * @param {*} value - Value from config.yaml
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function matchesConfigType(value, type) {
+  switch (type) {
+    case 'object':
+    case 'map':
+      return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'date':
+      return value instanceof Date;
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/[^/\s]+/.test(value);
+    case 'env':
+      return typeof value === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// How each schema type is named in validation errors
+const CONFIG_TYPE_NAMES = {
+  object: 'a mapping',
+  map: 'a mapping',
+  array: 'a list',
+  string: 'a string',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  date: 'a date',
+  url: 'an http(s) URL',
+  env: 'an environment variable name'
+};
+
+/**
+ * Validates a config value against its schema, recursing into objects, maps and lists
+ * Missing (null) values are allowed unless the parent object lists them as required.
+ * @param {*} value - Value from config.yaml
+ * @param {Object} schema - Schema of the value (see CONFIG_SCHEMA)
+ * @param {string} path - Path of the value, e.g. ghes_instances[0].api_url
+ * @param {Array} errors - Receives { path, message } for every problem found
+ */
+function validateConfigValue(value, schema, path, errors) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesConfigType(value, type))) {
+    const shown = typeof value === 'object' ? (Array.isArray(value) ? 'a list' : 'a mapping') : `"${value}"`;
+    errors.push({ path, message: `must be ${types.map(type => CONFIG_TYPE_NAMES[type]).join(' or ')}, got ${shown}` });
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(typeof value === 'string' ? value.toLowerCase() : value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}, got "${value}"` });
+  }
+  if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+    errors.push({ path, message: `${schema.patternMessage}, got "${value}"` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must list at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateConfigValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+  } else if (typeof value === 'object' && !(value instanceof Date)) {
+    const prefix = path ? `${path}.` : '';
+    if (schema.properties) {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors.push({ path: `${prefix}${key}`, message: 'is required' });
+        }
+      });
+      Object.keys(value).forEach(key => {
+        if (!schema.properties[key]) {
+          errors.push({ path: `${prefix}${key}`, message: `is not a known setting (expected one of ${Object.keys(schema.properties).join(', ')})` });
+          return;
+        }
+        validateConfigValue(value[key], schema.properties[key], `${prefix}${key}`, errors);
+      });
+    }
+    if (schema.values) {
+      Object.entries(value).forEach(([key, entry]) => {
+        if (schema.keys) {
+          validateConfigValue(key, schema.keys, `${prefix}${key}`, errors);
+        }
+        validateConfigValue(entry, schema.values, `${prefix}${key}`, errors);
+      });
+    }
+  }
+}
+
+/**
+ * Checks the parts of config.yaml that refer to each other or to the environment
+ * @param {Object} config - Parsed and interpolated config.yaml
+ * @param {Object} env - Environment holding the auth_var tokens
+ * @param {boolean} checkAuthVars - Whether every auth_var must be set in env
+ * @param {Array} errors - Receives { path, message } for every problem found
+ */
+function validateConfigReferences(config, env, checkAuthVars, errors) {
+  const instances = Array.isArray(config.ghes_instances) ? config.ghes_instances : [];
+  const pools = new Set(Object.keys(config.license_pools || {}));
+  if (config.ghec) {
+    pools.add(DEFAULT_LICENSE_POOL);
+  }
+  const names = {};
+  const hostnames = {};
+  
+  instances.forEach((instance, index) => {
+    if (!instance || typeof instance !== 'object') {
+      return;
+    }
+    const path = `ghes_instances[${index}]`;
+    if (typeof instance.name === 'string') {
+      const name = instance.name.toLowerCase();
+      if (names[name] !== undefined) {
+        errors.push({ path: `${path}.name`, message: `"${instance.name}" is already used by ghes_instances[${names[name]}]; instance names must be unique` });
+      } else {
+        names[name] = index;
+      }
+    }
+    if (matchesConfigType(instance.api_url, 'url')) {
+      const apiUrl = new URL(instance.api_url);
+      const hostname = apiUrl.hostname.replace(/^api\./, '');
+      if (hostnames[hostname] !== undefined) {
+        errors.push({ path: `${path}.api_url`, message: `${hostname} is already configured by ghes_instances[${hostnames[hostname]}]` });
+      } else {
+        hostnames[hostname] = index;
+      }
+      if (!/\/api\/v3\/?$/.test(apiUrl.pathname) && !apiUrl.hostname.startsWith('api.')) {
+        errors.push({ path: `${path}.api_url`, message: `must be the REST API URL of the instance, e.g. https://${apiUrl.hostname}/api/v3` });
+      }
+    }
+    const pool = instance.license_pool || DEFAULT_LICENSE_POOL;
+    if (!pools.has(pool)) {
+      errors.push({
+        path: `${path}.license_pool`,
+        message: instance.license_pool
+          ? `refers to license pool "${pool}", which is not defined in license_pools`
+          : 'is required when there is no ghec section to draw licenses from'
+      });
+    }
+  });
+  
+  Object.entries(config.license_pools || {}).forEach(([name, pool]) => {
+    if (pool && (pool.source || DEFAULT_LICENSE_POOL) === 'ghec' && !config.ghec) {
+      errors.push({ path: `license_pools.${name}.source`, message: 'ghec requires the ghec section' });
+    }
+    // Instances sharing a license each report its full seat count, so the pool's seats cannot be read from them
+    const members = instances.filter(instance => instance && instance.license_pool === name).length;
+    if (pool && pool.source === 'ghes' && members > 1 && (pool.total === undefined || pool.total === null)) {
+      errors.push({ path: `license_pools.${name}.total`, message: `is required for ghes pools with more than one instance (${members} instances use this pool)` });
+    }
+  });
+  
+  if (checkAuthVars) {
+    const authVars = instances.map((instance, index) => [`ghes_instances[${index}].auth_var`, instance && instance.auth_var]);
+    if (config.ghec) {
+      authVars.push(['ghec.auth_var', config.ghec.auth_var]);
+    }
+    authVars.forEach(([path, authVar]) => {
+      if (matchesConfigType(authVar, 'env') && !env[authVar]) {
+        errors.push({ path, message: `${authVar} is not set; add it as a secret and pass it to the workflow` });
+      }
+    });
+  }
+}
+
+/**
+ * Replaces ${VAR} and ${VAR:-default} placeholders in every string of config.yaml
+ * A value that is only a placeholder keeps the type of what it resolves to (numbers and booleans).
+ * @param {*} value - Parsed config.yaml, or a value within it
+ * @param {Function} lookup - Returns the value of a variable, or undefined
+ * @param {string} path - Path of the value, for errors
+ * @param {Array} errors - Receives { path, message } for every unset variable
+ * @returns {*} The value with placeholders replaced
+ */
+function interpolateConfigValue(value, lookup, path, errors) {
+  if (typeof value === 'string') {
+    const placeholder = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+    const resolved = value.replace(placeholder, (match, name, fallback) => {
+      const variable = lookup(name);
+      if (variable !== undefined && variable !== '') {
+        return variable;
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      errors.push({ path, message: `refers to \${${name}}, which is not set` });
+      return match;
+    });
+    if (resolved !== value && /^\$\{[^}]+\}$/.test(value.trim())) {
+      if (/^-?\d+$/.test(resolved)) {
+        return parseInt(resolved, 10);
+      }
+      if (['true', 'false'].includes(resolved)) {
+        return resolved === 'true';
+      }
+    }
+    return resolved;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolateConfigValue(item, lookup, `${path}[${index}]`, errors));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const prefix = path ? `${path}.` : '';
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, interpolateConfigValue(entry, lookup, `${prefix}${key}`, errors)]));
+  }
+  return value;
+}
+
+/**
+ * Merges an environment overlay over config.yaml
+ * Mappings are merged key by key; lists and other values replace the base value, and null removes it.
+ * @param {*} base - Value from config.yaml
+ * @param {*} overlay - Value from the overlay file
+ * @returns {*} Merged value
+ */
+function mergeConfigOverlay(base, overlay) {
+  const isMapping = value => value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  if (!isMapping(base) || !isMapping(overlay)) {
+    return overlay;
+  }
+  const merged = { ...base };
+  Object.entries(overlay).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = mergeConfigOverlay(base[key], value);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Reads and validates config.yaml
+ * The environment overlay config.<environment>.yaml is merged over it when an environment is set, then
+ * ${VAR} placeholders are resolved from the environment and from GHAS_CONFIG_VARS (repository variables
+ * as JSON), and the result is checked against CONFIG_SCHEMA and for conflicting or dangling references.
+ * @param {Object} options - Loading options (optional)
+ * @param {string} options.path - Path of the base file (default 'config.yaml')
+ * @param {string} options.environment - Overlay to apply (default GHAS_CONFIG_ENV)
+ * @param {boolean} options.checkAuthVars - Whether every auth_var must be set in env (default false)
+ * @param {Object} options.env - Environment to read variables and tokens from (default process.env)
+ * @returns {Object} { valid, errors, config, files, environment }, errors being { path, message }
+ */
+function validateConfig(options = {}) {
+  const env = options.env || process.env;
+  const basePath = options.path || 'config.yaml';
+  const environment = options.environment !== undefined ? options.environment : env.GHAS_CONFIG_ENV || '';
+  const result = { valid: false, errors: [], config: {}, files: [basePath], environment: environment || null };
+  
+  const readYaml = (file, label) => {
+    try {
+      const parsed = yaml.load(fs.readFileSync(file, 'utf8'));
+      return parsed === undefined || parsed === null ? {} : parsed;
+    } catch (error) {
+      result.errors.push({ path: label, message: error.code === 'ENOENT' ? `${file} does not exist` : `could not be parsed: ${error.message}` });
+      return null;
+    }
+  };
+  
+  let config = readYaml(basePath, basePath);
+  if (environment && config) {
+    const overlayPath = basePath.replace(/\.ya?ml$/, '') + `.${environment}.yaml`;
+    result.files.push(overlayPath);
+    const overlay = readYaml(overlayPath, overlayPath);
+    config = overlay ? mergeConfigOverlay(config, overlay) : null;
+  }
+  if (!config) {
+    return result;
+  }
+  
+  let variables = {};
+  try {
+    variables = JSON.parse(env.GHAS_CONFIG_VARS || '{}') || {};
+  } catch (error) {
+    console.warn('Ignoring GHAS_CONFIG_VARS: not valid JSON');
+  }
+  config = interpolateConfigValue(config, name => (env[name] !== undefined ? env[name] : variables[name]), '', result.errors);
+  
+  validateConfigValue(config, CONFIG_SCHEMA, '', result.errors);
+  if (typeof config === 'object' && !Array.isArray(config)) {
+    validateConfigReferences(config, env, options.checkAuthVars === true, result.errors);
+  }
+  
+  result.config = config;
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+// Results of validateConfig read from process.env, keyed by file path, environment and auth_var check
+const loadedConfigs = new Map();
+
+/**
+ * Reads config.yaml, throwing when it is invalid
+ * The file is read and validated once per path and environment, as every API client looks up its
+ * api_url here; an explicit options.env is always read afresh.
+ * @param {Object} options - Loading options, see validateConfig (optional)
+ * @returns {Object} The validated configuration
+ * @throws {Error} With every validation error listed, and the list in error.configErrors
+ */
+function loadConfig(options = {}) {
+  const environment = options.environment !== undefined ? options.environment : process.env.GHAS_CONFIG_ENV || '';
+  const key = JSON.stringify([path.resolve(options.path || 'config.yaml'), environment, options.checkAuthVars === true]);
+  let result = options.env ? null : loadedConfigs.get(key);
+  if (!result) {
+    result = validateConfig(options);
+    if (!options.env) {
+      loadedConfigs.set(key, result);
+    }
+  }
+  if (!result.valid) {
+    const error = new Error(`Invalid configuration (${result.files.join(' + ')}):\n${result.errors.map(item => `  - ${item.path}: ${item.message}`).join('\n')}`);
+    error.configErrors = result.errors;
+    throw error;
+  }
+  return result.config;
+}
+
+/**
+ * Formats config.yaml validation errors as an issue comment
+ * @param {Object} result - Result of validateConfig
+ * @returns {string} Markdown comment
+ */
+function formatConfigErrors(result) {
+  const files = result.files.map(file => `\`${file}\``).join(' with the overlay ');
+  let comment = `## ❌ Invalid Configuration\n\n`;
+  comment += `This request was not processed because ${files} has ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}:\n\n`;
+  result.errors.forEach(item => {
+    comment += `- ${item.path ? `\`${item.path}\`` : 'File'}: ${item.message}\n`;
+  });
+  comment += `\nAsk a maintainer of this repository to fix the configuration, then comment \`/dry-run\` or \`/run\` to try again.\n`;
+  return comment;
+}
+
+/**
+ * Parses config.yaml and groups repositories by GHES instance
+ * @param {string} repositoriesJson - JSON string of repositories
+ * @param {boolean} enableSecretScanning - Whether to enable secret scanning
+ * @param {boolean} enableCodeScanning - Whether to enable code scanning
+ * @param {boolean} enableDependabotAlerts - Whether to enable dependabot alerts
+ * @param {number} minRemainingLicenses - Minimum remaining licenses
+ * @param {Object} repositoryFilters - Per-request repository filter overrides (optional, see parseRepositoryFilters)
+ * @param {Object} additionalFeatures - Flags for the features beyond the three above (optional)
+ * @param {boolean} additionalFeatures.enablePushProtection - Whether to enable secret scanning push protection
+ * @param {boolean} additionalFeatures.enableNonProviderPatterns - Whether to enable non-provider pattern scanning
+ * @param {boolean} additionalFeatures.enableValidityChecks - Whether to enable secret validity checks
+ * @param {boolean} additionalFeatures.enableDependabotSecurityUpdates - Whether to enable Dependabot security updates
+ * @param {boolean} additionalFeatures.enablePrivateVulnerabilityReporting - Whether to enable private vulnerability reporting
+ * @returns {Promise<Object>} Object containing:
+ *   - matrixItems: Array of matrix items for GitHub Actions
+ *   - invalidRepositories: Array of invalid repository URLs that were skipped
+ *   - validRepositories: Array of valid repository URLs that will be processed
+ *   - totalRepositories: Total number of input repositories
+ *   - excludedRepositories: Array of { url, reason } for organization repositories skipped by repository filters
+ *   - rateLimitEvents: Rate limit waits that occurred while expanding organizations
+ */
+async function parseConfigAndGroupRepos(repositoriesJson, enableSecretScanning, enableCodeScanning, enableDependabotAlerts, minRemainingLicenses, repositoryFilters = null, additionalFeatures = {}) {
+  // Load and validate config.yaml
+  const config = loadConfig();
+  
+  // Matrix flags for the additional features, added to every matrix item
+  const additionalFeatureFlags = {
+    enable_push_protection: !!additionalFeatures.enablePushProtection,
+    enable_non_provider_patterns: !!additionalFeatures.enableNonProviderPatterns,
+    enable_validity_checks: !!additionalFeatures.enableValidityChecks,
+    enable_dependabot_security_updates: !!additionalFeatures.enableDependabotSecurityUpdates,
+    enable_private_vulnerability_reporting: !!additionalFeatures.enablePrivateVulnerabilityReporting
+  };
+  
+  // Filters only apply to repositories expanded from organization URLs;
+  // repositories listed explicitly are always processed
+  const filters = resolveRepositoryFilters(config.repository_filters, repositoryFilters);
+  const excludedRepositories = [];
+  
+  // Parse repositories from JSON string
+  const inputRepos = JSON.parse(repositoriesJson);
+  
+  // Expand enterprise, organization and glob targets to include all matching repositories
+  const repositories = [];
+  const orgUrls = [];
+  let invalidRepositories = [];
+  
+  // First pass: identify and separate scope targets from repo URLs
+  inputRepos.forEach(url => {
+    const target = classifyTargetUrl(url);
+    if (target.type === 'invalid') {
+      invalidRepositories.push({
+        url,
+        error: 'Invalid target URL. Globs are only supported in the organization or repository name'
+      });
+    } else if (target.type === 'repository') {
+      repositories.push(url);
+    } else {
+      orgUrls.push(url);
+    }
+  });
+  
+  console.log(`Found ${repositories.length} repository URLs and ${orgUrls.length} organization, enterprise or glob targets`);
+  
+  // Second pass: expand org URLs to repo URLs
+  // Note: This is done in a separate loop because we need to find the right token for each org
+  if (orgUrls.length > 0) {
+    // Find tokens for each hostname
+    const tokensByHostname = {};
+    
+    console.log(`🔍 DEBUG: Processing ${orgUrls.length} organization URLs`);
+    console.log(`🔍 DEBUG: Available environment variables: ${Object.keys(process.env).filter(k => k.includes('TOKEN')).join(', ')}`);
+    console.log(`🔍 DEBUG: Specifically checking for: GHES_API_TOKEN_1=${process.env.GHES_API_TOKEN_1 ? 'SET' : 'NOT_SET'}, GHES_API_TOKEN_2=${process.env.GHES_API_TOKEN_2 ? 'SET' : 'NOT_SET'}, GH_ENTERPRISE_TOKEN_CLOUD=${process.env.GH_ENTERPRISE_TOKEN_CLOUD ? 'SET' : 'NOT_SET'}`);
+    
+    // Process GHES instances
+    if (config.ghes_instances && Array.isArray(config.ghes_instances)) {
+      console.log(`🔍 DEBUG: Processing ${config.ghes_instances.length} GHES instances`);
+      for (const instance of config.ghes_instances) {
+        try {
+          const apiUrl = new URL(instance.api_url);
+          const hostname = apiUrl.hostname.replace(/^api\./, '');
+          const tokenValue = process.env[instance.auth_var];
+          tokensByHostname[hostname] = tokenValue;
+          
+          console.log(`🔍 DEBUG: Instance '${instance.name}' mapping:`);
+          console.log(`   API URL: ${instance.api_url}`);
+          console.log(`   Hostname: ${hostname}`);
+          console.log(`   Auth var: ${instance.auth_var}`);
+          console.log(`   Token exists: ${tokenValue ? 'YES' : 'NO'}`);
+          console.log(`   Token preview: ${tokenValue ? tokenValue.substring(0, 8) + '...' : 'undefined'}`);
+        } catch (error) {
+          console.error(`Error processing instance config:`, error.message);
+        }
+      }
+    }
+    
+    console.log(`🔍 DEBUG: Final tokensByHostname mapping:`);
+    Object.entries(tokensByHostname).forEach(([hostname, token]) => {
+      console.log(`   ${hostname} -> ${token ? 'HAS_TOKEN' : 'NO_TOKEN'}`);
+    });
+    
+    // Process each org URL
+    for (const orgUrl of orgUrls) {
+      try {
+        const hostname = new URL(orgUrl).hostname;
+        const token = tokensByHostname[hostname];
+        
+        console.log(`🔍 DEBUG: Processing org URL: ${orgUrl}`);
+        console.log(`   Extracted hostname: ${hostname}`);
+        console.log(`   Looking for token in tokensByHostname...`);
+        console.log(`   Token found: ${token ? 'YES' : 'NO'}`);
+        
+        if (!token) {
+          // Find which auth_var should be used for this hostname
+          const matchingInstance = config.ghes_instances.find(instance => {
+            try {
+              const apiUrl = new URL(instance.api_url);
+              return apiUrl.hostname.replace(/^api\./, '') === hostname;
+            } catch {
+              return false;
+            }
+          });
+          
+          console.error(`❌ No token found for hostname ${hostname}`);
+          console.error(`   Expected environment variable: ${matchingInstance?.auth_var || 'UNKNOWN'}`);
+          console.error(`   Environment variable value: ${process.env[matchingInstance?.auth_var] ? 'SET (but not in tokensByHostname)' : 'NOT SET'}`);
+          console.error(`   Available hostnames in tokensByHostname: ${Object.keys(tokensByHostname).join(', ')}`);
+          console.error(`   This will prevent organization URL expansion for: ${orgUrl}`);
+          console.error(`   Please ensure the token is configured in your workflow secrets and environment variables.`);
+          
+          // Add to invalid repositories list
+          invalidRepositories.push({
+            url: orgUrl,
+            error: 'No authentication token available for this hostname'
+          });
+          continue;
+        }
+        
+        // Fetch all repositories for this organization, enterprise or glob target
+        const orgResult = classifyTargetUrl(orgUrl).type === 'organization'
+          ? await fetchOrganizationRepos(orgUrl, token, filters)
+          : await expandScopeTarget(orgUrl, token, filters);
+        invalidRepositories.push(...(orgResult.invalidTargets || []));
+        if (orgResult.success) {
+          console.log(`Adding ${orgResult.repositories.length} repositories from target URL: ${orgUrl}`);
+          repositories.push(...orgResult.repositories);
+          excludedRepositories.push(...orgResult.excludedRepositories);
+        } else {
+          console.error(`Failed to fetch repositories from organization: ${orgUrl}`);
+          // Add to invalid repositories list
+          invalidRepositories.push({
+            url: orgUrl,
+            error: orgResult.error
+          });
+        }
+      } catch (error) {
+        console.error(`Error processing org URL ${orgUrl}:`, error.message);
+      }
+    }
+  }
+  
+  // Group repositories by hostname
+  // Targets can overlap (e.g. an enterprise and one of its repositories), so each repository is kept once
+  const groupedRepos = {};
+  const validRepositories = [];
+  const seenRepositories = new Set();
+  
+  repositories.forEach(repo => {
+    if (seenRepositories.has(repo.toLowerCase())) {
+      return;
+    }
+    seenRepositories.add(repo.toLowerCase());
+    try {
+      // Extract hostname from repo URL
+      const hostname = new URL(repo).hostname;
+      if (!groupedRepos[hostname]) {
+        groupedRepos[hostname] = [];
+      }
+      groupedRepos[hostname].push(repo);
+      validRepositories.push(repo);
+    } catch (error) {
+      console.error(`Invalid repository URL: ${repo}`, error.message);
+      invalidRepositories.push({
+        url: repo,
+        error: error.message
+      });
+      // Continue with other repositories
+    }
+  });
+  
+  // Overlapping targets can report the same organization more than once
+  invalidRepositories = uniqueByUrl(invalidRepositories);
+  
+  if (invalidRepositories.length > 0) {
+    console.log(`Found ${invalidRepositories.length} invalid repository URLs that will be skipped:`);
+    invalidRepositories.forEach(item => console.log(`  - ${item.url}: ${item.error}`));
+  }
+  
+  console.log(`Processing ${validRepositories.length} valid repositories across ${Object.keys(groupedRepos).length} hostnames`);
+  
+  // Build matrix JSON
+  const matrixItems = [];
+  
+  for (const hostname in groupedRepos) {
+    // Find matching GHES instance
+    let matched = false;
+    const reposList = groupedRepos[hostname];
+    
+    if (config.ghes_instances && Array.isArray(config.ghes_instances)) {
+      for (const instance of config.ghes_instances) {
+        try {
+          // Extract hostname from API URL for matching
+          const apiUrl = new URL(instance.api_url);
+          const instanceHostname = apiUrl.hostname.replace(/^api\./, '');
+          
+          // More precise matching that prevents partial hostname matches
+          // This ensures github-test.com doesn't match github.com
+          if (hostname === instanceHostname || 
+              hostname.endsWith(`.${instanceHostname}`)) {
+            matched = true;
+            matrixItems.push({
+              hostname: hostname,
+              instance_name: instance.name,
+              api_url: instance.api_url,
+              auth_var: instance.auth_var,
+              repositories: reposList,
+              enable_secret_scanning: enableSecretScanning,
+              enable_code_scanning: enableCodeScanning,
+              enable_dependabot_alerts: enableDependabotAlerts,
+              ...additionalFeatureFlags,
+              min_remaining_licenses: minRemainingLicenses
+            });
+            console.log(`Matched hostname '${hostname}' with GHES instance '${instance.name}' (auth: ${instance.auth_var})`);
+            break;
+          }
+        } catch (error) {
+          console.error(`Error parsing API URL for instance ${instance.name}:`, error.message);
+          // Continue checking other instances
+        }
+      }
+    }
+    
+    // If no match found, use default values
+    if (!matched) {
+      console.log(`Warning: No matching GHES instance found for hostname ${hostname}, using default token`);
+      matrixItems.push({
+        hostname: hostname,
+        instance_name: 'unknown',
+        api_url: `https://${hostname}/api/v3`,
+        auth_var: 'GH_ENTERPRISE_TOKEN',
+        repositories: reposList,
+        enable_secret_scanning: enableSecretScanning,
+        enable_code_scanning: enableCodeScanning,
+        enable_dependabot_alerts: enableDependabotAlerts,
+        ...additionalFeatureFlags,
+        min_remaining_licenses: minRemainingLicenses
+      });
+    }
+  }
+  
+  return {
+    matrixItems,
+    invalidRepositories,
+    validRepositories,
+    totalRepositories: repositories.length,
+    excludedRepositories: uniqueByUrl(excludedRepositories),
+    rateLimitEvents: getRateLimitEvents()
+  };
+}
+
+/**
+ * Determines authentication token name based on matrix auth_var
+ * @param {string} authVar - Authentication variable from matrix
+ * @returns {string} Token name to use
+ */
+function determineTokenName(authVar) {
+  if (authVar && authVar !== 'null') {
+    console.log(`Using specified auth variable: ${authVar}`);
+    return authVar;
+  } else {
+    console.log('No auth variable specified, using default GH_ENTERPRISE_TOKEN');
+    return 'GH_ENTERPRISE_TOKEN';
+  }
+}
+
+/**
+ * Gets the actual token value - in the simplified workflow, this function is no longer needed
+ * as we're using GitHub Actions' secrets context directly
+ * @deprecated Use secrets context syntax in the workflow instead: ${{ secrets[matrix.auth_var] || secrets.GH_ENTERPRISE_TOKEN }}
+ * @param {string} tokenName - The name of the token
+ * @param {Object} secrets - Available secrets from GitHub Actions
+ * @returns {string} The actual token value
+ */
+function getTokenValue(tokenName, secrets) {
+  // This function is kept for backward compatibility
+  // In the newer implementation, we directly use the secrets context in the workflow
+  console.log('This function is deprecated. Use secrets context directly in workflows.');
+  return secrets?.GH_ENTERPRISE_TOKEN || '';
+}
+
+/**
+ * Estimates the GHAS licenses freed by disabling Advanced Security on repositories
+ * A committer's license is only freed when none of the repositories they push to keeps
+ * Advanced Security, so committers also active in other licensed repositories are not counted.
+ * Billing repositories tagged with a hostname (GHES pools, see fetchLicensePoolUsage) only match
+ * requested repositories on that hostname; untagged ones match by org/repo.
+ * @param {Array} billingRepositories - repositories from the enterprise advanced-security billing response
+ * @param {Array} repositories - Repository URLs in the disable request
+ * @returns {Object} { total, perRepository: [{ repository, hostname, committers, licensesFreed }] }; per-repository
+ *   counts include committers shared between requested repositories, the total counts them once
+ */
+function estimateLicensesFreed(billingRepositories = [], repositories = []) {
+  const targets = new Set();
+  repositories.forEach(repoUrl => {
+    try {
+      const url = new URL(repoUrl);
+      const name = url.pathname.replace(/^\/|\/$/g, '').toLowerCase();
+      targets.add(name);
+      targets.add(`${url.hostname.toLowerCase()}/${name}`);
+    } catch (error) {
+      // Invalid URLs are reported elsewhere
+    }
+  });
+  const billingKey = billingRepo => `${billingRepo.hostname ? `${billingRepo.hostname.toLowerCase()}/` : ''}${(billingRepo.name || '').toLowerCase()}`;
+  const isTarget = billingRepo => targets.has(billingKey(billingRepo));
+  const committerKey = committer => (committer.user_login || committer.last_pushed_email || '').toLowerCase();
+  
+  // Committers who keep their license through a repository outside this request
+  const retained = new Set();
+  billingRepositories.filter(billingRepo => !isTarget(billingRepo)).forEach(billingRepo => {
+    (billingRepo.advanced_security_committers_breakdown || []).forEach(committer => retained.add(committerKey(committer)));
+  });
+  
+  const freed = new Set();
+  const perRepository = billingRepositories.filter(isTarget).map(billingRepo => {
+    const committers = (billingRepo.advanced_security_committers_breakdown || []).map(committerKey).filter(Boolean);
+    const freedHere = committers.filter(key => !retained.has(key));
+    freedHere.forEach(key => freed.add(key));
+    return { repository: billingRepo.name, hostname: billingRepo.hostname || null, committers: committers.length, licensesFreed: freedHere.length };
+  });
+  
+  return { total: freed.size, perRepository };
+}
+
+// License pool used by instances that do not name one in ghes_instances
+const DEFAULT_LICENSE_POOL = 'ghec';
+
+/**
+ * Reads the license pools from config.yaml, with the GHES instances that draw from each
+ * The ghec pool (the enterprise billing endpoint of the ghec section) always exists when ghec
+ * is configured, and is used by instances without a license_pool.
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Object} Map of pool name to { name, source: 'ghec' | 'ghes', total, minRemainingLicenses, instances },
+ *   where instances are { hostname, authVar, enterprise } and total is a seat count override or null
+ */
+function getLicensePools(config = {}) {
+  const pools = {};
+  if (config.ghec) {
+    pools[DEFAULT_LICENSE_POOL] = { name: DEFAULT_LICENSE_POOL, source: 'ghec', total: null, minRemainingLicenses: 0, instances: [] };
+  }
+
+  Object.entries(config.license_pools || {}).forEach(([name, definition = {}]) => {
+    let source = String((definition && definition.source) || 'ghec').toLowerCase();
+    if (!['ghec', 'ghes'].includes(source)) {
+      console.warn(`License pool "${name}" has unknown source "${source}", using "ghec"`);
+      source = 'ghec';
+    }
+    const total = definition && definition.total !== undefined && definition.total !== null ? parseInt(definition.total, 10) : null;
+    pools[name] = {
+      name,
+      source,
+      total: Number.isNaN(total) ? null : total,
+      minRemainingLicenses: parseInt(definition && definition.min_remaining_licenses, 10) || 0,
+      instances: []
+    };
+  });
+
+  (config.ghes_instances || []).forEach(instance => {
+    const poolName = instance.license_pool || DEFAULT_LICENSE_POOL;
+    if (!pools[poolName]) {
+      console.warn(`GHES instance ${instance.api_url} uses unknown license pool "${poolName}"`);
+      return;
+    }
+    try {
+      pools[poolName].instances.push({
+        hostname: new URL(instance.api_url).hostname.replace(/^api\./, ''),
+        authVar: instance.auth_var,
+        // GHES billing is read for the instance's enterprise, named like the instance unless enterprise is set
+        enterprise: instance.enterprise || instance.name
+      });
+    } catch (error) {
+      console.error(`Error parsing API URL for instance ${instance.name}:`, error.message);
+    }
+  });
+
+  return pools;
+}
+
+/**
+ * Finds the license pool a hostname draws from
+ * Hostnames are matched like parseConfigAndGroupRepos matches GHES instances; unmatched hostnames use the ghec pool.
+ * @param {Object} config - Parsed config.yaml
+ * @param {string} hostname - Hostname of the repositories being checked
+ * @returns {Object} Pool from getLicensePools
+ */
+function resolveLicensePool(config, hostname) {
+  const pools = getLicensePools(config);
+  const pool = Object.values(pools).find(candidate => candidate.instances.some(instance =>
+    hostname === instance.hostname || (hostname && hostname.endsWith(`.${instance.hostname}`))
+  )) || pools[DEFAULT_LICENSE_POOL];
+  if (!pool) {
+    throw new Error(`No license pool found for ${hostname}: configure ghec or a license pool for this instance in config.yaml`);
+  }
+  return pool;
+}
+
+/**
+ * Describes where a license pool's seat counts come from
+ * @param {Object} pool - Pool from getLicensePools
+ * @returns {string} For example "GHES billing on ghes-a.example.com and ghes-b.example.com, 500 seats"
+ */
+function describeLicensePool(pool) {
+  const hostnames = pool.instances.map(instance => instance.hostname);
+  let description = pool.source === 'ghes'
+    ? `GHES billing on ${hostnames.join(' and ') || 'no instances'}`
+    : 'GitHub Enterprise Cloud billing';
+  if (pool.source === 'ghec' && hostnames.length > 1) {
+    description += `, shared by ${hostnames.join(' and ')}`;
+  }
+  if (pool.total !== null) {
+    description += `, ${pool.total} seats`;
+  }
+  return description;
+}
+
+/**
+ * Reads the Advanced Security billing of an enterprise
+ * @param {Object} client - API client for the billing hostname
+ * @param {string} enterpriseName - Enterprise slug
+ * @param {string} product - advanced_security_product to read (secret_protection or code_security), or null
+ *   for the combined GitHub Advanced Security license
+ * @returns {Promise<Object>} Billing response (purchased_advanced_security_committers, total_advanced_security_committers, repositories)
+ */
+async function fetchAdvancedSecurityBilling(client, enterpriseName, product = null) {
+  const billingPath = `/enterprises/${encodeURIComponent(enterpriseName)}/settings/billing/advanced-security`;
+  console.log(`Fetching license data${product ? ` for advanced_security_product=${product}` : ''}...`);
+  const { data: ghasData } = await client.request('GET', product ? `${billingPath}?advanced_security_product=${product}` : billingPath);
+  console.log('Successfully retrieved license data');
+  return ghasData;
+}
+
+/**
+ * Reads the seats purchased and used in a license pool
+ * GHES pools add up the committers and repositories of every instance in the pool, tagging each
+ * billing repository with its instance's hostname. Their seats come from the pool's total, which
+ * validateConfig requires for pools with more than one instance; a single-instance pool without a
+ * total uses the seat limit of the instance's license file, if any.
+ * @param {Object} pool - Pool from getLicensePools
+ * @param {Object} config - Parsed config.yaml
+ * @param {Object} env - Environment variables holding the tokens named by auth_var
+ * @param {string} product - advanced_security_product to read, or null for the combined license
+ * @returns {Promise<Object>} Billing data shaped like fetchAdvancedSecurityBilling's
+ */
+async function fetchLicensePoolUsage(pool, config, env, product = null) {
+  let ghasData;
+  if (pool.source === 'ghec') {
+    const ghecHostname = new URL(config.ghec.api_url).hostname.replace(/^api\./, '');
+    ghasData = await fetchAdvancedSecurityBilling(getApiClient(ghecHostname, env[config.ghec.auth_var]), config.ghec.name, product);
+  } else {
+    ghasData = { purchased_advanced_security_committers: undefined, total_advanced_security_committers: 0, repositories: [] };
+    for (const instance of pool.instances) {
+      console.log(`Reading GHAS billing for ${instance.enterprise} on ${instance.hostname}`);
+      const instanceData = await fetchAdvancedSecurityBilling(getApiClient(instance.hostname, env[instance.authVar]), instance.enterprise, product);
+      if (pool.instances.length === 1) {
+        ghasData.purchased_advanced_security_committers = instanceData.purchased_advanced_security_committers !== undefined
+          ? instanceData.purchased_advanced_security_committers
+          : instanceData.maximum_advanced_security_committers;
+      }
+      ghasData.total_advanced_security_committers += instanceData.total_advanced_security_committers || 0;
+      // Instances can hold repositories with the same org/repo name
+      ghasData.repositories.push(...(instanceData.repositories || []).map(billingRepo => ({ ...billingRepo, hostname: instance.hostname })));
+    }
+  }
+
+  if (pool.total !== null) {
+    ghasData.purchased_advanced_security_committers = pool.total;
+  } else if (pool.source === 'ghes' && ghasData.purchased_advanced_security_committers === undefined) {
+    console.warn(`License pool "${pool.name}" reports no seat count; set total in license_pools to enforce a limit`);
+  }
+  return ghasData;
+}
+
+/**
+ * Lists the licensed products a request consumes (or frees) seats of
+ * Enable requests that select none of the products' features still enable Advanced Security,
+ * which is billed as Code Security. Disabling Advanced Security frees seats of both products.
+ * @param {Object} features - Feature selection flags
+ * @param {string} requestType - 'enable' (default) or 'disable'
+ * @returns {Array} LICENSE_PRODUCTS entries
+ */
+function getLicenseProducts(features = {}, requestType = 'enable') {
+  const selected = getSelectedFeatures(features).map(feature => feature.key);
+  const products = LICENSE_PRODUCTS.filter(product =>
+    (requestType === 'disable' && features.disableAdvancedSecurity) || product.features.some(key => selected.includes(key))
+  );
+  return products.length > 0 ? products : LICENSE_PRODUCTS.filter(product => product.key === 'code_security');
+}
+
+/**
+ * Reads the billing of each product a request is checked against
+ * Enterprises on the combined GitHub Advanced Security license answer without a product and are
+ * checked as a single product. Enterprises licensed per product (Secret Protection and Code
+ * Security) answer 422 without one, and each product the request touches is read separately.
+ * @param {Object} pool - Pool from getLicensePools
+ * @param {Object} config - Parsed config.yaml
+ * @param {Object} env - Environment variables holding the tokens named by auth_var
+ * @param {Object} features - Feature selection flags
+ * @param {string} requestType - 'enable' (default) or 'disable'
+ * @returns {Promise<Array>} Products { key, label, features, ghasData }
+ */
+async function fetchLicenseProductUsage(pool, config, env, features, requestType) {
+  try {
+    const ghasData = await fetchLicensePoolUsage(pool, config, env);
+    return [{ ...COMBINED_LICENSE_PRODUCT, ghasData }];
+  } catch (error) {
+    if (error.status !== 422) {
+      console.error('License API call failed:', error.message);
+      throw error;
+    }
+  }
+
+  const products = getLicenseProducts(features, requestType);
+  console.log(`Billing is per product, checking ${products.map(product => product.label).join(' and ')} separately`);
+  const usage = [];
+  for (const product of products) {
+    usage.push({ ...product, ghasData: await fetchLicensePoolUsage(pool, config, env, product.key) });
+  }
+  return usage;
+}
+
+/**
+ * Summarizes the seats and current committers of one product's billing data
+ * @param {Object} product - Product from fetchLicenseProductUsage
+ * @returns {Object} { key, label, totalLicenses, usedLicenses, isUnlimited, availableLicenses, currentEmails, currentLogins, repositories }
+ */
+function summarizeLicenseProduct(product) {
+  const ghasData = product.ghasData || {};
+  const totalLicenses = ghasData.purchased_advanced_security_committers;
+  const usedLicenses = ghasData.total_advanced_security_committers;
+
+  // Check if this is an unlimited license scenario (0 or undefined total licenses indicates unlimited)
+  const isUnlimited = totalLicenses === 0 || totalLicenses === undefined;
+  if (isUnlimited) {
+    const reason = totalLicenses === 0 ? 'Total licenses is 0' : 'Total licenses is undefined';
+    console.log(`${product.label}: ${reason} - treating as unlimited licenses available`);
+  }
+
+  // Extract all unique committer emails and logins from repositories that already hold this product
+  const currentEmails = new Set();
+  const currentLogins = new Set();
+  const repositories = Array.isArray(ghasData.repositories) ? ghasData.repositories : [];
+  for (const repo of repositories) {
+    if (repo.advanced_security_committers_breakdown && Array.isArray(repo.advanced_security_committers_breakdown)) {
+      for (const committer of repo.advanced_security_committers_breakdown) {
+        if (committer.last_pushed_email) {
+          currentEmails.add(committer.last_pushed_email.toLowerCase());
+        }
+        if (committer.user_login) {
+          currentLogins.add(committer.user_login.toLowerCase());
+        }
+      }
+    }
+  }
+  console.log(`${product.label}: ${repositories.length} repositories, ${currentEmails.size} unique committers currently using licenses`);
+
+  const availableLicenses = isUnlimited ? Number.MAX_SAFE_INTEGER : totalLicenses - usedLicenses;
+  console.log(`${product.label}: total licenses ${isUnlimited ? 'Unlimited' : totalLicenses}, used ${usedLicenses}, available ${isUnlimited ? 'Unlimited' : availableLicenses}`);
+
+  return {
+    key: product.key,
+    label: product.label,
+    totalLicenses,
+    usedLicenses,
+    isUnlimited,
+    availableLicenses,
+    currentEmails,
+    currentLogins,
+    repositories
+  };
+}
+
+/**
+ * Checks GHAS license availability in the license pool of the repositories' hostname, or returns
+ * default values if skipping check
+ * Each licensed product the request touches is checked on its own: enterprises licensed per product
+ * need enough Secret Protection seats for secret scanning features and enough Code Security seats
+ * for code scanning, each with its own new committers.
+ * @param {Object} env - Environment variables
+ * @param {boolean} skipCheck - Whether to skip the license check
+ * @param {Array} repositories - List of repositories to enable GHAS for (optional)
+ * @param {Object} features - Feature selection flags (optional)
+ * @param {boolean} features.enableSecretScanning - Whether secret scanning is selected
+ * @param {boolean} features.enableCodeScanning - Whether code scanning is selected
+ * @param {boolean} features.enableDependabotAlerts - Whether dependabot alerts is selected
+ * @param {boolean} features.disableAdvancedSecurity - Whether Advanced Security is selected for a disable request
+ * @param {Object} analysisOptions - Per-request committer analysis overrides (optional)
+ * @param {number} analysisOptions.lookbackDays - Overrides committer_analysis.lookback_days
+ * @param {string|Array} analysisOptions.branchScope - Overrides committer_analysis.branch_scope
+ * @param {string} analysisOptions.requestType - 'enable' (default) or 'disable'; disable requests estimate
+ *   the licenses freed from the billing breakdown instead of analyzing committers
+ * @param {string} analysisOptions.hostname - Hostname whose license pool is checked (defaults to the ENTERPRISE_URL hostname)
+ * @returns {Promise<Object>} License information and availability status including:
+ *   - totalLicenses: Total number of GHAS licenses (0 or undefined indicates unlimited)
+ *   - usedLicenses: Number of licenses currently in use
+ *   - availableLicenses: Number of licenses available after considering new committers (Number.MAX_SAFE_INTEGER for unlimited)
+ *   - minRemainingLicenses: Minimum number of licenses that must remain unused (the request's value or the pool's, whichever is higher)
+ *   - hasEnoughLicenses: Boolean indicating if every product has enough licenses (always true for unlimited)
+ *   - skipLicenseCheck: Boolean indicating if license check was skipped
+ *   - currentGhasCommitters: Array of emails for committers already using GHAS licenses
+ *   - newCommitters: Number of committers that would need new licenses
+ *   - newCommittersList: Array of committer logins (or emails when no login is known) that would need new licenses
+ *   - estimatedLicensesNeeded: Number of new licenses that would be needed
+ *   - identityReport: { merged, excluded } from committer identity resolution
+ *   - committerPolicy: { lookbackDays, branchScope, description } used for the committer analysis
+ *   - committersByRepository: Map of repository URL to the committer identities found in it (enable requests only)
+ *   - licensesFreed / licensesFreedByRepository: Estimated licenses freed (disable requests only, see estimateLicensesFreed)
+ *   - licensePool: { name, source, description, instances, minRemainingLicenses } of the pool that was checked
+ *   - licenseProducts: Per-product { key, label, totalLicenses, usedLicenses, availableLicenses, newCommitters,
+ *     estimatedLicensesNeeded, licensesFreed, hasEnoughLicenses }; key is advanced_security for the combined license
+ *   - rateLimitEvents: Rate limit waits that occurred during the committer analysis
+ *   The license counts, committers and licenses freed describe the product with the least headroom
+ *   (for disable requests, the first product).
+ */
+async function checkLicenseAvailability(env, skipCheck = false, repositories = [], features = {}, analysisOptions = {}) {
+  // If skipping check, return default values that indicate success
+  if (skipCheck) {
+    console.log('Skipping license check as requested');
+    return {
+      totalLicenses: 1000,
+      usedLicenses: 1,
+      availableLicenses: 999,
+      minRemainingLicenses: parseInt(env.MIN_REMAINING_LICENSES, 10) || 1,
+      hasEnoughLicenses: true,
+      skipLicenseCheck: true,
+      currentGhasCommitters: [],
+      newCommitters: 0,
+      newCommittersList: [],
+      estimatedLicensesNeeded: 0
+    };
+  }
+
+  // Load and validate config.yaml
+  const config = loadConfig();
+
+  // Resolve the committer analysis policy: request overrides, then config.yaml, then defaults
+  const analysisConfig = config.committer_analysis || {};
+  const committerPolicy = {
+    lookbackDays: parseInt(analysisOptions.lookbackDays, 10) || parseInt(analysisConfig.lookback_days, 10) || DEFAULT_LOOKBACK_DAYS,
+    branchScope: normalizeBranchScope(analysisOptions.branchScope || analysisConfig.branch_scope)
+  };
+  committerPolicy.description = describeCommitterPolicy(committerPolicy);
+  console.log(`Committer analysis policy: ${committerPolicy.description}`);
+
+  // Each hostname draws from its license pool: the GHEC enterprise by default, or a pool from license_pools
+  const hostname = analysisOptions.hostname || (env.ENTERPRISE_URL ? new URL(env.ENTERPRISE_URL).hostname.replace(/^api\./, '') : null);
+  const pool = resolveLicensePool(config, hostname);
+  console.log(`License pool for ${hostname}: ${pool.name} (${describeLicensePool(pool)})`);
+  const products = (await fetchLicenseProductUsage(pool, config, env, features, analysisOptions.requestType)).map(summarizeLicenseProduct);
+
+  // The pool's min_remaining_licenses is a floor that requests cannot lower
+  const requestedMinRemaining = parseInt(env.MIN_REMAINING_LICENSES, 10) || 1;
+  const minRemainingLicenses = Math.max(requestedMinRemaining, pool.minRemainingLicenses);
+  if (minRemainingLicenses > requestedMinRemaining) {
+    console.log(`License pool "${pool.name}" requires at least ${minRemainingLicenses} remaining licenses`);
+  }
+  console.log(`Min remaining licenses required: ${minRemainingLicenses}`);
+  const licensePool = {
+    name: pool.name,
+    source: pool.source,
+    description: describeLicensePool(pool),
+    instances: pool.instances.map(instance => instance.hostname),
+    minRemainingLicenses: pool.minRemainingLicenses
+  };
+
+  // Shapes the per-product results and copies the product with the least headroom to the top level
+  const buildResult = (extra = {}) => {
+    const licenseProducts = products.map(product => ({
+      key: product.key,
+      label: product.label,
+      totalLicenses: product.totalLicenses,
+      usedLicenses: product.usedLicenses,
+      availableLicenses: product.availableLicenses,
+      newCommitters: product.newCommittersList ? product.newCommittersList.length : 0,
+      estimatedLicensesNeeded: product.newCommittersList ? product.newCommittersList.length : 0,
+      licensesFreed: product.licensesFreed || 0,
+      hasEnoughLicenses: product.hasEnoughLicenses
+    }));
+    const primary = analysisOptions.requestType === 'disable'
+      ? products[0]
+      : products.reduce((least, product) => product.availableLicenses < least.availableLicenses ? product : least);
+    return {
+      totalLicenses: primary.totalLicenses,
+      usedLicenses: primary.usedLicenses,
+      availableLicenses: primary.availableLicenses,
+      minRemainingLicenses,
+      hasEnoughLicenses: products.every(product => product.hasEnoughLicenses),
+      skipLicenseCheck: false,
+      currentGhasCommitters: Array.from(primary.currentEmails),
+      newCommitters: primary.newCommittersList ? primary.newCommittersList.length : 0,
+      estimatedLicensesNeeded: primary.newCommittersList ? primary.newCommittersList.length : 0,
+      ...(primary.newCommittersList ? { newCommittersList: primary.newCommittersList } : {}),
+      ...(primary.licensesFreedByRepository ? {
+        licensesFreed: primary.licensesFreed,
+        licensesFreedByRepository: primary.licensesFreedByRepository
+      } : {}),
+      ...extra,
+      licensePool,
+      licenseProducts,
+      rateLimitEvents: getRateLimitEvents()
+    };
+  };
+
+  // Disable requests free licenses instead of consuming them, so no committer analysis is needed
+  // Combined licenses are only freed when Advanced Security itself is turned off; per-product
+  // licenses are freed when that product's features are turned off too
+  if (analysisOptions.requestType === 'disable') {
+    const selected = getSelectedFeatures(features).map(feature => feature.key);
+    for (const product of products) {
+      const frees = features.disableAdvancedSecurity || (product.key !== COMBINED_LICENSE_PRODUCT.key &&
+        LICENSE_PRODUCTS.find(item => item.key === product.key).features.some(key => selected.includes(key)));
+      const estimate = estimateLicensesFreed(product.repositories, repositories);
+      product.licensesFreed = frees ? estimate.total : 0;
+      product.licensesFreedByRepository = estimate.perRepository;
+      product.availableLicenses = product.isUnlimited ? product.availableLicenses : product.availableLicenses + product.licensesFreed;
+      product.hasEnoughLicenses = true;
+      console.log(`${product.label}: estimated licenses freed: ${product.licensesFreed}${frees ? '' : ' (nothing using these licenses is being disabled)'}`);
+    }
+    return buildResult();
+  }
+
+  // If no repositories are provided for analysis, use the base license check
+  if (!repositories || repositories.length === 0) {
+    console.log('No repositories provided for license analysis, using base license check');
+    products.forEach(product => {
+      product.hasEnoughLicenses = product.isUnlimited || product.availableLicenses > minRemainingLicenses;
+    });
+    return buildResult({ committerPolicy });
+  }
+
+  // Prepare token and concurrency mappings for each hostname
+  const tokensByHostname = {};
+  const concurrencyByHostname = {};
+
+  // Add GHEC token
+  if (config.ghec) {
+    tokensByHostname[new URL(config.ghec.api_url).hostname.replace(/^api\./, '')] = env[config.ghec.auth_var];
+  }
+
+  // Add tokens and concurrency limits for all GHES instances
+  if (config.ghes_instances && Array.isArray(config.ghes_instances)) {
+    for (const instance of config.ghes_instances) {
+      try {
+        const apiUrl = new URL(instance.api_url);
+        const hostname = apiUrl.hostname.replace(/^api\./, '');
+        tokensByHostname[hostname] = env[instance.auth_var];
+        if (instance.max_concurrency) {
+          concurrencyByHostname[hostname] = parseInt(instance.max_concurrency, 10);
+        }
+      } catch (error) {
+        console.error(`Error processing instance config:`, error.message);
+      }
+    }
+  }
+
+  // Get all committers from the repositories to be enabled
+  console.log(`Analyzing committers for ${repositories.length} repositories...`);
+  const resolution = await getAllUniqueCommitters(repositories, tokensByHostname, {
+    concurrency: parseInt(analysisConfig.concurrency, 10) || DEFAULT_COMMITTER_CONCURRENCY,
+    concurrencyByHostname,
+    lookbackDays: committerPolicy.lookbackDays,
+    branchScope: committerPolicy.branchScope,
+    identity: {
+      excludeBots: analysisConfig.exclude_bots !== false,
+      excludePatterns: analysisConfig.exclude_patterns || [],
+      aliases: analysisConfig.aliases || {}
+    }
+  });
+  const repoCommitters = resolution.committers;
+  console.log(`Found ${repoCommitters.length} unique committers in the repositories to enable`);
+  console.log(`Merged ${resolution.merged.length} committers with multiple identities, excluded ${resolution.excluded.length} bot or excluded identities`);
+
+  for (const product of products) {
+    // Calculate new committers (those in repos to enable but not already using this product's licenses)
+    // A committer already holds a license if their login or any of their emails appears in the billing breakdown
+    product.newCommittersList = repoCommitters
+      .filter(committer =>
+        !(committer.login && product.currentLogins.has(committer.login)) &&
+        !committer.emails.some(email => product.currentEmails.has(email))
+      )
+      .map(committer => committer.id);
+
+    // Final license check including committer analysis
+    const estimatedLicensesNeeded = product.newCommittersList.length;
+    product.availableLicenses = product.isUnlimited ? Number.MAX_SAFE_INTEGER : product.availableLicenses - estimatedLicensesNeeded;
+    product.hasEnoughLicenses = product.isUnlimited || product.availableLicenses >= minRemainingLicenses;
+
+    console.log(`${product.label}: ${estimatedLicensesNeeded} new committers would need licenses`);
+    console.log(`${product.label}: estimated available licenses after enablement: ${product.isUnlimited ? 'Unlimited' : product.availableLicenses} (${product.hasEnoughLicenses ? 'sufficient' : 'insufficient'})`);
+  }
+
+  return buildResult({
+    identityReport: {
+      merged: resolution.merged,
+      excluded: resolution.excluded
+    },
+    committerPolicy,
+    committersByRepository: resolution.committersByRepository
+  });
+}
+
+/**
+ * Formats per-repository, per-feature enablement outcomes as a markdown table
+ * Repositories that failed before any feature could be enabled are reported in the
+ * invalid repositories section instead.
+ * @param {Array} enablementResults - Results returned by enableRepositoryFeatures or disableRepositoryFeatures
+ * @param {string} requestType - 'enable' (default) or 'disable'
+ * @returns {string} Markdown section
+ */
+function formatEnablementResults(enablementResults, requestType = 'enable') {
+  const processed = enablementResults.filter(result => !result.error);
+  const featureColumns = [{ key: 'security_configuration', label: 'Security Configuration' }, ...REPOSITORY_FEATURES].filter(feature =>
+    processed.some(result => result.features[feature.key])
+  );
+
+  const statusText = (outcome, rollback) => {
+    if (!outcome) return '➖';
+    if (rollback && rollback.status === 'restored') return '↩️ Rolled back';
+    if (rollback) return `⚠️ Enabled, rollback failed: ${rollback.reason}`;
+    switch (outcome.status) {
+      case 'enabled': return '✅ Enabled';
+      case 'already-enabled': return '☑️ Already enabled';
+      case 'disabled': return '🚫 Disabled';
+      case 'already-disabled': return '☑️ Already disabled';
+      case 'attached': return '🔗 Attached';
+      case 'already-attached': return '☑️ Already attached';
+      case 'skipped': return `⏭️ Skipped: ${outcome.reason}`;
+      case 'unsupported': return `⛔ ${outcome.reason}`;
+      default: return `❌ Failed: ${outcome.reason}`;
+    }
+  };
+
+  const fullySucceeded = processed.filter(result => result.success).length;
+  const isDisable = requestType === 'disable';
+  let section = `\n### ${isDisable ? 'Disable' : 'Enablement'} Results\n`;
+  section += `- Repositories fully ${isDisable ? 'disabled' : 'enabled'}: ${fullySucceeded}\n`;
+  section += `- Repositories with feature failures: ${processed.length - fullySucceeded}\n`;
+  const rolledBack = processed.filter(result => result.rollback);
+  if (rolledBack.length > 0) {
+    const incomplete = rolledBack.filter(result => !result.rollback.success).length;
+    section += `- Repositories rolled back to their previous settings: ${rolledBack.length}${incomplete > 0 ? ` (${incomplete} incomplete, see the table)` : ''}\n`;
+  }
+  section += `\n`;
+
+  if (processed.length === 0) {
+    return section;
+  }
+
+  section += `| Repository | ${featureColumns.map(feature => feature.label).join(' | ')} |\n`;
+  section += `|---|${featureColumns.map(() => '---').join('|')}|\n`;
+  processed.forEach(result => {
+    const rollbackFeatures = result.rollback ? result.rollback.features : {};
+    const cells = featureColumns.map(feature => statusText(result.features[feature.key], rollbackFeatures[feature.key]).replace(/\|/g, '\\|'));
+    section += `| ${result.repository} | ${cells.join(' | ')} |\n`;
+  });
+
+  return section + formatCodeScanningConfigurations(processed);
+}
+
+/**
+ * Sorts a feature outcome (applied or planned) into the change plan categories
+ * @param {Object} outcome - Feature outcome from enableRepositoryFeatures, disableRepositoryFeatures or validateRepository
+ * @param {Object} rollback - The feature's rollback outcome, if the repository was rolled back
+ * @returns {string} 'changed' | 'unchanged' | 'failed' | 'unsupported'
+ */
+function getOutcomeCategory(outcome, rollback) {
+  // Rolled back features were changed and then restored, so the requested change did not happen
+  if (rollback && rollback.status === 'restored') return 'failed';
+  if (outcome.status.startsWith('already-')) return 'unchanged';
+  if (['enabled', 'disabled', 'attached', 'will-enable', 'will-disable'].includes(outcome.status)) return 'changed';
+  return outcome.status === 'unsupported' ? 'unsupported' : 'failed';
+}
+
+/**
+ * Formats the change plan of a run as counts per feature of the features added (or removed), unchanged and failed
+ * Dry runs count the changes planned by the pre-flight check, real runs the outcomes that were applied.
+ * @param {Array} results - Results of validateRepository (dry run), or of enableRepositoryFeatures or disableRepositoryFeatures
+ * @param {string} requestType - 'enable' (default) or 'disable'
+ * @param {boolean} dryRun - Whether the results are planned rather than applied
+ * @returns {string} Markdown section
+ */
+function formatChangePlan(results, requestType = 'enable', dryRun = false) {
+  const processed = results.filter(result => !result.error);
+  const verb = requestType === 'disable' ? 'disable' : 'enable';
+  const totals = { changed: 0, unchanged: 0, failed: 0, unsupported: 0 };
+  const rows = [{ key: 'security_configuration', label: 'Security Configuration' }, ...REPOSITORY_FEATURES].map(feature => {
+    const counts = { changed: 0, unchanged: 0, failed: 0, unsupported: 0 };
+    processed.forEach(result => {
+      if (result.features[feature.key]) {
+        const rollback = result.rollback ? result.rollback.features[feature.key] : null;
+        counts[getOutcomeCategory(result.features[feature.key], rollback)]++;
+      }
+    });
+    Object.keys(totals).forEach(key => {
+      totals[key] += counts[key];
+    });
+    return { label: feature.label, counts };
+  }).filter(row => Object.values(row.counts).some(count => count > 0));
+
+  const labels = dryRun
+    ? { changed: `To ${verb}`, unchanged: 'Unchanged', failed: `Cannot ${verb}`, unsupported: 'Not supported' }
+    : { changed: `${verb.charAt(0).toUpperCase()}${verb.slice(1)}d`, unchanged: 'Unchanged', failed: 'Failed', unsupported: 'Not supported' };
+  const columns = Object.keys(labels).filter(key => key !== 'unsupported' || totals.unsupported > 0);
+
+  let section = `\n### 📋 Change Plan\n`;
+  section += `**${dryRun ? 'Plan' : 'Applied'}:** ${totals.changed} ${dryRun ? `to ${verb}` : `${verb}d`}, ${totals.unchanged} unchanged, ${totals.failed} ${dryRun ? `cannot be ${verb}d` : 'failed'}`;
+  section += totals.unsupported > 0 ? `, ${totals.unsupported} not supported\n` : `\n`;
+  if (rows.length === 0) {
+    return section;
+  }
+  section += `\n| Feature | ${columns.map(key => labels[key]).join(' | ')} |\n`;
+  section += `|---|${columns.map(() => '---').join('|')}|\n`;
+  rows.forEach(row => {
+    section += `| ${row.label} | ${columns.map(key => row.counts[key]).join(' | ')} |\n`;
+  });
+  return section;
+}
+
+/**
+ * Formats the pre-flight check of a dry run as a table of predicted outcomes per repository and feature
+ * @param {Array} preflightResults - Results of validateRepository for the repositories that can be changed
+ * @param {string} requestType - 'enable' (default) or 'disable'
+ * @returns {string} Markdown section
+ */
+function formatPreflightResults(preflightResults, requestType = 'enable') {
+  const featureColumns = REPOSITORY_FEATURES.filter(feature =>
+    preflightResults.some(result => result.features[feature.key])
+  );
+
+  const statusText = outcome => {
+    if (!outcome) return '➖';
+    switch (outcome.status) {
+      case 'already-enabled': return '☑️ Already enabled';
+      case 'will-enable': return '✅ Will enable';
+      case 'already-disabled': return '☑️ Already disabled';
+      case 'will-disable': return '🚫 Will disable';
+      case 'unsupported': return `⛔ ${outcome.reason}`;
+      default: return `❌ Cannot ${requestType === 'disable' ? 'disable' : 'enable'}: ${outcome.reason}`;
+    }
+  };
+
+  let section = `\n### 🔎 Pre-flight Check (No Changes Applied)\n\n`;
+  section += `| Repository | ${featureColumns.map(feature => feature.label).join(' | ')} |\n`;
+  section += `|---|${featureColumns.map(() => '---').join('|')}|\n`;
+  preflightResults.forEach(result => {
+    const cells = featureColumns.map(feature => statusText(result.features[feature.key]).replace(/\|/g, '\\|'));
+    section += `| ${result.repository} | ${cells.join(' | ')} |\n`;
+  });
+
+  return section;
+}
+
+/**
+ * Formats the license check of each product for enterprises licensed per product
+ * @param {Array} licenseProducts - licenseProducts from checkLicenseAvailability
+ * @param {string} requestType - 'enable' (default) or 'disable'
+ * @returns {string} Markdown table with pass/fail per product (licenses freed for disable requests)
+ */
+function formatLicenseProducts(licenseProducts, requestType = 'enable') {
+  const count = value => value === Number.MAX_SAFE_INTEGER || value === undefined ? 'Unlimited' : value;
+  let section = `\n`;
+  if (requestType === 'disable') {
+    section += `| Product | Total licenses | Used licenses | Estimated licenses freed | Available after disabling |\n`;
+    section += `|---|---|---|---|---|\n`;
+    licenseProducts.forEach(product => {
+      section += `| ${product.label} | ${count(product.totalLicenses || undefined)} | ${product.usedLicenses} | ${product.licensesFreed} | ${count(product.availableLicenses)} |\n`;
+    });
+  } else {
+    section += `| Product | Total licenses | Used licenses | New committers | Available after enablement | Result |\n`;
+    section += `|---|---|---|---|---|---|\n`;
+    licenseProducts.forEach(product => {
+      section += `| ${product.label} | ${count(product.totalLicenses || undefined)} | ${product.usedLicenses} | ${product.newCommitters} | ${count(product.availableLicenses)} | ${product.hasEnoughLicenses ? '✅ Pass' : '❌ Fail'} |\n`;
+    });
+  }
+  return section + `\n`;
+}
+
+/**
+ * Formats the license pool line of the license summary
+ * @param {Object} licensePool - licensePool from checkLicenseAvailability
+ * @returns {string} Markdown list item, or an empty string if no pool was reported
+ */
+function formatLicensePool(licensePool) {
+  if (!licensePool) {
+    return '';
+  }
+  return `- License pool: \`${licensePool.name}\` (${licensePool.description})\n`;
+}
+
+/**
+ * Formats the requested features an instance does not support
+ * @param {Array} unsupportedFeatures - Entries from getUnsupportedFeatures
+ * @param {Object} capabilities - Result of probeInstanceCapabilities
+ * @param {string} hostname - Instance hostname
+ * @returns {string} Markdown section
+ */
+function formatUnsupportedFeatures(unsupportedFeatures, capabilities, hostname) {
+  let section = `\n### ⛔ Not Supported on ${hostname}${capabilities ? ` (${describeInstance(capabilities)})` : ''}\n`;
+  unsupportedFeatures.forEach(feature => {
+    section += `- ${feature.reason}\n`;
+  });
+  section += `\nThese features are not attempted on this instance; the other selected features are unaffected. Upgrade the instance or remove them from the request.\n`;
+  return section;
+}
+
+/**
+ * Formats the default setup configuration applied to (or found on) each repository
+ * @param {Array} results - Results returned by enableRepositoryFeatures
+ * @returns {string} Markdown section, or an empty string if no repository reports a configuration
+ */
+function formatCodeScanningConfigurations(results) {
+  const configured = results.filter(result =>
+    result.features.code_scanning_default_setup && result.features.code_scanning_default_setup.configuration
+  );
+  if (configured.length === 0) {
+    return '';
+  }
+
+  let section = `\n### Code Scanning Configuration\n`;
+  section += `| Repository | Languages | Query suite | Runner | Not detected |\n|---|---|---|---|---|\n`;
+  configured.forEach(result => {
+    const outcome = result.features.code_scanning_default_setup;
+    const config = outcome.configuration;
+    const languages = config.languages.length > 0 ? config.languages.join(', ') : 'all detected';
+    const runner = config.runnerType === 'labeled' ? `labeled (\`${config.runnerLabel}\`)` : config.runnerType || '➖';
+    const existing = outcome.status === 'already-enabled' ? ' (existing)' : '';
+    section += `| ${result.repository} | ${languages}${existing} | ${config.querySuite || '➖'} | ${runner} | ${config.skippedLanguages.join(', ') || '➖'} |\n`;
+  });
+  return section;
+}
+
+/**
+ * Formats the estimated licenses freed per repository as a markdown table
+ * @param {Array} licensesFreedByRepository - perRepository entries from estimateLicensesFreed
+ * @returns {string} Markdown section, or an empty string if no requested repository holds licenses
+ */
+function formatLicensesFreed(licensesFreedByRepository) {
+  if (!licensesFreedByRepository || licensesFreedByRepository.length === 0) {
+    return '';
+  }
+  let section = `\n| Repository | GHAS committers | Estimated licenses freed |\n|---|---|---|\n`;
+  licensesFreedByRepository.forEach(item => {
+    section += `| ${item.repository} | ${item.committers} | ${item.licensesFreed} |\n`;
+  });
+  section += `\nCommitters who also push to other repositories with Advanced Security keep their license. Committers shared between the requested repositories are counted once in the total.\n\n`;
+  return section;
+}
+
+/**
+ * Formats the committer identity resolution report as a collapsible list
+ * @param {Object} identityReport - { merged, excluded } from resolveCommitterIdentities
+ * @returns {string} Markdown list items, or an empty string if nothing was merged or excluded
+ */
+function formatIdentityReport(identityReport) {
+  const merged = identityReport.merged || [];
+  const excluded = identityReport.excluded || [];
+  if (merged.length === 0 && excluded.length === 0) {
+    return '';
+  }
+
+  let section = `- Committers merged across multiple identities: ${merged.length}\n`;
+  section += `- Identities excluded (bots and exclude patterns): ${excluded.length}\n`;
+  section += `\n<details><summary>Committer identity resolution details</summary>\n\n`;
+  merged.forEach(item => {
+    section += `- Merged **${item.id}** (${item.reason}): ${item.identifiers.join(', ')}\n`;
+  });
+  excluded.forEach(item => {
+    section += `- Excluded **${item.identifier}**: ${item.reason}\n`;
+  });
+  section += `\n</details>\n\n`;
+  return section;
+}
+
+/**
+ * Formats organization repositories skipped by repository filters as a collapsible list
+ * @param {Array} excludedRepositories - { url, reason } entries from parseConfigAndGroupRepos
+ * @returns {string} Markdown section
+ */
+function formatExcludedRepositories(excludedRepositories) {
+  let section = `\n### ⏭️ Excluded Repositories (Filtered)\n`;
+  section += `${excludedRepositories.length} organization repositories were skipped by the repository filters.\n\n`;
+  section += `<details><summary>Excluded repositories and reasons</summary>\n\n`;
+  excludedRepositories.forEach(item => {
+    section += `- ${item.url}: ${item.reason}\n`;
+  });
+  section += `\n</details>\n\n`;
+  return section;
+}
+
+/**
+ * Formats where the audit ledger entries of a run were recorded
+ * @param {Object} ledger - { appended, branch, path, url, artifact, error }
+ * @returns {string} Markdown line for the results comment
+ */
+function formatLedgerSummary(ledger) {
+  if (ledger.error) {
+    return `\n**⚠️ Audit ledger:** ${ledger.error}${ledger.artifact ? ` (entries were saved in the \`${ledger.artifact}\` artifact)` : ''}\n`;
+  }
+  const locations = [];
+  if (ledger.branch) {
+    locations.push(`${ledger.url ? `[\`${ledger.path}\`](${ledger.url})` : `\`${ledger.path}\``} on branch \`${ledger.branch}\``);
+  }
+  if (ledger.artifact) {
+    locations.push(`the \`${ledger.artifact}\` artifact`);
+  }
+  return `\n**🧾 Audit ledger:** ${ledger.appended} entries recorded in ${locations.join(' and in ')}\n`;
+}
+
+/**
+ * Formats rate limit waits as a short markdown section, grouped by hostname
+ * @param {Array} rateLimitEvents - Events returned by getRateLimitEvents
+ * @returns {string} Markdown section
+ */
+function formatRateLimitEvents(rateLimitEvents) {
+  const byHostname = {};
+  rateLimitEvents.forEach(event => {
+    const entry = byHostname[event.hostname] || (byHostname[event.hostname] = { count: 0, waitSeconds: 0 });
+    entry.count++;
+    entry.waitSeconds += event.waitSeconds;
+  });
+
+  let section = `**⏳ API Rate Limiting:**\n`;
+  Object.entries(byHostname).forEach(([hostname, entry]) => {
+    section += `- Rate limited by ${hostname} ${entry.count} time(s), resumed after ${entry.waitSeconds} seconds in total\n`;
+  });
+  section += `\nRequests were retried automatically; results below are complete unless listed as failed.\n\n`;
+  return section;
+}
+
+/**
+ * Creates a comment for the issue with enablement results
+ * @param {Object} params - Parameters for creating the comment
+ * @returns {string} Comment text
+ */
+function createResultsComment(params) {
+  // Feature flags (enableSecretScanning, enablePushProtection, ...) are read from params by getSelectedFeatures
+  const {
+    repositories,
+    hasEnoughLicenses,
+    availableLicenses,
+    totalLicenses,
+    usedLicenses,
+    minRemainingLicenses,
+    hostname,
+    instanceName,
+    skipLicenseCheck,
+    organizationUrls,
+    newCommitters,
+    estimatedLicensesNeeded,
+    dryRun,
+    invalidRepositories, // New parameter for invalid repositories
+    enablementResults, // Per-repository results from enableRepositoryFeatures
+    rateLimitEvents, // Rate limit waits recorded by the API client
+    identityReport, // Merged and excluded committers from identity resolution
+    committerPolicy, // Lookback window and branch scope used for committer analysis
+    excludedRepositories, // Organization repositories skipped by repository filters
+    approval, // Result of checkApproval when approval is required
+    awaitingApproval, // Analysis posted while the request waits for an approver
+    requestType, // 'enable' (default) or 'disable'
+    disableAdvancedSecurity, // Whether a disable request turns off Advanced Security
+    licensesFreed, // Estimated licenses freed by a disable request
+    licensesFreedByRepository, // Per-repository estimate from estimateLicensesFreed
+    ledger, // Where the audit ledger entries for this run were recorded
+    codeScanning, // Default setup options from resolveCodeScanningOptions
+    securityConfiguration, // Name of the code security configuration attached instead of per-repository settings
+    licensePool, // License pool the hostname draws from, from checkLicenseAvailability
+    licenseProducts, // Per-product license check from checkLicenseAvailability
+    capabilities, // Instance version and supported features from probeInstanceCapabilities
+    unsupportedFeatures, // Requested features the instance cannot provide, from getUnsupportedFeatures
+    budget, // Requester and team license budgets from checkRequestBudget
+    preflightResults, // Predicted per-repository, per-feature outcomes of a dry run from validateRepository
+    report // Artifact holding the JSON, CSV and SARIF reports of the run: { artifact, url, rows }
+  } = params;
+
+  const isDisable = requestType === 'disable';
+  // Enterprises licensed per product get a license table instead of the combined totals
+  const perProduct = Array.isArray(licenseProducts) && licenseProducts.some(product => product.key !== 'advanced_security');
+  const codeScanningLabel = `Code Scanning (default setup)${codeScanning && !isDisable ? `: ${describeCodeScanningOptions(codeScanning)}` : ''}`;
+  const hasEnablementResults = !dryRun && Array.isArray(enablementResults) && enablementResults.length > 0;
+  const runTitle = isDisable ? 'Disable' : 'Enablement';
+  
+  let comment = `## GHAS ${awaitingApproval ? `${isDisable ? 'Disable ' : ''}Analysis (Awaiting Approval)` : dryRun ? `${isDisable ? 'Disable ' : ''}Dry Run Analysis` : `${runTitle} Results`} for ${hostname}\n\n`;
+  
+  if (awaitingApproval) {
+    comment += `> **⏸️ AWAITING APPROVAL**\n>\n> No changes have been made to your repositories yet.\n> This analysis shows what will happen once the request is approved.\n\n`;
+  } else if (dryRun) {
+    comment += `> **⚠️ DRY RUN MODE ⚠️**\n>\n> No changes have been made to your repositories.\n> This analysis shows what would happen if you run the ${isDisable ? 'disable request' : 'enablement'} for real.\n\n`;
+  }
+  
+  if (!dryRun && approval && approval.required && approval.approved) {
+    comment += describeApproval(approval);
+  }
+  
+  if (Array.isArray(rateLimitEvents) && rateLimitEvents.length > 0) {
+    comment += formatRateLimitEvents(rateLimitEvents);
+  }
+  
+  if (skipLicenseCheck) {
+    comment += `**License Check: SKIPPED**\n\n`;
+    comment += `License check was skipped as requested in the issue form.\n\n`;
+  } else if (isDisable) {
+    comment += `**License Summary:**\n`;
+    comment += formatLicensePool(licensePool);
+    if (perProduct) {
+      comment += formatLicenseProducts(licenseProducts, requestType);
+    } else {
+      comment += `- Total GHAS licenses: ${totalLicenses}\n`;
+      comment += `- Used GHAS licenses: ${usedLicenses}\n`;
+      comment += `- Estimated licenses freed: ${licensesFreed || 0}\n`;
+      comment += `- Available GHAS licenses after disabling: ${availableLicenses}\n`;
+    }
+    if (!disableAdvancedSecurity && !perProduct) {
+      comment += `\nℹ️ Licenses are only freed when Advanced Security is disabled. Select **Advanced Security** in the request to reclaim them.\n`;
+    }
+    comment += disableAdvancedSecurity ? formatLicensesFreed(licensesFreedByRepository) : `\n`;
+  } else {
+    comment += `**License Summary:**\n`;
+    comment += formatLicensePool(licensePool);
+    if (!perProduct) {
+      comment += `- Total GHAS licenses: ${totalLicenses}\n`;
+      comment += `- Used GHAS licenses: ${usedLicenses}\n`;
+    }
+    if (committerPolicy && committerPolicy.description) {
+      comment += `- Committer analysis: ${committerPolicy.description}\n`;
+    }
+    
+    // Add committer analysis if available (per-product counts are shown in the product table)
+    if (!perProduct && newCommitters !== undefined && estimatedLicensesNeeded !== undefined) {
+      comment += `- New committers requiring licenses: ${newCommitters}\n`;
+      comment += `- Estimated licenses needed: ${estimatedLicensesNeeded}\n`;
+      
+      // If we have the detailed list of new committers and there aren't too many, show them
+      if (params.newCommittersList && Array.isArray(params.newCommittersList)) {
+        // Only show emails if the list is reasonably small (max 10)
+        if (params.newCommittersList.length > 0 && params.newCommittersList.length <= 10) {
+          comment += `\n**New committers:**\n`;
+          params.newCommittersList.forEach(email => {
+            comment += `- ${email}\n`;
+          });
+          comment += `\n`;
+        } else if (params.newCommittersList.length > 10) {
+          comment += `- ${params.newCommittersList.length} unique committers identified (too many to list)\n`;
+        }
+      }
+    }
+    
+    if (identityReport) {
+      comment += formatIdentityReport(identityReport);
+    }
+    
+    if (!perProduct) {
+      comment += `- Available GHAS licenses after enablement: ${availableLicenses}\n`;
+    }
+    const poolMinimum = licensePool && licensePool.minRemainingLicenses >= minRemainingLicenses ? ' (license pool policy)' : '';
+    comment += `- Minimum required remaining licenses: ${minRemainingLicenses}${poolMinimum}\n`;
+    comment += perProduct ? formatLicenseProducts(licenseProducts, requestType) : `\n`;
+    
+    if (!hasEnoughLicenses) {
+      const shortProducts = perProduct ? licenseProducts.filter(product => !product.hasEnoughLicenses).map(product => product.label).join(' and ') : 'GHAS';
+      comment += `⚠️ Not enough ${shortProducts} licenses available. Need to maintain at least ${minRemainingLicenses} unused licenses.\n`;
+      return comment + formatResultsMarker(params);
+    }
+  }
+  
+  comment += formatBudget(budget, dryRun || awaitingApproval);
+  if (budget && budget.blocked && !dryRun && !awaitingApproval) {
+    return comment + formatResultsMarker(params);
+  }
+  
+  // Selected features in enablement order, named as in the issue form
+  const unsupportedKeys = (unsupportedFeatures || []).map(feature => feature.key === 'code_scanning_runner' ? 'code_scanning_default_setup' : feature.key);
+  const featureLabels = getSelectedFeatures(params).map(feature => {
+    const label = feature.key === 'code_scanning_default_setup' ? codeScanningLabel : FEATURE_OPTIONS[feature.flag];
+    return unsupportedKeys.includes(feature.key) ? `${label} (⛔ not supported on this instance)` : label;
+  });
+  if (isDisable && disableAdvancedSecurity) {
+    featureLabels.unshift('Advanced Security');
+  }
+  if (securityConfiguration && !isDisable) {
+    featureLabels.unshift(`Security configuration \`${securityConfiguration}\``);
+  }
+  
+  if (featureLabels.length === 0) {
+    comment += `⚠️ No GHAS features were selected ${isDisable ? 'to disable' : 'for enablement'}.\n`;
+  } else {
+    if (hasEnablementResults) {
+      // Actual outcomes are reported per repository below, so only list what was requested here
+      comment += `### Features Requested${isDisable ? ' to Disable' : ''}\n`;
+      featureLabels.forEach(label => {
+        comment += `- ${label}\n`;
+      });
+    } else {
+      const marker = dryRun ? '➡️' : isDisable ? '🚫' : '✅';
+      comment += `### Features ${dryRun ? `Selected${isDisable ? ' to Disable' : ''}` : isDisable ? 'Disabled' : 'Enabled'}\n`;
+      featureLabels.forEach(label => {
+        comment += `- ${marker} ${label}\n`;
+      });
+    }
+    
+    // Explain which requested features this instance's version cannot provide
+    if (unsupportedFeatures && unsupportedFeatures.length > 0) {
+      comment += formatUnsupportedFeatures(unsupportedFeatures, capabilities, hostname);
+    }
+    
+    // If organization URLs were provided, mention them
+    if (organizationUrls && organizationUrls.length > 0) {
+      comment += `\n### Organization(s) and Scopes\n`;
+      organizationUrls.forEach(orgUrl => {
+        comment += `- ${orgUrl}\n`;
+      });
+    }
+    
+    // Display invalid organizations and repositories separately if any
+    if (invalidRepositories && invalidRepositories.length > 0) {
+      // Separate invalid organizations from invalid repositories
+      const invalidOrganizations = [];
+      const invalidRepos = [];
+      
+      invalidRepositories.forEach(item => {
+        if (isScopeTargetUrl(item.url)) {
+          invalidOrganizations.push(item);
+        } else {
+          invalidRepos.push(item);
+        }
+      });
+      
+      // Display invalid organizations if any
+      if (invalidOrganizations.length > 0) {
+        comment += `\n### ⚠️ Invalid Organizations (Skipped)\n`;
+        invalidOrganizations.forEach(item => {
+          comment += `- **${item.url}**\n  - Error: ${item.error}\n`;
+        });
+        comment += `\n`;
+      }
+      
+      // Display invalid repositories if any
+      if (invalidRepos.length > 0) {
+        comment += `\n### ⚠️ Invalid Repositories (Skipped)\n`;
+        invalidRepos.forEach(item => {
+          comment += `- **${item.url}**\n  - Error: ${item.error}\n`;
+        });
+        comment += `\n`;
+      }
+    }
+    
+    // Display organization repositories skipped by repository filters
+    if (excludedRepositories && excludedRepositories.length > 0) {
+      comment += formatExcludedRepositories(excludedRepositories);
+    }
+    
+    if (hasEnablementResults) {
+      comment += formatChangePlan(enablementResults, requestType, false);
+      comment += formatEnablementResults(enablementResults, requestType);
+      if (ledger) {
+        comment += formatLedgerSummary(ledger);
+      }
+    } else if (dryRun && Array.isArray(preflightResults) && preflightResults.length > 0) {
+      comment += formatChangePlan(preflightResults, requestType, true);
+      comment += formatPreflightResults(preflightResults, requestType);
+    } else {
+      comment += `\n### ${invalidRepositories && invalidRepositories.length > 0 ? 'Valid ' : ''}Repositories${dryRun ? ' (No Changes Applied)' : isDisable ? ' Disabled' : ' Enabled'}\n`;
+      repositories.forEach(repo => {
+        comment += `- ${repo}\n`;
+      });
+    }
+  }
+  
+  if (report && report.artifact) {
+    comment += formatReportLinks(report);
+  }
+  
+  if (awaitingApproval) {
+    comment += `\n\n---\n`;
+    comment += `### ⏸️ Approval required\n`;
+    comment += `${runTitle} will start once an approver comments \`${approval.command}\` on this issue or applies the \`${approval.label}\` label.\n\n`;
+    if (approval.approvers && approval.approvers.length > 0) {
+      comment += `Approvers: ${approval.approvers.join(', ')}\n`;
+    }
+  } else if (dryRun) {
+    comment += `\n\n---\n`;
+    comment += `### ✅ Next steps\n`;
+    comment += `This was a dry run analysis. Comment on this issue to continue:\n\n`;
+    comment += `- \`/run\` to ${isDisable ? 'disable' : 'enable'} the selected GHAS features with the same settings\n`;
+    comment += `- \`/add <url>\` or \`/remove <url>\` to change the repositories, followed by a new dry run\n`;
+    comment += `- \`/dry-run\` to run this analysis again\n`;
+  } else if (hasEnablementResults && enablementResults.some(result => !result.success)) {
+    comment += `\n\n---\n`;
+    comment += `Comment \`/retry-failed\` on this issue to retry the repositories with failures.\n`;
+  }
+  
+  return comment + formatResultsMarker(params);
+}
+
+/**
+ * Embeds the outcome of a run in a hidden marker so later commands (e.g. /retry-failed)
+ * can find it on the issue thread
+ * @param {Object} params - Parameters passed to createResultsComment
+ * @returns {string} HTML comment holding the results as JSON
+ */
+function formatResultsMarker(params) {
+  const results = Array.isArray(params.enablementResults) ? params.enablementResults : [];
+  const marker = {
+    hostname: params.hostname,
+    requestType: params.requestType || 'enable',
+    dryRun: !!params.dryRun,
+    features: Object.fromEntries(Object.keys(FEATURE_OPTIONS).map(flag => [flag, !!params[flag]])),
+    repositories: params.repositories || [],
+    failed: params.dryRun ? [] : results.filter(result => !result.success).map(result => result.repository),
+    estimatedLicensesNeeded: params.estimatedLicensesNeeded || 0,
+    licensesFreed: params.licensesFreed || 0,
+    // Whether changes were made, so license budgets only count runs that consumed licenses
+    applied: !params.dryRun && results.length > 0
+  };
+  // Keep the JSON from closing the HTML comment early
+  return `\n<!-- ghas-results: ${JSON.stringify(marker).replace(/--/g, '-\\u002d')} -->\n`;
+}
+
+// Issue form request issues are created from; its field ids and labels drive parseIssueBody
+const ISSUE_TEMPLATE_PATH = '.github/ISSUE_TEMPLATE/ghas-enablement-request.yml';
+
+// Headings of earlier versions of the issue form, mapped to the current field ids
+const LEGACY_ISSUE_FIELD_LABELS = {
+  'Repository URLs': 'repositories',
+  'GHAS Features to Enable': 'ghas_features'
+};
+
+// Label applied to requests whose issue form has to be fixed before they are processed
+const NEEDS_INFO_LABEL = 'needs-info';
+
+/**
+ * Reads the input fields of the issue form template
+ * @param {string} templatePath - Path of the issue form (default ISSUE_TEMPLATE_PATH)
+ * @returns {Array} Fields as { id, type, label, options, multiple, required }, in form order
+ */
+function loadIssueFormFields(templatePath = ISSUE_TEMPLATE_PATH) {
+  const template = yaml.load(fs.readFileSync(templatePath, 'utf8')) || {};
+  return (template.body || [])
+    .filter(field => field.id && field.type !== 'markdown')
+    .map(field => {
+      const attributes = field.attributes || {};
+      return {
+        id: field.id,
+        type: field.type,
+        label: attributes.label,
+        options: (attributes.options || []).map(option => (typeof option === 'object' ? option.label : String(option))),
+        multiple: attributes.multiple === true,
+        required: !!(field.validations && field.validations.required)
+      };
+    });
+}
+
+/**
+ * Splits an issue form body into field values keyed by field id
+ * GitHub renders each field as a "### Label" heading followed by its value, and "_No response_" for empty fields.
+ * @param {string} body - Issue body
+ * @param {Array} fields - Fields from loadIssueFormFields
+ * @returns {Object} Trimmed value of each field present in the body, or null when it was left empty
+ */
+function parseIssueFormFields(body, fields) {
+  const idsByLabel = { ...LEGACY_ISSUE_FIELD_LABELS, ...Object.fromEntries(fields.map(field => [field.label, field.id])) };
+  const values = {};
+  (body || '').replace(/\r\n/g, '\n').split(/^### /m).slice(1).forEach(section => {
+    const newline = section.indexOf('\n');
+    const heading = (newline === -1 ? section : section.slice(0, newline)).trim();
+    const id = idsByLabel[heading];
+    if (!id) {
+      return;
+    }
+    const value = newline === -1 ? '' : section.slice(newline + 1).trim();
+    values[id] = value && value !== '_No response_' && value !== 'None' ? value : null;
+  });
+  return values;
+}
+
+/**
+ * Lists the hostnames configured in config.yaml (GHES instances and GitHub Enterprise Cloud)
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Array} Hostnames without the api. prefix
+ */
+function getConfiguredHostnames(config = {}) {
+  const apiUrls = (config.ghes_instances || []).map(instance => instance && instance.api_url);
+  if (config.ghec) {
+    apiUrls.push(config.ghec.api_url);
+  }
+  const hostnames = [];
+  apiUrls.forEach(apiUrl => {
+    try {
+      const hostname = new URL(apiUrl).hostname.replace(/^api\./, '');
+      if (!hostnames.includes(hostname)) {
+        hostnames.push(hostname);
+      }
+    } catch (error) {
+      // Invalid API URLs are reported by validateConfig
+    }
+  });
+  return hostnames;
+}
+
+// Characters allowed in target URLs, and in their organization/repository and deeper path segments
+const TARGET_URL_PATTERN = /^https?:\/\/[A-Za-z0-9.:/_*?-]+$/;
+const TARGET_NAME_PATTERN = /^[A-Za-z0-9._*?-]+$/;
+const TARGET_PATH_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Checks the repository, organization and instance URLs of a request
+ * @param {Array} urls - Target URLs from the issue form or /add commands
+ * @param {Object} config - Parsed config.yaml, for the hostnames requests may target
+ * @returns {Array} One message per problem (not a URL, invalid glob, characters outside GitHub's name charset,
+ *   unknown hostname, listed twice)
+ */
+function validateTargetUrls(urls, config = {}) {
+  const hostnames = getConfiguredHostnames(config);
+  const seen = new Set();
+  const problems = [];
+  urls.forEach(url => {
+    const key = url.replace(/\/+$/, '').toLowerCase();
+    if (seen.has(key)) {
+      problems.push(`\`${url}\` is listed more than once`);
+      return;
+    }
+    seen.add(key);
+    if (!/^https?:\/\//i.test(url)) {
+      problems.push(`\`${url}\` is not a URL; use the full address, e.g. https://github.example.com/org-name/repo-name`);
+      return;
+    }
+    const target = classifyTargetUrl(url);
+    if (target.type === 'invalid') {
+      problems.push(`\`${url}\` is not a valid target; globs are only supported in the organization or repository name`);
+      return;
+    }
+    // Only GitHub's name characters, so URLs cannot break out of the quoted values in the workflow scripts
+    const segments = splitTargetUrl(url).pathParts;
+    if (!TARGET_URL_PATTERN.test(url) ||
+      !segments.every((segment, index) => (index < 2 ? TARGET_NAME_PATTERN : TARGET_PATH_PATTERN).test(segment))) {
+      problems.push(`\`${url}\` contains characters that are not allowed; organization and repository names may only use letters, digits, \`.\`, \`_\` and \`-\` (plus \`*\` and \`?\` in globs)`);
+      return;
+    }
+    // Matched like parseConfigAndGroupRepos matches GHES instances
+    if (hostnames.length > 0 && !hostnames.some(hostname => target.hostname === hostname || target.hostname.endsWith(`.${hostname}`))) {
+      problems.push(`\`${url}\` is on ${target.hostname}, which is not configured in config.yaml (${hostnames.join(', ')})`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Checks the "Repository Filters" issue form field line by line
+ * @param {string} text - Raw field text
+ * @returns {Array} One message per problem (unknown key, invalid value)
+ */
+function validateRepositoryFilters(text) {
+  const problems = [];
+  (text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.indexOf(':');
+    const key = separator > 0 ? line.slice(0, separator).trim().toLowerCase() : '';
+    const value = line.slice(separator + 1).trim();
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_REPOSITORY_FILTERS, key)) {
+      problems.push(`\`${line}\` is not a known filter (use one of ${Object.keys(DEFAULT_REPOSITORY_FILTERS).join(', ')})`);
+    } else if (typeof DEFAULT_REPOSITORY_FILTERS[key] === 'boolean' && !['true', 'false', 'yes', 'no'].includes(value.toLowerCase())) {
+      problems.push(`\`${key}\` must be true or false, got "${value}"`);
+    } else if (key === 'visibility') {
+      toList(value).filter(item => !['public', 'private', 'internal'].includes(item.toLowerCase()))
+        .forEach(item => problems.push(`\`visibility\` must list public, private or internal, got "${item}"`));
+    } else if (key === 'pushed_after' && !/^\d+d$/i.test(value) && isNaN(new Date(value).getTime())) {
+      problems.push(`\`pushed_after\` must be a date (2024-01-01) or a number of days (180d), got "${value}"`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Parses a whole number field of the issue form
+ * @param {string} value - Field value, or null when empty
+ * @param {number} minimum - Smallest allowed value
+ * @param {number} maximum - Largest allowed value (optional)
+ * @returns {Object} { value, problem }: the number or null when empty, and a message when it is not valid
+ */
+function parseIssueNumberField(value, minimum, maximum = Infinity) {
+  if (value === null || value === undefined) {
+    return { value: null, problem: null };
+  }
+  const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (isNaN(number) || number < minimum || number > maximum) {
+    const range = maximum === Infinity ? `${minimum} or more` : `between ${minimum} and ${maximum}`;
+    return { value: null, problem: `must be a whole number ${range}, got "${value}"` };
+  }
+  return { value: number, problem: null };
+}
+
+/**
+ * Parses issue body to extract repositories, feature selections, and other settings
+ * Fields are found by the labels of the issue form template and checked as they are read; every
+ * problem is returned in validationErrors instead of silently falling back to a default.
+ * @param {string} body - The issue body text
+ * @param {Object} options - Parsing options (optional)
+ * @param {Array} options.fields - Issue form fields (default: loadIssueFormFields())
+ * @param {Object} options.config - Parsed config.yaml, for the configured hostnames (default: loadConfig())
+ * @returns {Object} Parsed data including repositories and feature flags, and validationErrors as
+ *   { field, label, message } for each problem
+ */
+function parseIssueBody(body, options = {}) {
+  const fields = options.fields || loadIssueFormFields();
+  const config = options.config || loadConfig();
+  const values = parseIssueFormFields(body, fields);
+  const validationErrors = [];
+  const addError = (id, message) => {
+    const field = fields.find(item => item.id === id);
+    validationErrors.push({ field: id, label: field ? field.label : id, message });
+  };
+  
+  // Required fields and dropdown selections that are not among the template's options
+  fields.forEach(field => {
+    const value = values[field.id];
+    if (value === null || value === undefined) {
+      if (field.required) {
+        addError(field.id, 'is required');
+      }
+      return;
+    }
+    if (field.type === 'dropdown') {
+      const selected = field.multiple ? value.split(',').map(option => option.trim()).filter(Boolean) : [value];
+      selected.filter(option => !field.options.includes(option))
+        .forEach(option => addError(field.id, `"${option}" is not one of the options (${field.options.join(', ')})`));
+    }
+  });
+  
+  // Parse the repository and/or organization URLs from the form submission
+  const repositories = (values.repositories || '').split('\n').map(repo => repo.trim()).filter(Boolean);
+  validateTargetUrls(repositories, config).forEach(problem => addError('repositories', problem));
+  
+  // Parse the request type (dropdown field); requests without it enable features
+  const requestType = values.request_type === 'Disable GHAS' ? 'disable' : 'enable';
+  
+  // Parse the selected GHAS features (the features to turn off for disable requests)
+  const featuresRaw = values.ghas_features || '';
+  // Options are matched exactly, as several start with "Secret Scanning" or "Dependabot"
+  const selectedOptions = featuresRaw.split(',').map(option => option.trim());
+  const features = {};
+  Object.entries(FEATURE_OPTIONS).forEach(([flag, option]) => {
+    features[flag] = selectedOptions.includes(option);
+  });
+  // Advanced Security can only be selected for disable requests; enabling always turns it on
+  features.disableAdvancedSecurity = requestType === 'disable' && featuresRaw.includes('Advanced Security');
+  if (requestType === 'enable' && featuresRaw.includes('Advanced Security')) {
+    addError('ghas_features', 'Advanced Security can only be selected for Disable GHAS requests; it is always enabled with the other features');
+  }
+  // Enabling a feature that builds on another one enables that one too
+  if (requestType === 'enable') {
+    getSelectedFeatures(features).filter(feature => feature.requires).forEach(feature => {
+      const prerequisite = REPOSITORY_FEATURES.find(item => item.key === feature.requires);
+      if (!features[prerequisite.flag]) {
+        console.log(`${FEATURE_OPTIONS[feature.flag]} requires ${prerequisite.label}, which will be enabled as well`);
+        features[prerequisite.flag] = true;
+      }
+    });
+  }
+  const { enableCodeScanning, disableAdvancedSecurity } = features;
+  
+  // Parse minimum remaining licenses (optional, defaults to 1)
+  const minLicenses = parseIssueNumberField(values.min_remaining_licenses, 1);
+  if (minLicenses.problem) {
+    addError('min_remaining_licenses', minLicenses.problem);
+  }
+  const validMinLicenses = minLicenses.value || 1;
+  
+  // Parse skip license check and dry run options (dropdown fields)
+  const skipLicenseCheck = values.skip_license_check === 'Yes';
+  const dryRun = values.dry_run === 'Yes';
+  
+  // Parse repository filters for organization URLs (optional, one `key: value` per line)
+  validateRepositoryFilters(values.repository_filters).forEach(problem => addError('repository_filters', problem));
+  const repositoryFilters = parseRepositoryFilters(values.repository_filters || '');
+  
+  // Parse committer lookback window (optional, 1-365 days; falls back to config.yaml when empty)
+  const lookback = parseIssueNumberField(values.lookback_days, 1, 365);
+  if (lookback.problem) {
+    addError('lookback_days', lookback.problem);
+  }
+  const lookbackDays = lookback.value;
+  
+  // Parse branch scope (optional: "default", "all" or comma-separated branch globs)
+  const branchScope = values.branch_scope || null;
+  
+  // Parse code scanning default setup options (optional; empty values fall back to config.yaml)
+  const codeScanning = parseCodeScanningOptions(values);
+  if (codeScanning) {
+    (codeScanning.languages || []).filter(language => !normalizeCodeScanningLanguage(language))
+      .forEach(language => addError('code_scanning_languages', `"${language}" is not supported by default setup (use ${[...new Set(Object.values(CODE_SCANNING_LANGUAGES))].join(', ')})`));
+    if (codeScanning.runnerType === 'labeled' && !codeScanning.runnerLabel) {
+      addError('code_scanning_runner_label', 'is required for the Labeled runner type');
+    }
+  }
+  
+  // Parse the code security configuration to attach instead of per-repository settings (optional)
+  const securityConfiguration = values.security_configuration || null;
+  
+  console.log(`Request Type: ${requestType}`);
+  console.log(`Repositories: ${repositories.length}`);
+  if (requestType === 'disable') {
+    console.log(`Advanced Security: ${disableAdvancedSecurity}`);
+  }
+  Object.entries(FEATURE_OPTIONS).forEach(([flag, option]) => {
+    console.log(`${option}: ${features[flag]}`);
+  });
+  console.log(`Min Remaining Licenses: ${validMinLicenses}`);
+  console.log(`Skip License Check: ${skipLicenseCheck}`);
+  console.log(`Committer Lookback Days: ${lookbackDays || 'config default'}`);
+  console.log(`Branch Scope: ${branchScope || 'config default'}`);
+  console.log(`Repository Filters: ${repositoryFilters ? JSON.stringify(repositoryFilters) : 'config default'}`);
+  if (securityConfiguration) {
+    console.log(`Security Configuration: ${securityConfiguration}`);
+  }
+  if (enableCodeScanning) {
+    console.log(`Code Scanning Options: ${codeScanning ? JSON.stringify(codeScanning) : 'config default'}`);
+  }
+  validationErrors.forEach(error => console.log(`❌ ${error.label}: ${error.message}`));
+  
+  if (dryRun) {
+    console.log('======================================');
+    console.log('✅ DRY RUN MODE IS ACTIVE');
+    console.log('✅ NO CHANGES WILL BE MADE TO REPOSITORIES');
+    console.log('✅ THIS IS ONLY A SIMULATION OF WHAT WOULD HAPPEN');
+    console.log('======================================');
+  } else {
+    console.log(`Dry Run: ${dryRun} (features WILL be ${requestType === 'disable' ? 'disabled' : 'enabled'})`);
+  }
+  
+  return {
+    repositories,
+    requestType,
+    features,
+    minRemainingLicenses: validMinLicenses,
+    skipLicenseCheck,
+    dryRun,
+    lookbackDays,
+    branchScope,
+    repositoryFilters,
+    codeScanning,
+    securityConfiguration,
+    validationErrors
+  };
+}
+
+/**
+ * Reads the code scanning default setup fields of the issue form
+ * @param {Object} values - Field values from parseIssueFormFields
+ * @returns {Object|null} { querySuite, languages, runnerType, runnerLabel } with null for unset fields,
+ *   or null when none of the fields are set
+ */
+function parseCodeScanningOptions(values) {
+  const querySuiteRaw = values.code_scanning_query_suite || null;
+  const languagesRaw = values.code_scanning_languages || null;
+  const runnerRaw = values.code_scanning_runner || null;
+  const options = {
+    querySuite: querySuiteRaw ? querySuiteRaw.split(' ')[0].toLowerCase() : null,
+    languages: languagesRaw ? toList(languagesRaw) : null,
+    runnerType: runnerRaw ? runnerRaw.split(' ')[0].toLowerCase() : null,
+    runnerLabel: values.code_scanning_runner_label || null
+  };
+  return Object.values(options).some(value => value !== null) ? options : null;
+}
+
+/**
+ * Formats issue form validation errors as an issue comment, grouped by field
+ * @param {Array} validationErrors - Errors from parseIssueBody
+ * @returns {string} Markdown comment
+ */
+function formatIssueValidationComment(validationErrors) {
+  let comment = `## ⚠️ Request Needs More Information\n\n`;
+  comment += `This request was not processed because the issue form has ${validationErrors.length} problem${validationErrors.length === 1 ? '' : 's'}:\n\n`;
+  const labels = [...new Set(validationErrors.map(error => error.label))];
+  labels.forEach(label => {
+    comment += `**${label}**\n`;
+    validationErrors.filter(error => error.label === label).forEach(error => {
+      comment += `- ${error.message}\n`;
+    });
+    comment += `\n`;
+  });
+  comment += `Edit the issue to fix these fields (repository URLs can also be changed with \`/add\` and \`/remove\`). `;
+  comment += `The request is checked again when the issue is saved, and the \`${NEEDS_INFO_LABEL}\` label is removed once it passes.\n`;
+  return comment;
+}
+
+/**
+ * Reports issue form validation on the request issue
+ * With errors, posts the validation comment and applies the needs-info label; without errors,
+ * removes the label left by an earlier check.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the issue
+ * @param {string} repo - Name of the repository holding the issue
+ * @param {Object} issue - The issue object
+ * @param {Array} validationErrors - Errors from parseIssueBody or resolveIssueRequest
+ * @returns {Promise<boolean>} True if the request is valid and can be processed
+ */
+async function reportIssueValidation(github, owner, repo, issue, validationErrors) {
+  const hasLabel = (issue.labels || []).some(label => (label.name || label) === NEEDS_INFO_LABEL);
+  if (validationErrors.length === 0) {
+    if (hasLabel) {
+      await github.rest.issues.removeLabel({ owner, repo, issue_number: issue.number, name: NEEDS_INFO_LABEL });
+      console.log(`✅ Issue form is valid, removed the ${NEEDS_INFO_LABEL} label`);
+    }
+    return true;
+  }
+  
+  await github.rest.issues.createComment({
+    owner,
+    repo,
+    issue_number: issue.number,
+    body: formatIssueValidationComment(validationErrors)
+  });
+  if (!hasLabel) {
+    await github.rest.issues.addLabels({ owner, repo, issue_number: issue.number, labels: [NEEDS_INFO_LABEL] });
+  }
+  console.log(`⚠️ Issue form has ${validationErrors.length} problem(s), labeled ${NEEDS_INFO_LABEL}`);
+  return false;
+}
+
+/**
+ * Parses the issue body and sets job outputs for use in GitHub Actions
+ * @param {Object} issue - The issue object from GitHub context
+ * @param {Object} core - The GitHub Actions core object for setting outputs
+ * @param {Object} parsedData - Already resolved request, e.g. from resolveIssueRequest (optional, parses the issue body when omitted)
+ * @returns {Object} Parsed data including repositories and feature flags
+ */
+function parseIssueAndSetOutputs(issue, core, parsedData = parseIssueBody(issue.body)) {
+  
+  // Set outputs for use in later steps
+  core.setOutput('repositories', JSON.stringify(parsedData.repositories));
+  core.setOutput('enable_secret_scanning', parsedData.features.enableSecretScanning);
+  core.setOutput('enable_code_scanning', parsedData.features.enableCodeScanning);
+  core.setOutput('enable_dependabot_alerts', parsedData.features.enableDependabotAlerts);
+  core.setOutput('enable_push_protection', !!parsedData.features.enablePushProtection);
+  core.setOutput('enable_non_provider_patterns', !!parsedData.features.enableNonProviderPatterns);
+  core.setOutput('enable_validity_checks', !!parsedData.features.enableValidityChecks);
+  core.setOutput('enable_dependabot_security_updates', !!parsedData.features.enableDependabotSecurityUpdates);
+  core.setOutput('enable_private_vulnerability_reporting', !!parsedData.features.enablePrivateVulnerabilityReporting);
+  core.setOutput('request_type', parsedData.requestType);
+  core.setOutput('disable_advanced_security', parsedData.features.disableAdvancedSecurity);
+  core.setOutput('min_remaining_licenses', parsedData.minRemainingLicenses);
+  core.setOutput('skip_license_check', parsedData.skipLicenseCheck);
+  core.setOutput('dry_run', parsedData.dryRun);
+  core.setOutput('lookback_days', parsedData.lookbackDays || '');
+  core.setOutput('branch_scope', parsedData.branchScope || '');
+  core.setOutput('repository_filters', parsedData.repositoryFilters ? JSON.stringify(parsedData.repositoryFilters) : '');
+  core.setOutput('code_scanning_options', parsedData.codeScanning ? JSON.stringify(parsedData.codeScanning) : '');
+  core.setOutput('security_configuration', parsedData.securityConfiguration || '');
+  
+  return parsedData;
+}
+
+/**
+ * Default approval settings, overridden by the approval section of config.yaml
+ */
+const DEFAULT_APPROVAL_CONFIG = {
+  required: false,
+  users: [],
+  teams: [],
+  command: '/approve',
+  label: 'ghas-approved'
+};
+
+/**
+ * Normalizes the approval section of config.yaml
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Object} { required, users, teams, command, label }
+ */
+function getApprovalConfig(config) {
+  const approval = (config && config.approval) || {};
+  const approvers = approval.approvers || {};
+  return {
+    required: approval.required === true,
+    users: toList(approvers.users).map(user => user.replace(/^@/, '').toLowerCase()),
+    teams: toList(approvers.teams).map(team => team.replace(/^@/, '')),
+    command: approval.command || DEFAULT_APPROVAL_CONFIG.command,
+    label: approval.label || DEFAULT_APPROVAL_CONFIG.label
+  };
+}
+
+/**
+ * Checks whether a user is a configured approver, either directly or through a team
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} login - Login to check
+ * @param {Object} approvalConfig - Settings returned by getApprovalConfig
+ * @returns {Promise<boolean>} True if the user may approve enablement requests
+ */
+async function isApprover(github, login, approvalConfig) {
+  if (!login) {
+    return false;
+  }
+  if (approvalConfig.users.includes(login.toLowerCase())) {
+    return true;
+  }
+  for (const team of approvalConfig.teams) {
+    if (await isTeamMember(github, team, login)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether a user is an active member of a team
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} team - Team as org/team-slug
+ * @param {string} login - Login to check
+ * @returns {Promise<boolean>} True if the user is an active member of the team
+ */
+async function isTeamMember(github, team, login) {
+  const [org, teamSlug] = team.split('/');
+  try {
+    const { data } = await github.rest.teams.getMembershipForUserInOrg({ org, team_slug: teamSlug, username: login });
+    return data.state === 'active';
+  } catch (error) {
+    // 404 means the user is not a member; anything else is logged and treated as not a member
+    if (error.status !== 404) {
+      console.error(`Error checking membership of ${login} in team ${team}:`, error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Returns when the body of an issue was last edited
+ * The REST API has no body edit timestamp (updated_at also moves for comments and labels), so
+ * this reads lastEditedAt through GraphQL. When it cannot be read, updated_at is used instead,
+ * which can only make approvals stricter.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {Object} issue - The issue object
+ * @returns {Promise<string|null>} ISO timestamp of the last body edit, or null if never edited
+ */
+async function getIssueBodyEditedAt(github, issue) {
+  try {
+    const data = await github.graphql('query($id: ID!) { node(id: $id) { ... on Issue { lastEditedAt } } }', { id: issue.node_id });
+    return (data && data.node && data.node.lastEditedAt) || null;
+  } catch (error) {
+    console.error(`Could not read the edit history of issue #${issue.number}, using its last update instead:`, error.message);
+    return issue.updated_at || null;
+  }
+}
+
+/**
+ * Checks whether an enablement request has been approved
+ * An approval is a comment starting with the approval command, or the approval label
+ * applied, by a user listed in approval.approvers (directly or through a team).
+ * Approvals given before the last edit of the issue body are ignored, so the approved request is
+ * the one that runs.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the issue
+ * @param {string} repo - Name of the repository holding the issue
+ * @param {number} issueNumber - Issue number of the enablement request
+ * @param {string} notBefore - ISO timestamp; approvals given before it are ignored, e.g. when the
+ *   repository list was changed with /add or /remove after the approval (optional)
+ * @returns {Promise<Object>} { required, approved, approver, method, approvedAt, command, label, approvers }
+ */
+async function checkApproval(github, owner, repo, issueNumber, notBefore = null) {
+  const approvalConfig = getApprovalConfig(loadConfig());
+  const result = {
+    required: approvalConfig.required,
+    approved: !approvalConfig.required,
+    approver: null,
+    method: null,
+    approvedAt: null,
+    command: approvalConfig.command,
+    label: approvalConfig.label,
+    approvers: [...approvalConfig.users.map(user => `@${user}`), ...approvalConfig.teams.map(team => `@${team}`)]
+  };
+  
+  if (!approvalConfig.required) {
+    console.log('Approval is not required for enablement requests');
+    return result;
+  }
+  
+  // Approvals must also be newer than the last edit of the issue form
+  const { data: issue } = await github.rest.issues.get({ owner, repo, issue_number: issueNumber });
+  const editedAt = await getIssueBodyEditedAt(github, issue);
+  if (editedAt && (!notBefore || new Date(editedAt) > new Date(notBefore))) {
+    notBefore = editedAt;
+  }
+  
+  // Approval comments, oldest first
+  const comments = await github.paginate(github.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+  const command = approvalConfig.command.toLowerCase();
+  const isCurrent = timestamp => !notBefore || new Date(timestamp) >= new Date(notBefore);
+  for (const comment of comments) {
+    const firstLine = (comment.body || '').trim().split('\n')[0].trim().toLowerCase();
+    if (firstLine.split(/\s+/)[0] !== command || !isCurrent(comment.created_at)) {
+      continue;
+    }
+    if (await isApprover(github, comment.user && comment.user.login, approvalConfig)) {
+      Object.assign(result, { approved: true, approver: comment.user.login, method: 'comment', approvedAt: comment.created_at });
+      break;
+    }
+    console.log(`Ignoring ${approvalConfig.command} from ${comment.user && comment.user.login}: not a configured approver`);
+  }
+  
+  // The approval label only counts while it is still applied and was applied by an approver
+  if (!result.approved) {
+    const hasLabel = (issue.labels || []).some(label => (label.name || label) === approvalConfig.label);
+    if (hasLabel) {
+      const events = await github.paginate(github.rest.issues.listEvents, {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        per_page: 100
+      });
+      const labelEvents = events
+        .filter(event => event.event === 'labeled' && event.label && event.label.name === approvalConfig.label && isCurrent(event.created_at))
+        .reverse();
+      for (const event of labelEvents) {
+        if (await isApprover(github, event.actor && event.actor.login, approvalConfig)) {
+          Object.assign(result, { approved: true, approver: event.actor.login, method: 'label', approvedAt: event.created_at });
+          break;
+        }
+        console.log(`Ignoring ${approvalConfig.label} label from ${event.actor && event.actor.login}: not a configured approver`);
+      }
+    }
+  }
+  
+  console.log(result.approved
+    ? `✅ Approved by @${result.approver} via ${result.method === 'label' ? `the ${approvalConfig.label} label` : approvalConfig.command}`
+    : `⏸️ Awaiting approval: an approver must comment ${approvalConfig.command} or apply the ${approvalConfig.label} label`);
+  return result;
+}
+
+/**
+ * Describes how an approved request was approved, for the results comment
+ * @param {Object} approval - Result of checkApproval
+ * @returns {string} Markdown line
+ */
+function describeApproval(approval) {
+  const via = approval.method === 'label' ? `the \`${approval.label}\` label` : `\`${approval.command}\``;
+  const when = approval.approvedAt ? ` on ${approval.approvedAt.split('T')[0]}` : '';
+  return `**✅ Approved by:** @${approval.approver} via ${via}${when}\n\n`;
+}
+
+/**
+ * Default license budget settings, overridden by the budgets section of config.yaml
+ */
+const DEFAULT_BUDGET_CONFIG = {
+  maxRepositoriesPerRequest: 0,
+  action: 'reject',
+  default: null
+};
+
+// Label carried by every enablement request issue
+const REQUEST_LABEL = 'ghas-enablement';
+
+/**
+ * Normalizes the budgets section of config.yaml
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Object} { enabled, maxRepositoriesPerRequest, action, default, users, teams }
+ */
+function getBudgetConfig(config) {
+  const budgets = (config && config.budgets) || {};
+  const toLimit = value => (value === undefined || value === null || value === '' ? null : Math.max(0, parseInt(value, 10) || 0));
+  const users = Object.fromEntries(Object.entries(budgets.users || {}).map(([login, limit]) => [login.replace(/^@/, '').toLowerCase(), toLimit(limit)]));
+  const teams = Object.fromEntries(Object.entries(budgets.teams || {}).map(([team, limit]) => [team.replace(/^@/, ''), toLimit(limit)]));
+  const result = {
+    maxRepositoriesPerRequest: toLimit(budgets.max_repositories_per_request) || DEFAULT_BUDGET_CONFIG.maxRepositoriesPerRequest,
+    action: budgets.action === 'flag' ? 'flag' : DEFAULT_BUDGET_CONFIG.action,
+    default: toLimit(budgets.default),
+    users,
+    teams
+  };
+  result.enabled = result.maxRepositoriesPerRequest > 0 || result.default !== null ||
+    Object.keys(users).length > 0 || Object.keys(teams).length > 0;
+  return result;
+}
+
+/**
+ * Adds up the licenses consumed by past runs, per requester and hostname
+ * Open and closed request issues count, including earlier runs of the request being checked. For
+ * each issue and hostname the largest estimate of a run that made changes is consumed, less the
+ * largest estimate freed by a disable run on the same issue.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the issues
+ * @param {string} repo - Name of the repository holding the issues
+ * @param {Object} options - Filters
+ * @param {string} options.creator - Only read issues opened by this login (optional)
+ * @param {string} options.hostname - Only count runs against this hostname (optional)
+ * @param {Object} options.config - Parsed config.yaml, for the results comment author (default: loadConfig())
+ * @returns {Promise<Object>} Licenses consumed keyed by lowercase login
+ */
+async function collectLicenseConsumption(github, owner, repo, options = {}) {
+  const issues = await github.paginate(github.rest.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'all',
+    labels: REQUEST_LABEL,
+    ...(options.creator ? { creator: options.creator } : {}),
+    per_page: 100
+  });
+  const resultsAuthors = getResultsAuthors(options.config || loadConfig());
+  
+  const consumption = {};
+  for (const issue of issues) {
+    if (issue.pull_request || !issue.user) {
+      continue;
+    }
+    const comments = await github.paginate(github.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: issue.number,
+      per_page: 100
+    });
+    // Markers written before the applied field existed count unless they were dry runs
+    const markers = extractResultsMarkers(comments, resultsAuthors)
+      .filter(marker => (marker.applied === undefined ? !marker.dryRun : marker.applied))
+      .filter(marker => !options.hostname || marker.hostname === options.hostname);
+    
+    const byHostname = {};
+    markers.forEach(marker => {
+      const totals = byHostname[marker.hostname] = byHostname[marker.hostname] || { consumed: 0, freed: 0 };
+      if (marker.requestType === 'disable') {
+        totals.freed = Math.max(totals.freed, marker.licensesFreed || 0);
+      } else {
+        totals.consumed = Math.max(totals.consumed, marker.estimatedLicensesNeeded || 0);
       }
     });
+    
+    const login = issue.user.login.toLowerCase();
+    Object.values(byHostname).forEach(totals => {
+      consumption[login] = Math.max(0, (consumption[login] || 0) + totals.consumed - totals.freed);
+    });
   }
+  return consumption;
+}
+
+/**
+ * Checks a request against the license budgets and repository limit in config.yaml
+ * A requester is held to their own budget and the budget of every team they belong to; team
+ * budgets are shared by all members. Requesters without a user or team budget get the default.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the issues
+ * @param {string} repo - Name of the repository holding the issues
+ * @param {Object} request - The request being checked
+ * @param {string} request.requester - Login of the issue author
+ * @param {string} request.hostname - Hostname the licenses are consumed on (optional, all hostnames if omitted)
+ * @param {number} request.estimatedLicensesNeeded - Licenses the request needs, from checkLicenseAvailability
+ * @param {number} request.repositoryCount - Number of repositories in the whole request
+ * @returns {Promise<Object>} { enabled, requester, action, requested, budgets, maxRepositories,
+ *   repositoryCount, repositoriesExceeded, exceeded, blocked }
+ */
+async function checkRequestBudget(github, owner, repo, request) {
+  const config = loadConfig();
+  const budgetConfig = getBudgetConfig(config);
+  const requester = (request.requester || '').toLowerCase();
+  const result = {
+    enabled: budgetConfig.enabled,
+    requester: request.requester,
+    action: budgetConfig.action,
+    requested: request.estimatedLicensesNeeded || 0,
+    budgets: [],
+    maxRepositories: budgetConfig.maxRepositoriesPerRequest || null,
+    repositoryCount: request.repositoryCount || 0,
+    repositoriesExceeded: false,
+    exceeded: false,
+    blocked: false
+  };
   
-  // Group repositories by hostname
-  const groupedRepos = {};
-  const validRepositories = [];
+  if (!budgetConfig.enabled) {
+    console.log('No license budgets are configured');
+    return result;
+  }
   
-  repositories.forEach(repo => {
-    try {
-      // Extract hostname from repo URL
-      const hostname = new URL(repo).hostname;
-      if (!groupedRepos[hostname]) {
-        groupedRepos[hostname] = [];
-      }
-      groupedRepos[hostname].push(repo);
-      validRepositories.push(repo);
-    } catch (error) {
-      console.error(`Invalid repository URL: ${repo}`, error.message);
-      invalidRepositories.push({
-        url: repo,
-        error: error.message
-      });
-      // Continue with other repositories
+  result.repositoriesExceeded = !!result.maxRepositories && result.repositoryCount > result.maxRepositories;
+  
+  // Membership is checked once per team and login
+  const memberships = {};
+  const isMember = async (team, login) => {
+    const key = `${team}:${login}`;
+    if (memberships[key] === undefined) {
+      memberships[key] = await isTeamMember(github, team, login);
     }
-  });
+    return memberships[key];
+  };
   
-  if (invalidRepositories.length > 0) {
-    console.log(`Found ${invalidRepositories.length} invalid repository URLs that will be skipped:`);
-    invalidRepositories.forEach(item => console.log(`  - ${item.url}: ${item.error}`));
+  const applicable = [];
+  if (budgetConfig.users[requester] !== undefined && budgetConfig.users[requester] !== null) {
+    applicable.push({ scope: 'user', name: request.requester, limit: budgetConfig.users[requester] });
+  }
+  for (const [team, limit] of Object.entries(budgetConfig.teams)) {
+    if (limit !== null && await isMember(team, requester)) {
+      applicable.push({ scope: 'team', name: team, limit });
+    }
+  }
+  if (applicable.length === 0 && budgetConfig.default !== null) {
+    applicable.push({ scope: 'default', name: request.requester, limit: budgetConfig.default });
   }
   
-  console.log(`Processing ${validRepositories.length} valid repositories across ${Object.keys(groupedRepos).length} hostnames`);
-  
-  // Build matrix JSON
-  const matrixItems = [];
-  
-  for (const hostname in groupedRepos) {
-    // Find matching GHES instance
-    let matched = false;
-    const reposList = groupedRepos[hostname];
+  if (applicable.length > 0) {
+    // Team budgets need every requester's consumption; otherwise only the requester's issues are read
+    const hasTeamBudget = applicable.some(budget => budget.scope === 'team');
+    const consumption = await collectLicenseConsumption(github, owner, repo, {
+      creator: hasTeamBudget ? null : request.requester,
+      hostname: request.hostname,
+      config
+    });
     
-    if (config.ghes_instances && Array.isArray(config.ghes_instances)) {
-      for (const instance of config.ghes_instances) {
-        try {
-          // Extract hostname from API URL for matching
-          const apiUrl = new URL(instance.api_url);
-          const instanceHostname = apiUrl.hostname.replace(/^api\./, '');
-          
-          // More precise matching that prevents partial hostname matches
-          // This ensures github-test.com doesn't match github.com
-          if (hostname === instanceHostname || 
-              hostname.endsWith(`.${instanceHostname}`)) {
-            matched = true;
-            matrixItems.push({
-              hostname: hostname,
-              instance_name: instance.name,
-              api_url: instance.api_url,
-              auth_var: instance.auth_var,
-              repositories: reposList,
-              enable_secret_scanning: enableSecretScanning,
-              enable_code_scanning: enableCodeScanning,
-              enable_dependabot_alerts: enableDependabotAlerts,
-              min_remaining_licenses: minRemainingLicenses
-            });
-            console.log(`Matched hostname '${hostname}' with GHES instance '${instance.name}' (auth: ${instance.auth_var})`);
-            break;
+    for (const budget of applicable) {
+      let consumed = 0;
+      if (budget.scope === 'team') {
+        for (const [login, licenses] of Object.entries(consumption)) {
+          if (await isMember(budget.name, login)) {
+            consumed += licenses;
           }
-        } catch (error) {
-          console.error(`Error parsing API URL for instance ${instance.name}:`, error.message);
-          // Continue checking other instances
         }
+      } else {
+        consumed = consumption[requester] || 0;
       }
-    }
-    
-    // If no match found, use default values
-    if (!matched) {
-      console.log(`Warning: No matching GHES instance found for hostname ${hostname}, using default token`);
-      matrixItems.push({
-        hostname: hostname,
-        instance_name: 'unknown',
-        api_url: `https://${hostname}/api/v3`,
-        auth_var: 'GH_ENTERPRISE_TOKEN',
-        repositories: reposList,
-        enable_secret_scanning: enableSecretScanning,
-        enable_code_scanning: enableCodeScanning,
-        enable_dependabot_alerts: enableDependabotAlerts,
-        min_remaining_licenses: minRemainingLicenses
-      });
+      const remaining = budget.limit - consumed - result.requested;
+      result.budgets.push({ ...budget, consumed, requested: result.requested, remaining, exceeded: remaining < 0 });
     }
   }
   
-  return {
-    matrixItems,
-    invalidRepositories,
-    validRepositories,
-    totalRepositories: repositories.length
-  };
+  result.exceeded = result.repositoriesExceeded || result.budgets.some(budget => budget.exceeded);
+  result.blocked = result.exceeded && result.action === 'reject';
+  
+  result.budgets.forEach(budget => {
+    console.log(`${budget.exceeded ? '❌' : '✅'} ${describeBudget(budget)}: ${budget.consumed} consumed + ${budget.requested} requested of ${budget.limit}`);
+  });
+  if (result.repositoriesExceeded) {
+    console.log(`❌ Request has ${result.repositoryCount} repositories, more than the maximum of ${result.maxRepositories}`);
+  }
+  if (result.exceeded) {
+    console.log(result.blocked ? '❌ Request exceeds its budget and is rejected' : '⚠️ Request exceeds its budget and is flagged for review');
+  }
+  return result;
 }
 
 /**
- * Determines authentication token name based on matrix auth_var
- * @param {string} authVar - Authentication variable from matrix
- * @returns {string} Token name to use
+ * Names a budget for logs and the results comment
+ * @param {Object} budget - Budget entry from checkRequestBudget
+ * @returns {string} e.g. "Team my-org/security"
  */
-function determineTokenName(authVar) {
-  if (authVar && authVar !== 'null') {
-    console.log(`Using specified auth variable: ${authVar}`);
-    return authVar;
-  } else {
-    console.log('No auth variable specified, using default GH_ENTERPRISE_TOKEN');
-    return 'GH_ENTERPRISE_TOKEN';
+function describeBudget(budget) {
+  if (budget.scope === 'team') {
+    return `Team ${budget.name}`;
   }
+  return budget.scope === 'default' ? `Default budget for ${budget.name}` : `User ${budget.name}`;
 }
 
 /**
- * Gets the actual token value - in the simplified workflow, this function is no longer needed
- * as we're using GitHub Actions' secrets context directly
- * @deprecated Use secrets context syntax in the workflow instead: ${{ secrets[matrix.auth_var] || secrets.GH_ENTERPRISE_TOKEN }}
- * @param {string} tokenName - The name of the token
- * @param {Object} secrets - Available secrets from GitHub Actions
- * @returns {string} The actual token value
+ * Formats the license budget check for the results comment
+ * @param {Object} budget - Result of checkRequestBudget
+ * @param {boolean} dryRun - Whether the comment is for an analysis rather than a real run
+ * @returns {string} Markdown section, or an empty string when no budgets are configured
  */
-function getTokenValue(tokenName, secrets) {
-  // This function is kept for backward compatibility
-  // In the newer implementation, we directly use the secrets context in the workflow
-  console.log('This function is deprecated. Use secrets context directly in workflows.');
-  return secrets?.GH_ENTERPRISE_TOKEN || '';
+function formatBudget(budget, dryRun) {
+  if (!budget || !budget.enabled || (budget.budgets.length === 0 && !budget.maxRepositories)) {
+    return '';
+  }
+  let section = `### 💰 License Budget\n\n`;
+  if (budget.budgets.length > 0) {
+    section += `| Budget | Limit | Already consumed | This request | Remaining |\n`;
+    section += `|--------|-------|------------------|--------------|-----------|\n`;
+    budget.budgets.forEach(entry => {
+      section += `| ${describeBudget(entry)} | ${entry.limit} | ${entry.consumed} | ${entry.requested} | ${entry.remaining}${entry.exceeded ? ' ❌' : ''} |\n`;
+    });
+    section += `\n`;
+  }
+  if (budget.maxRepositories) {
+    section += `- Repositories in this request: ${budget.repositoryCount} (maximum ${budget.maxRepositories})${budget.repositoriesExceeded ? ' ❌' : ''}\n\n`;
+  }
+  if (budget.blocked) {
+    section += dryRun
+      ? `❌ **Over budget:** this request will be rejected. Reduce the number of repositories or ask an administrator to raise the budget.\n\n`
+      : `❌ **Over budget:** this request was rejected and no changes were made.\n\n`;
+  } else if (budget.exceeded) {
+    section += `⚠️ **Over budget:** this request exceeds its budget and is flagged for review.\n\n`;
+  }
+  return section;
 }
 
 /**
- * Checks GHAS license availability or returns default values if skipping check
- * @param {Object} env - Environment variables
- * @param {boolean} skipCheck - Whether to skip the license check
- * @param {Array} repositories - List of repositories to enable GHAS for (optional)
- * @param {Object} features - Feature selection flags (optional)
- * @param {boolean} features.enableSecretScanning - Whether secret scanning is selected
- * @param {boolean} features.enableCodeScanning - Whether code scanning is selected
- * @param {boolean} features.enableDependabotAlerts - Whether dependabot alerts is selected
- * @returns {Object} License information and availability status including:
- *   - totalLicenses: Total number of GHAS licenses (0 or undefined indicates unlimited)
- *   - usedLicenses: Number of licenses currently in use
- *   - availableLicenses: Number of licenses available after considering new committers (Number.MAX_SAFE_INTEGER for unlimited)
- *   - minRemainingLicenses: Minimum number of licenses that must remain unused
- *   - hasEnoughLicenses: Boolean indicating if there are enough licenses (always true for unlimited)
- *   - skipLicenseCheck: Boolean indicating if license check was skipped
- *   - currentGhasCommitters: Array of emails for committers already using GHAS licenses
- *   - newCommitters: Number of committers that would need new licenses
- *   - newCommittersList: Array of committer emails that would need new licenses
- *   - estimatedLicensesNeeded: Number of new licenses that would be needed
+ * Slash commands accepted on a request issue
+ * /add and /remove change the repository list for every later run on the issue.
  */
-function checkLicenseAvailability(env, skipCheck = false, repositories = [], features = {}) {
-  // If skipping check, return default values that indicate success
-  if (skipCheck) {
-    console.log('Skipping license check as requested');
-    return {
-      totalLicenses: 1000,
-      usedLicenses: 1,
-      availableLicenses: 999,
-      minRemainingLicenses: parseInt(env.MIN_REMAINING_LICENSES, 10) || 1,
-      hasEnoughLicenses: true,
-      skipLicenseCheck: true,
-      currentGhasCommitters: [],
-      newCommitters: 0,
-      newCommittersList: [],
-      estimatedLicensesNeeded: 0
-    };
-  }
+const SLASH_COMMANDS = {
+  run: 'Run the enablement for real with the request parameters',
+  'dry-run': 'Run the analysis again without making changes',
+  'retry-failed': 'Retry the repositories that failed in the last enablement run',
+  add: 'Add repository or organization URLs to the request',
+  remove: 'Remove repository or organization URLs from the request'
+};
+
+/**
+ * Parses slash commands from an issue comment, one command per line
+ * @param {string} body - Comment body
+ * @param {Object} options - Parsing options (optional)
+ * @param {string} options.approvalCommand - Approval command from config.yaml (default '/approve')
+ * @returns {Object} { action: 'run' | 'dry-run' | 'retry-failed' | 'approve' | null, add, remove, unknown }
+ */
+function parseSlashCommands(body, options = {}) {
+  const approvalCommand = (options.approvalCommand || DEFAULT_APPROVAL_CONFIG.command).toLowerCase();
+  const result = { action: null, add: [], remove: [], unknown: [] };
+  (body || '').split('\n').map(line => line.trim()).filter(line => line.startsWith('/')).forEach(line => {
+    const [name, ...args] = line.split(/\s+/);
+    const command = name.toLowerCase();
+    if (command === '/add' || command === '/remove') {
+      result[command.slice(1)].push(...args);
+    } else if (command === approvalCommand) {
+      result.action = result.action || 'approve';
+    } else if (['/run', '/dry-run', '/retry-failed'].includes(command)) {
+      result.action = result.action || command.slice(1);
+    } else {
+      result.unknown.push(name);
+    }
+  });
+  return result;
+}
+
+// Login that posts results comments with the workflow's GITHUB_TOKEN
+const DEFAULT_RESULTS_AUTHOR = 'github-actions[bot]';
+
+/**
+ * Lists the logins whose results comments are trusted, from the results section of config.yaml
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Set<string>} Lowercased logins: github-actions[bot] and results.author when set
+ */
+function getResultsAuthors(config) {
+  const author = config && config.results && config.results.author;
+  return new Set([DEFAULT_RESULTS_AUTHOR, author].filter(Boolean).map(login => login.toLowerCase()));
+}
+
+/**
+ * Extracts the machine-readable results embedded in results comments by createResultsComment
+ * Markers are only read from comments posted by the workflow, so other bots and apps cannot
+ * plant failures to retry or consumption to count.
+ * @param {Array} comments - Issue comments, oldest first
+ * @param {Set<string>} authors - Lowercased logins allowed to post results (see getResultsAuthors)
+ * @returns {Array} Parsed results, oldest first
+ */
+function extractResultsMarkers(comments, authors) {
+  const markers = [];
+  comments
+    .filter(comment => comment.user && authors.has(String(comment.user.login).toLowerCase()))
+    .forEach(comment => {
+      const match = /<!-- ghas-results: (.*?) -->/.exec(comment.body || '');
+      if (!match) {
+        return;
+      }
+      try {
+        markers.push({ ...JSON.parse(match[1]), commentId: comment.id, createdAt: comment.created_at });
+      } catch (error) {
+        console.error(`Ignoring unreadable results marker in comment ${comment.id}:`, error.message);
+      }
+    });
+  return markers;
+}
 
-  // Load and parse config.yaml
-  const configYaml = fs.readFileSync('config.yaml', 'utf8');
-  const config = yaml.load(configYaml);
+/**
+ * Resolves the request to run for an issue, applying slash commands from its comments
+ * The issue form provides the original parameters; authorized /add and /remove commands up to
+ * the triggering comment change the repository list, and the triggering comment picks the action.
+ * Only the issue author and collaborators with write access can run commands.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the issue
+ * @param {string} repo - Name of the repository holding the issue
+ * @param {Object} issue - The issue object
+ * @param {number} commentId - ID of the comment that triggered the run, or 0 for issue events
+ * @returns {Promise<Object>} Parsed issue data (see parseIssueBody) with the resolved repositories and
+ *   dryRun, plus action, listChangedAt (timestamp of the last /add or /remove) and error
+ */
+async function resolveIssueRequest(github, owner, repo, issue, commentId = 0) {
+  const config = loadConfig();
+  const fields = loadIssueFormFields();
+  const request = { ...parseIssueBody(issue.body, { fields, config }), action: null, listChangedAt: null, error: null };
+  const approvalCommand = getApprovalConfig(config).command;
+  
+  const comments = await github.paginate(github.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issue.number,
+    per_page: 100
+  });
+  
+  const permissions = {};
+  const canRunCommands = async login => {
+    if (!login) {
+      return false;
+    }
+    if (login === (issue.user && issue.user.login)) {
+      return true;
+    }
+    if (permissions[login] === undefined) {
+      try {
+        const { data } = await github.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username: login });
+        permissions[login] = ['admin', 'maintain', 'write'].includes(data.permission);
+      } catch (error) {
+        permissions[login] = false;
+      }
+    }
+    return permissions[login];
+  };
+  
+  // Apply repository list changes in comment order, up to the triggering comment
+  const sameUrl = (a, b) => a.replace(/\/+$/, '').toLowerCase() === b.replace(/\/+$/, '').toLowerCase();
+  for (const comment of comments) {
+    if (commentId && comment.id > commentId) {
+      break;
+    }
+    const commands = parseSlashCommands(comment.body, { approvalCommand });
+    if ((commands.add.length === 0 && commands.remove.length === 0) || !(await canRunCommands(comment.user && comment.user.login))) {
+      continue;
+    }
+    commands.add
+      .filter(url => !request.repositories.some(existing => sameUrl(existing, url)))
+      .forEach(url => request.repositories.push(url));
+    request.repositories = request.repositories.filter(existing => !commands.remove.some(url => sameUrl(existing, url)));
+    request.listChangedAt = comment.created_at;
+  }
   
-  // Get GHEC configuration
-  const ghecConfig = config.ghec;
-  const ghecApiUrl = ghecConfig.api_url;
-  const ghecName = ghecConfig.name;
-  const ghecAuthVar = ghecConfig.auth_var;
+  // URLs added with /add are checked like the ones in the issue form
+  if (request.listChangedAt) {
+    const repositoriesField = fields.find(field => field.id === 'repositories');
+    request.validationErrors = request.validationErrors
+      .filter(error => error.field !== 'repositories')
+      .concat(validateTargetUrls(request.repositories, config).map(message => ({
+        field: 'repositories',
+        label: repositoriesField ? repositoriesField.label : 'repositories',
+        message
+      })));
+  }
   
-  // Set the GHEC token for API calls
-  // Use the token from the auth_var specified in the configuration
-  const ghecToken = env[ghecAuthVar];
-  const ghecHostname = new URL(ghecApiUrl).hostname.replace(/^api\./, '');
+  // Issue events (opened, approval label) run with the issue parameters
+  const trigger = commentId ? comments.find(comment => comment.id === commentId) : null;
+  if (!trigger) {
+    request.action = 'issue';
+    return request;
+  }
   
-  // Get total and used GHAS licenses from GHEC API
-  // Determine the correct environment variable based on hostname
-  // GitHub.com uses GH_TOKEN, GHES instances use GH_ENTERPRISE_TOKEN
-  const isGitHubDotCom = ghecHostname === 'github.com';
-  const tokenEnvVar = isGitHubDotCom ? 'GH_TOKEN' : ghecAuthVar;
+  const commands = parseSlashCommands(trigger.body, { approvalCommand });
+  const login = trigger.user && trigger.user.login;
+  if (!(await canRunCommands(login))) {
+    request.error = `@${login} cannot run commands on this request. Only the requester and collaborators with write access can.`;
+    return request;
+  }
+  if (commands.unknown.length > 0) {
+    request.error = `Unknown command ${commands.unknown.join(', ')}. Supported commands:\n${Object.entries(SLASH_COMMANDS).map(([name, description]) => `- \`/${name}\`: ${description}`).join('\n')}`;
+    return request;
+  }
   
-  let ghasData;
-  let licenseCmd = `gh api -H "Accept: application/vnd.github+json" "/enterprises/${ghecName}/settings/billing/advanced-security" --hostname "${ghecHostname}"`;
+  // A comment that only changes the repository list shows a fresh dry run analysis
+  request.action = commands.action || 'dry-run';
+  console.log(`Slash command from @${login}: /${request.action}`);
+  if (request.action === 'run') {
+    request.dryRun = false;
+  } else if (request.action === 'dry-run') {
+    request.dryRun = true;
+  } else if (request.action === 'retry-failed') {
+    // Retry the failures from the latest real run on each hostname
+    const latestByHostname = {};
+    extractResultsMarkers(comments, getResultsAuthors(config))
+      .filter(marker => !marker.dryRun)
+      .forEach(marker => {
+        latestByHostname[marker.hostname] = marker;
+      });
+    request.repositories = Object.values(latestByHostname).flatMap(marker => marker.failed || []);
+    request.dryRun = false;
+    if (request.repositories.length === 0) {
+      request.error = 'There are no failed repositories to retry from the last enablement run.';
+    }
+  }
   
+  return request;
+}
+
+const DEFAULT_LEDGER_CONFIG = {
+  enabled: true,
+  branch: 'ghas-ledger',
+  path: 'ledger/ghas-ledger.jsonl',
+  artifact: true
+};
+
+// Attempts to append to the ledger file when another matrix job commits to it at the same time
+const LEDGER_WRITE_ATTEMPTS = 5;
+
+/**
+ * Normalizes the ledger section of config.yaml
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Object} { enabled, branch, path, artifact }, where branch is null when entries are only kept as an artifact
+ */
+function getLedgerConfig(config) {
+  const ledger = (config && config.ledger) || {};
+  return {
+    enabled: ledger.enabled !== false,
+    branch: ledger.branch === false || ledger.branch === '' ? null : ledger.branch || DEFAULT_LEDGER_CONFIG.branch,
+    path: (ledger.path || DEFAULT_LEDGER_CONFIG.path).replace(/^\//, ''),
+    artifact: ledger.artifact !== false
+  };
+}
+
+/**
+ * Builds audit ledger entries from enable or disable results, one per repository, feature and action
+ * Repositories that could not be read at all get a single entry with a null feature, and features
+ * restored after a failure get an additional 'rollback' entry.
+ * @param {Array} results - Results from enableRepositoryFeatures or disableRepositoryFeatures
+ * @param {Object} context - Request the changes belong to
+ * @param {string} context.action - 'enable' or 'disable'
+ * @param {string} context.issueRepository - owner/repo of the request issue
+ * @param {number} context.issueNumber - Request issue number
+ * @param {string} context.requestedBy - Login of the issue author
+ * @param {string} context.triggeredBy - Login of the user whose event started the run
+ * @param {string} context.approvedBy - Login of the approver, when approval was required
+ * @param {string} context.runUrl - URL of the workflow run
+ * @param {string} context.timestamp - ISO timestamp (defaults to now)
+ * @returns {Array} Ledger entries
+ */
+function buildLedgerEntries(results, context = {}) {
+  const timestamp = context.timestamp || new Date().toISOString();
+  return (results || []).flatMap(result => {
+    const base = {
+      timestamp,
+      action: context.action || 'enable',
+      hostname: result.hostname,
+      repository: result.repository,
+      issue: context.issueRepository && context.issueNumber ? `${context.issueRepository}#${context.issueNumber}` : null,
+      requestedBy: context.requestedBy || null,
+      triggeredBy: context.triggeredBy || null,
+      approvedBy: context.approvedBy || null,
+      runUrl: context.runUrl || null,
+      previousState: result.previousState || null
+    };
+    const outcomes = Object.entries(result.features || {});
+    if (outcomes.length === 0) {
+      return [{ ...base, feature: null, status: 'failed', previous: null, reason: result.error }];
+    }
+    const entries = outcomes.map(([feature, outcome]) => ({
+      ...base,
+      feature,
+      status: outcome.status,
+      previous: outcome.previous || null,
+      reason: outcome.reason || null
+    }));
+    // Rollbacks are recorded as their own action after the changes they undo
+    Object.entries(result.rollback ? result.rollback.features : {}).forEach(([feature, outcome]) => {
+      entries.push({
+        ...base,
+        action: 'rollback',
+        feature,
+        status: outcome.status,
+        previous: result.features[feature].status,
+        reason: outcome.reason || null
+      });
+    });
+    return entries;
+  });
+}
+
+/**
+ * Serializes ledger entries as JSON Lines
+ * @param {Array} entries - Entries from buildLedgerEntries
+ * @returns {string} One JSON object per line, with a trailing newline
+ */
+function formatLedgerLines(entries) {
+  return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+/**
+ * Parses a JSON Lines ledger, skipping blank or malformed lines
+ * @param {string} text - Ledger file content
+ * @returns {Array} Ledger entries in file order
+ */
+function parseLedger(text) {
+  return (text || '').split('\n').filter(line => line.trim()).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      console.warn(`Skipping malformed ledger line: ${line.substring(0, 80)}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * Filters ledger entries, for example to find who turned on code scanning for a repository
+ * @param {Array} entries - Entries from parseLedger
+ * @param {Object} query - Criteria, all optional
+ * @param {string} query.repository - Repository URL or org/repo
+ * @param {string} query.feature - Feature key (advanced_security, secret_scanning, code_scanning_default_setup, dependabot_alerts)
+ * @param {string} query.action - 'enable', 'disable' or 'rollback'
+ * @param {string} query.status - Outcome status such as 'enabled' or 'failed'
+ * @returns {Array} Matching entries in ledger order
+ */
+function findLedgerEntries(entries, query = {}) {
+  const repository = query.repository ? query.repository.toLowerCase().replace(/\/$/, '') : null;
+  return entries.filter(entry => {
+    if (repository) {
+      const entryRepository = (entry.repository || '').toLowerCase();
+      if (entryRepository !== repository && !entryRepository.endsWith(`/${repository}`)) {
+        return false;
+      }
+    }
+    return (!query.feature || entry.feature === query.feature) &&
+      (!query.action || entry.action === query.action) &&
+      (!query.status || entry.status === query.status);
+  });
+}
+
+/**
+ * Appends ledger entries to a local JSON Lines file, for upload as a workflow artifact
+ * @param {Array} entries - Entries from buildLedgerEntries
+ * @param {string} filePath - File to append to (created with its directory if missing)
+ * @returns {string} The file path
+ */
+function writeLedgerFile(entries, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, formatLedgerLines(entries));
+  return filePath;
+}
+
+/**
+ * Reads the ledger file from the ledger branch
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the ledger
+ * @param {string} repo - Repository holding the ledger
+ * @param {Object} ledgerConfig - Settings returned by getLedgerConfig
+ * @returns {Promise<Object>} { text, sha }, with an empty text and null sha when the file does not exist yet
+ */
+async function readLedgerFile(github, owner, repo, ledgerConfig = getLedgerConfig()) {
+  const { branch, path } = ledgerConfig;
+  try {
+    const { data } = await github.rest.repos.getContent({ owner, repo, path, ref: branch });
+    if (data.content || !data.size) {
+      return { text: Buffer.from(data.content || '', 'base64').toString('utf8'), sha: data.sha };
+    }
+    // Files over 1 MB are returned without content and have to be fetched raw
+    const { data: raw } = await github.rest.repos.getContent({ owner, repo, path, ref: branch, mediaType: { format: 'raw' } });
+    return { text: String(raw), sha: data.sha };
+  } catch (error) {
+    if (error.status === 404) {
+      return { text: '', sha: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates the ledger branch from the default branch if it does not exist yet
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the ledger
+ * @param {string} repo - Repository holding the ledger
+ * @param {string} branch - Ledger branch name
+ * @returns {Promise<void>}
+ */
+async function ensureLedgerBranch(github, owner, repo, branch) {
   try {
-    // First attempt: Try without advanced_security_product parameter
-    console.log('Attempting to fetch license data without advanced_security_product parameter...');
-    const ghasDataRaw = execSync(licenseCmd, { 
-      env: { ...env, [tokenEnvVar]: ghecToken },
-      encoding: 'utf8'
-    });
-    ghasData = JSON.parse(ghasDataRaw);
-    console.log('Successfully retrieved license data');
+    await github.rest.repos.getBranch({ owner, repo, branch });
+    return;
   } catch (error) {
-    console.log('Initial license API call failed, checking for 422 error...');
-    
-    // Check if this is a 422 error indicating we need the advanced_security_product parameter
-    if (error.message && error.message.includes('422')) {
-      console.log('Detected 422 error - retrying with advanced_security_product parameter');
-      
-      // Determine the appropriate advanced_security_product based on selected features
-      let advancedSecurityProduct = null;
-      
-      if (features.enableSecretScanning && features.enableCodeScanning) {
-        // Both secret scanning and code scanning selected - use code_security (includes both)
-        advancedSecurityProduct = 'code_security';
-        console.log('Both Secret Scanning and Code Scanning selected - using code_security product');
-      } else if (features.enableSecretScanning) {
-        // Only secret scanning selected - use secret_protection
-        advancedSecurityProduct = 'secret_protection';
-        console.log('Only Secret Scanning selected - using secret_protection product');
-      } else if (features.enableCodeScanning) {
-        // Only code scanning selected - use code_security
-        advancedSecurityProduct = 'code_security';
-        console.log('Only Code Scanning selected - using code_security product');
-      } else {
-        // No specific GHAS features selected, default to code_security
-        advancedSecurityProduct = 'code_security';
-        console.log('No specific GHAS features selected - defaulting to code_security product');
-      }
-      
-      // Retry the API call with the advanced_security_product parameter
-      licenseCmd = `gh api -H "Accept: application/vnd.github+json" "/enterprises/${ghecName}/settings/billing/advanced-security?advanced_security_product=${advancedSecurityProduct}" --hostname "${ghecHostname}"`;
-      
-      try {
-        console.log(`Retrying license API call with advanced_security_product=${advancedSecurityProduct}...`);
-        const ghasDataRaw = execSync(licenseCmd, { 
-          env: { ...env, [tokenEnvVar]: ghecToken },
-          encoding: 'utf8'
-        });
-        ghasData = JSON.parse(ghasDataRaw);
-        console.log('Successfully retrieved license data with advanced_security_product parameter');
-      } catch (retryError) {
-        console.error('Failed to retrieve license data even with advanced_security_product parameter:', retryError.message);
-        throw retryError;
-      }
-    } else {
-      // Not a 422 error, re-throw the original error
-      console.error('License API call failed with non-422 error:', error.message);
+    if (error.status !== 404) {
       throw error;
     }
   }
-  const totalLicenses = ghasData.purchased_advanced_security_committers;
-  const usedLicenses = ghasData.total_advanced_security_committers;
-  
-  // Check if this is an unlimited license scenario (0 or undefined total licenses indicates unlimited)
-  const isUnlimitedLicenses = totalLicenses === 0 || totalLicenses === undefined;
-  if (isUnlimitedLicenses) {
-    const reason = totalLicenses === 0 ? 'Total licenses is 0' : 'Total licenses is undefined';
-    console.log(`${reason} - treating as unlimited licenses available`);
-  }
-  
-  // Extract all unique committer emails from repositories that already have GHAS enabled
-  const currentGhasCommitters = new Set();
-  if (ghasData.repositories && Array.isArray(ghasData.repositories)) {
-    console.log(`Found ${ghasData.repositories.length} repositories with GHAS enabled`);
-    
-    for (const repo of ghasData.repositories) {
-      if (repo.advanced_security_committers_breakdown && Array.isArray(repo.advanced_security_committers_breakdown)) {
-        for (const committer of repo.advanced_security_committers_breakdown) {
-          if (committer.last_pushed_email) {
-            currentGhasCommitters.add(committer.last_pushed_email.toLowerCase());
-          }
-        }
-      }
+
+  const { data: repository } = await github.rest.repos.get({ owner, repo });
+  const { data: ref } = await github.rest.git.getRef({ owner, repo, ref: `heads/${repository.default_branch}` });
+  try {
+    await github.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: ref.object.sha });
+    console.log(`Created ledger branch ${branch} from ${repository.default_branch}`);
+  } catch (error) {
+    // Another matrix job created the branch first
+    if (error.status !== 422) {
+      throw error;
     }
-    console.log(`Found ${currentGhasCommitters.size} unique committers currently using GHAS licenses`);
   }
-  
-  // Create a base license availability assessment
-  const availableLicenses = isUnlimitedLicenses ? Number.MAX_SAFE_INTEGER : totalLicenses - usedLicenses;
-  const minRemainingLicenses = parseInt(env.MIN_REMAINING_LICENSES, 10) || 1;
-  
-  console.log(`Total GHAS licenses: ${isUnlimitedLicenses ? 'Unlimited' : totalLicenses}`);
-  console.log(`Currently used GHAS licenses: ${usedLicenses}`);
-  console.log(`Base available licenses: ${isUnlimitedLicenses ? 'Unlimited' : availableLicenses}`);
-  console.log(`Min remaining licenses required: ${minRemainingLicenses}`);
-  
-  // If no repositories are provided for analysis, use the base license check
-  if (!repositories || repositories.length === 0) {
-    console.log('No repositories provided for license analysis, using base license check');
-    return {
-      totalLicenses,
-      usedLicenses,
-      availableLicenses,
-      minRemainingLicenses,
-      hasEnoughLicenses: isUnlimitedLicenses || availableLicenses > minRemainingLicenses,
-      skipLicenseCheck: false,
-      currentGhasCommitters: Array.from(currentGhasCommitters),
-      newCommitters: 0,
-      estimatedLicensesNeeded: 0
-    };
+}
+
+/**
+ * Appends ledger entries to the JSON Lines file on the ledger branch
+ * Concurrent updates from other matrix jobs are retried against the latest file.
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the ledger
+ * @param {string} repo - Repository holding the ledger
+ * @param {Array} entries - Entries from buildLedgerEntries
+ * @param {Object} ledgerConfig - Settings returned by getLedgerConfig
+ * @returns {Promise<Object>} { success, appended, branch, path, error }
+ */
+async function appendLedgerEntries(github, owner, repo, entries, ledgerConfig = getLedgerConfig()) {
+  const { branch, path } = ledgerConfig;
+  const outcome = { success: false, appended: 0, branch, path, error: null };
+  if (!entries || entries.length === 0) {
+    outcome.success = true;
+    return outcome;
   }
-  
-  // Prepare token mapping for each hostname
-  const tokensByHostname = {};
-  
-  // Add GHEC token
-  tokensByHostname[ghecHostname] = ghecToken;
-  
-  // Add tokens for all GHES instances
-  if (config.ghes_instances && Array.isArray(config.ghes_instances)) {
-    for (const instance of config.ghes_instances) {
+
+  try {
+    await ensureLedgerBranch(github, owner, repo, branch);
+    const issues = [...new Set(entries.map(entry => entry.issue).filter(Boolean))];
+
+    for (let attempt = 1; attempt <= LEDGER_WRITE_ATTEMPTS; attempt++) {
+      const { text, sha } = await readLedgerFile(github, owner, repo, ledgerConfig);
+      const separator = text && !text.endsWith('\n') ? '\n' : '';
       try {
-        const apiUrl = new URL(instance.api_url);
-        const hostname = apiUrl.hostname.replace(/^api\./, '');
-        tokensByHostname[hostname] = env[instance.auth_var];
+        await github.rest.repos.createOrUpdateFileContents({
+          owner,
+          repo,
+          path,
+          branch,
+          sha: sha || undefined,
+          message: `Record ${entries.length} GHAS ledger entries${issues.length > 0 ? ` for ${issues.join(', ')}` : ''}`,
+          content: Buffer.from(text + separator + formatLedgerLines(entries)).toString('base64')
+        });
+        outcome.success = true;
+        outcome.appended = entries.length;
+        console.log(`🧾 Recorded ${entries.length} ledger entries in ${path} on ${branch}`);
+        return outcome;
       } catch (error) {
-        console.error(`Error processing instance config:`, error.message);
+        // The file changed since it was read: read it again and retry
+        if ((error.status === 409 || error.status === 422) && attempt < LEDGER_WRITE_ATTEMPTS) {
+          console.log(`Ledger was updated concurrently, retrying (attempt ${attempt + 1} of ${LEDGER_WRITE_ATTEMPTS})`);
+          await delay(1000 * attempt);
+          continue;
+        }
+        throw error;
       }
     }
+  } catch (error) {
+    outcome.error = `Could not update the ledger: ${error.message}`;
+    console.error(outcome.error);
   }
-  
-  // Get all committers from the repositories to be enabled
-  console.log(`Analyzing committers for ${repositories.length} repositories...`);
-  const repoCommitters = getAllUniqueCommitters(repositories, tokensByHostname);
-  console.log(`Found ${repoCommitters.length} unique committers in the repositories to enable`);
-  
-  // Calculate new committers (those in repos to enable but not already using GHAS licenses)
-  const newCommittersList = repoCommitters.filter(committer => !currentGhasCommitters.has(committer.toLowerCase()));
-  const newCommittersCount = newCommittersList.length;
-  console.log(`Identified ${newCommittersCount} new committers that would need licenses`);
-  
-  // Final license check including committer analysis
-  const estimatedLicensesNeeded = newCommittersCount;
-  const estimatedAvailableLicenses = isUnlimitedLicenses ? Number.MAX_SAFE_INTEGER : availableLicenses - estimatedLicensesNeeded;
-  
-  console.log(`Estimated licenses needed: ${estimatedLicensesNeeded}`);
-  console.log(`Estimated available licenses after enablement: ${isUnlimitedLicenses ? 'Unlimited' : estimatedAvailableLicenses}`);
-  console.log(`Min remaining licenses required: ${minRemainingLicenses}`);
-  
-  const hasEnoughLicenses = isUnlimitedLicenses || estimatedAvailableLicenses >= minRemainingLicenses;
-  
-  return {
-    totalLicenses,
-    usedLicenses,
-    availableLicenses: estimatedAvailableLicenses,
-    minRemainingLicenses,
-    hasEnoughLicenses,
-    skipLicenseCheck: false,
-    currentGhasCommitters: Array.from(currentGhasCommitters),
-    newCommitters: newCommittersCount,
-    newCommittersList,
-    estimatedLicensesNeeded
-  };
+  return outcome;
 }
 
 /**
- * Creates a comment for the issue with enablement results
- * @param {Object} params - Parameters for creating the comment
- * @returns {string} Comment text
+ * Records ledger entries where config.yaml asks for them: on the ledger branch and in a local file
+ * that the workflow uploads as an artifact
+ * @param {Object} github - Authenticated Octokit client from actions/github-script
+ * @param {string} owner - Owner of the repository holding the ledger
+ * @param {string} repo - Repository holding the ledger
+ * @param {Array} entries - Entries from buildLedgerEntries
+ * @param {string} artifactFile - Local file for the artifact copy
+ * @returns {Promise<Object>} { enabled, appended, branch, path, file, error }, where file is null when no artifact copy was written
  */
-function createResultsComment(params) {
-  const {
-    enableSecretScanning,
-    enableCodeScanning,
-    enableDependabotAlerts,
-    repositories,
-    hasEnoughLicenses,
-    availableLicenses,
-    totalLicenses,
-    usedLicenses,
-    minRemainingLicenses,
-    hostname,
-    instanceName,
-    skipLicenseCheck,
-    organizationUrls,
-    newCommitters,
-    estimatedLicensesNeeded,
-    dryRun,
-    invalidRepositories // New parameter for invalid repositories
-  } = params;
-  
-  let comment = `## GHAS ${dryRun ? 'Dry Run Analysis' : 'Enablement Results'} for ${hostname}\n\n`;
-  
-  if (dryRun) {
-    comment += `> **⚠️ DRY RUN MODE ⚠️**\n>\n> No changes have been made to your repositories.\n> This analysis shows what would happen if you run the enablement for real.\n\n`;
+async function recordAuditLedger(github, owner, repo, entries, artifactFile) {
+  const ledgerConfig = getLedgerConfig(loadConfig());
+  const outcome = {
+    enabled: ledgerConfig.enabled,
+    appended: 0,
+    branch: ledgerConfig.branch,
+    path: ledgerConfig.path,
+    file: null,
+    error: null
+  };
+  if (!ledgerConfig.enabled || entries.length === 0) {
+    return outcome;
   }
-  
-  if (skipLicenseCheck) {
-    comment += `**License Check: SKIPPED**\n\n`;
-    comment += `License check was skipped as requested in the issue form.\n\n`;
-  } else {
-    comment += `**License Summary:**\n`;
-    comment += `- Total GHAS licenses: ${totalLicenses}\n`;
-    comment += `- Used GHAS licenses: ${usedLicenses}\n`;
-    
-    // Add committer analysis if available
-    if (newCommitters !== undefined && estimatedLicensesNeeded !== undefined) {
-      comment += `- New committers requiring licenses: ${newCommitters}\n`;
-      comment += `- Estimated licenses needed: ${estimatedLicensesNeeded}\n`;
-      
-      // If we have the detailed list of new committers and there aren't too many, show them
-      if (params.newCommittersList && Array.isArray(params.newCommittersList)) {
-        // Only show emails if the list is reasonably small (max 10)
-        if (params.newCommittersList.length > 0 && params.newCommittersList.length <= 10) {
-          comment += `\n**New committer emails:**\n`;
-          params.newCommittersList.forEach(email => {
-            comment += `- ${email}\n`;
-          });
-          comment += `\n`;
-        } else if (params.newCommittersList.length > 10) {
-          comment += `- ${params.newCommittersList.length} unique committers identified (too many to list)\n`;
-        }
-      }
-    }
-    
-    comment += `- Available GHAS licenses after enablement: ${availableLicenses}\n`;
-    comment += `- Minimum required remaining licenses: ${minRemainingLicenses}\n\n`;
-    
-    if (!hasEnoughLicenses) {
-      comment += `⚠️ Not enough GHAS licenses available. Need to maintain at least ${minRemainingLicenses} unused licenses.\n`;
-      return comment;
-    }
+
+  outcome.appended = entries.length;
+  if (ledgerConfig.artifact && artifactFile) {
+    outcome.file = writeLedgerFile(entries, artifactFile);
   }
-  
-  if (!enableSecretScanning && !enableCodeScanning && !enableDependabotAlerts) {
-    comment += '⚠️ No GHAS features were selected for enablement.\n';
-  } else {
-    comment += `### Features ${dryRun ? 'Selected' : 'Enabled'}\n`;
-    if (enableSecretScanning) comment += `- ${dryRun ? '➡️' : '✅'} Secret Scanning\n`;
-    if (enableCodeScanning) comment += `- ${dryRun ? '➡️' : '✅'} Code Scanning (default setup)\n`;
-    if (enableDependabotAlerts) comment += `- ${dryRun ? '➡️' : '✅'} Dependabot Alerts\n`;
-    
-    // If organization URLs were provided, mention them
-    if (organizationUrls && organizationUrls.length > 0) {
-      comment += `\n### Organization(s)\n`;
-      organizationUrls.forEach(orgUrl => {
-        comment += `- ${orgUrl}\n`;
-      });
+  if (ledgerConfig.branch) {
+    outcome.error = (await appendLedgerEntries(github, owner, repo, entries, ledgerConfig)).error;
+  }
+  return outcome;
+}
+
+// Columns of the CSV run report, in order
+const REPORT_COLUMNS = ['repository', 'hostname', 'instance', 'feature', 'outcome', 'category', 'error', 'committers', 'licenses_freed'];
+
+// SARIF levels of the report outcomes that did not reach the requested state
+const REPORT_SARIF_LEVELS = { failed: 'error', invalid: 'error', unsupported: 'note' };
+
+/**
+ * Builds the machine-readable report of a run, one row per repository and feature
+ * Real runs report the applied outcomes, dry runs the outcomes planned by the pre-flight check.
+ * Repositories that could not be processed get a single row with a null feature and the outcome 'invalid'.
+ * @param {Object} params - Parameters passed to createResultsComment, plus committersByRepository from checkLicenseAvailability
+ * @param {Object} context - Run the report belongs to
+ * @param {number} context.issueNumber - Request issue number
+ * @param {string} context.runUrl - URL of the workflow run
+ * @returns {Object} { generatedAt, issueNumber, runUrl, requestType, dryRun, hostname, instance, summary, rows }, where rows
+ *   hold the REPORT_COLUMNS of each repository and feature and summary counts the rows per category
+ */
+function buildRunReport(params, context = {}) {
+  const requestType = params.requestType === 'disable' ? 'disable' : 'enable';
+  const dryRun = params.dryRun === true;
+  const results = (dryRun ? params.preflightResults : params.enablementResults) || [];
+  const repositoryKey = repoUrl => {
+    try {
+      const url = new URL(repoUrl);
+      return `${url.hostname.toLowerCase()}/${url.pathname.replace(/^\/|\/$/g, '').toLowerCase()}`;
+    } catch (error) {
+      return String(repoUrl).toLowerCase();
     }
-    
-    // Display invalid organizations and repositories separately if any
-    if (invalidRepositories && invalidRepositories.length > 0) {
-      // Separate invalid organizations from invalid repositories
-      const invalidOrganizations = [];
-      const invalidRepos = [];
-      
-      invalidRepositories.forEach(item => {
-        if (isOrganizationUrl(item.url)) {
-          invalidOrganizations.push(item);
-        } else {
-          invalidRepos.push(item);
-        }
-      });
-      
-      // Display invalid organizations if any
-      if (invalidOrganizations.length > 0) {
-        comment += `\n### ⚠️ Invalid Organizations (Skipped)\n`;
-        invalidOrganizations.forEach(item => {
-          comment += `- **${item.url}**\n  - Error: ${item.error}\n`;
-        });
-        comment += `\n`;
-      }
-      
-      // Display invalid repositories if any
-      if (invalidRepos.length > 0) {
-        comment += `\n### ⚠️ Invalid Repositories (Skipped)\n`;
-        invalidRepos.forEach(item => {
-          comment += `- **${item.url}**\n  - Error: ${item.error}\n`;
-        });
-        comment += `\n`;
-      }
+  };
+  const committers = {};
+  Object.entries(params.committersByRepository || {}).forEach(([repoUrl, count]) => {
+    committers[repositoryKey(repoUrl)] = count;
+  });
+  // Disable estimates are keyed by the org/repo name from the billing API, and the hostname when known
+  const licensesFreed = {};
+  (params.licensesFreedByRepository || []).forEach(item => {
+    const key = `${item.hostname ? `${item.hostname.toLowerCase()}/` : ''}${item.repository.toLowerCase()}`;
+    committers[key] = item.committers;
+    licensesFreed[key] = item.licensesFreed;
+  });
+  const lookup = (map, key) => {
+    const name = key.slice(key.indexOf('/') + 1);
+    return key in map ? map[key] : name in map ? map[name] : null;
+  };
+
+  const rows = [];
+  const addRow = (repoUrl, feature, outcome, category, error) => {
+    const key = repositoryKey(repoUrl);
+    let hostname = params.hostname || null;
+    try {
+      hostname = new URL(repoUrl).hostname;
+    } catch (parseError) {
+      // Invalid URLs keep the run's hostname
     }
-    
-    comment += `\n### ${invalidRepositories && invalidRepositories.length > 0 ? 'Valid ' : ''}Repositories${dryRun ? ' (No Changes Applied)' : ' Enabled'}\n`;
-    repositories.forEach(repo => {
-      comment += `- ${repo}\n`;
+    rows.push({
+      repository: repoUrl,
+      hostname,
+      instance: params.instanceName || null,
+      feature,
+      outcome,
+      category,
+      error: error || null,
+      committers: lookup(committers, key),
+      licenses_freed: lookup(licensesFreed, key)
     });
-  }
-  
-  if (dryRun) {
-    comment += `\n\n---\n`;
-    comment += `### ✅ Next steps\n`;
-    comment += `This was a dry run analysis. If you're satisfied with the analysis and want to proceed:\n\n`;
-    comment += `1. Create a new issue using the same GHAS Enablement Request template\n`;
-    comment += `2. Use the same settings you provided for this dry run\n`;
-    comment += `3. Set **"Dry Run Mode"** to **"No"**\n`;
-    comment += `4. Submit the issue to trigger actual GHAS enablement\n\n`;
-    comment += `The workflow will then enable the selected GHAS features on your repositories.\n`;
-  }
-  
-  return comment;
+  };
+
+  results.forEach(result => {
+    if (result.error) {
+      addRow(result.repository, null, 'invalid', 'invalid', result.error);
+      return;
+    }
+    Object.entries(result.features).forEach(([feature, outcome]) => {
+      const rollback = result.rollback ? result.rollback.features[feature] : null;
+      const restored = rollback && rollback.status === 'restored';
+      addRow(result.repository, feature, restored ? 'rolled-back' : outcome.status, getOutcomeCategory(outcome, rollback),
+        rollback && !restored ? rollback.reason : outcome.reason);
+    });
+  });
+  const reported = new Set(results.map(result => result.repository));
+  (params.invalidRepositories || []).filter(item => !reported.has(item.url)).forEach(item => {
+    addRow(item.url, null, 'invalid', 'invalid', item.error);
+  });
+
+  const summary = {
+    repositories: new Set(rows.map(row => row.repository)).size,
+    changed: 0,
+    unchanged: 0,
+    failed: 0,
+    unsupported: 0,
+    invalid: 0,
+    newCommitters: params.newCommitters || 0,
+    estimatedLicensesNeeded: params.estimatedLicensesNeeded || 0,
+    licensesFreed: params.licensesFreed || 0
+  };
+  rows.forEach(row => {
+    summary[row.category]++;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    issueNumber: context.issueNumber || null,
+    runUrl: context.runUrl || null,
+    requestType,
+    dryRun,
+    hostname: params.hostname || null,
+    instance: params.instanceName || null,
+    summary,
+    rows
+  };
 }
 
 /**
- * This function has been removed as validation is now handled directly during
- * the enablement process for more efficient error handling.
- * 
- * @deprecated This function is no longer used as repository validation is now performed
- * during the actual enablement process to reduce redundant API calls.
+ * Formats a run report as CSV, one line per row with the REPORT_COLUMNS header
+ * @param {Object} report - Result of buildRunReport
+ * @returns {string} CSV text (RFC 4180 quoting)
  */
-async function validateRepositoryUrl(repoUrl, hostname, token) {
-  console.warn('validateRepositoryUrl is deprecated. Repository validation is now done during enablement.');
-  return { valid: true }; // Default to valid as this will be checked during enablement
+function formatReportCsv(report) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [REPORT_COLUMNS.join(',')];
+  report.rows.forEach(row => {
+    lines.push(REPORT_COLUMNS.map(column => cell(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
 }
 
 /**
- * Parses issue body to extract repositories, feature selections, and other settings
- * @param {string} body - The issue body text
- * @returns {Object} Parsed data including repositories and feature flags
+ * Formats the rows of a run report that did not reach the requested state as a SARIF 2.1.0 log,
+ * one result per repository and feature, for dashboards that ingest SARIF
+ * Locations point at the repository URL rather than a file, so the log is not meant for code scanning upload.
+ * @param {Object} report - Result of buildRunReport
+ * @returns {Object} SARIF log
  */
-function parseIssueBody(body) {
-  // Parse the repository and/or organization URLs from the form submission
-  // Match both "Repository URLs" (old format) and "Repository or Organization URLs" (new format)
-  const repoListMatch = body.match(/### Repository( or Organization)? URLs([\s\S]*?)(?:###|$)/);
-  const repoListRaw = repoListMatch ? repoListMatch[2].trim() : '';
-  const repositories = repoListRaw.split('\n').map(repo => repo.trim()).filter(Boolean);
-  
-  // Parse the selected GHAS features
-  const featuresMatch = body.match(/### GHAS Features to Enable\s*([^\n]+)/);
-  const featuresRaw = featuresMatch ? featuresMatch[1].trim() : '';
-  const enableSecretScanning = featuresRaw.includes('Secret Scanning');
-  const enableCodeScanning = featuresRaw.includes('Code Scanning');
-  const enableDependabotAlerts = featuresRaw.includes('Dependabot Alerts');
-  
-  // Parse minimum remaining licenses (optional)
-  const minLicensesMatch = body.match(/### Minimum Remaining Licenses \(optional\)\s*([^\n]+)/);
-  const minLicensesRaw = minLicensesMatch ? minLicensesMatch[1].trim() : '';
-  // Set a default value of 1 if not provided or not a valid number
-  const minRemainingLicenses = minLicensesRaw ? parseInt(minLicensesRaw, 10) : 1;
-  const validMinLicenses = !isNaN(minRemainingLicenses) && minRemainingLicenses > 0 ? minRemainingLicenses : 1;
-  
-  // Parse skip license check option (dropdown field)
-  const skipLicenseCheckMatch = body.match(/### Skip License Check\s*([^\n]+)/);
-  const skipLicenseCheckRaw = skipLicenseCheckMatch ? skipLicenseCheckMatch[1].trim() : 'No';
-  const skipLicenseCheck = skipLicenseCheckRaw === 'Yes';
-  
-  // Parse dry run option (dropdown field)
-  const dryRunMatch = body.match(/### Dry Run Mode\s*([^\n]+)/);
-  const dryRunRaw = dryRunMatch ? dryRunMatch[1].trim() : 'No';
-  const dryRun = dryRunRaw === 'Yes';
-  
-  console.log(`Repositories: ${repositories.length}`);
-  console.log(`Secret Scanning: ${enableSecretScanning}`);
-  console.log(`Code Scanning: ${enableCodeScanning}`);
-  console.log(`Dependabot Alerts: ${enableDependabotAlerts}`);
-  console.log(`Min Remaining Licenses: ${validMinLicenses}`);
-  console.log(`Skip License Check: ${skipLicenseCheck}`);
-  
-  if (dryRun) {
-    console.log('======================================');
-    console.log('✅ DRY RUN MODE IS ACTIVE');
-    console.log('✅ NO CHANGES WILL BE MADE TO REPOSITORIES');
-    console.log('✅ THIS IS ONLY A SIMULATION OF WHAT WOULD HAPPEN');
-    console.log('======================================');
-  } else {
-    console.log(`Dry Run: ${dryRun} (features WILL be enabled)`);
-  }
-  
+function formatReportSarif(report) {
+  const problems = report.rows.filter(row => REPORT_SARIF_LEVELS[row.category]);
+  // Dry runs only predict failures
+  const level = row => report.dryRun && row.category === 'failed' ? 'warning' : REPORT_SARIF_LEVELS[row.category];
+  const outcomes = Array.from(new Set(problems.map(row => row.outcome)));
   return {
-    repositories,
-    features: {
-      enableSecretScanning,
-      enableCodeScanning,
-      enableDependabotAlerts
-    },
-    minRemainingLicenses: validMinLicenses,
-    skipLicenseCheck,
-    dryRun
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'ghas-enablement',
+          ...(report.runUrl ? { informationUri: report.runUrl } : {}),
+          rules: outcomes.map(outcome => ({ id: outcome, shortDescription: { text: `Feature ${outcome.replace(/-/g, ' ')}` } }))
+        }
+      },
+      automationDetails: { id: `ghas-enablement/${report.issueNumber || 'manual'}/${report.hostname || 'unknown'}/` },
+      results: problems.map(row => ({
+        ruleId: row.outcome,
+        level: level(row),
+        message: { text: `${row.feature || 'Repository'}: ${row.error || row.outcome}` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: row.repository } } }],
+        properties: { feature: row.feature, hostname: row.hostname, instance: row.instance, requestType: report.requestType, dryRun: report.dryRun }
+      }))
+    }]
   };
 }
 
 /**
- * Parses the issue body and sets job outputs for use in GitHub Actions
- * @param {Object} issue - The issue object from GitHub context
- * @param {Object} core - The GitHub Actions core object for setting outputs
- * @returns {Object} Parsed data including repositories and feature flags
+ * Writes a run report as JSON, CSV and SARIF files, for upload as a workflow artifact
+ * @param {Object} report - Result of buildRunReport
+ * @param {string} directory - Directory to write to (created if missing)
+ * @returns {Object} { json, csv, sarif } file paths
  */
-function parseIssueAndSetOutputs(issue, core) {
-  const parsedData = parseIssueBody(issue.body);
-  
-  // Set outputs for use in later steps
-  core.setOutput('repositories', JSON.stringify(parsedData.repositories));
-  core.setOutput('enable_secret_scanning', parsedData.features.enableSecretScanning);
-  core.setOutput('enable_code_scanning', parsedData.features.enableCodeScanning);
-  core.setOutput('enable_dependabot_alerts', parsedData.features.enableDependabotAlerts);
-  core.setOutput('min_remaining_licenses', parsedData.minRemainingLicenses);
-  core.setOutput('skip_license_check', parsedData.skipLicenseCheck);
-  core.setOutput('dry_run', parsedData.dryRun);
-  
-  return parsedData;
+function writeRunReport(report, directory) {
+  fs.mkdirSync(directory, { recursive: true });
+  const files = {
+    json: path.join(directory, 'ghas-report.json'),
+    csv: path.join(directory, 'ghas-report.csv'),
+    sarif: path.join(directory, 'ghas-report.sarif')
+  };
+  fs.writeFileSync(files.json, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(files.csv, formatReportCsv(report));
+  fs.writeFileSync(files.sarif, JSON.stringify(formatReportSarif(report), null, 2) + '\n');
+  return files;
+}
+
+/**
+ * Formats where the machine-readable reports of a run were uploaded
+ * @param {Object} report - { artifact, url, rows } with the artifact name, its download URL (if known) and the number of rows
+ * @returns {string} Markdown line
+ */
+function formatReportLinks(report) {
+  const artifact = report.url ? `[\`${report.artifact}\`](${report.url})` : `the \`${report.artifact}\` artifact`;
+  return `\n**📎 Reports:** JSON, CSV and SARIF reports of this run (${report.rows} rows, one per repository and feature) are in ${artifact}\n`;
 }
 
 module.exports = {
   parseIssueBody,
   parseIssueAndSetOutputs,
+  reportIssueValidation,
   parseConfigAndGroupRepos,
+  loadConfig,
+  validateConfig,
+  formatConfigErrors,
   determineTokenName,
   getTokenValue,
   checkLicenseAvailability,
-  validateRepositoryUrl, // Kept for backward compatibility but deprecated
+  resolveLicensePool,
+  summarizeLicenseProduct,
   createResultsComment,
+  enableRepositoryFeatures,
+  validateRepository,
+  computeChangePlan,
+  buildRunReport,
+  writeRunReport,
+  getSelectedFeatures,
+  applySecurityConfiguration,
+  securityConfigurationToFeatures,
+  probeInstanceCapabilities,
+  getUnsupportedFeatures,
+  getEnablementOptions,
+  resolveCodeScanningOptions,
+  detectCodeScanningLanguages,
+  disableRepositoryFeatures,
+  estimateLicensesFreed,
+  createApiClient,
+  setApiClientFactory,
+  getRateLimitEvents,
   fetchOrganizationRepos,
   isOrganizationUrl,
+  classifyTargetUrl,
+  isScopeTargetUrl,
+  expandScopeTarget,
   fetchRepoCommitters,
-  getAllUniqueCommitters
+  getAllUniqueCommitters,
+  resolveCommitterIdentities,
+  normalizeBranchScope,
+  checkApproval,
+  checkRequestBudget,
+  collectLicenseConsumption,
+  parseSlashCommands,
+  resolveIssueRequest,
+  getLedgerConfig,
+  buildLedgerEntries,
+  parseLedger,
+  findLedgerEntries,
+  writeLedgerFile,
+  readLedgerFile,
+  appendLedgerEntries,
+  recordAuditLedger,
+  parseRepositoryFilters,
+  resolveRepositoryFilters,
+  getRepositoryExclusionReason
 };
\ No newline at end of file
@@ -0,0 +1,2106 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const helpers = require('../scripts/ghas-helpers.js');
+
+// The helpers log their progress for the workflow logs; keep it out of the test output
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+// Local GitHub API: routes are keyed by "METHOD /path" and answer { status, headers, body }
+let server;
+let baseUrl;
+let routes = {};
+let requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : undefined };
+      requests.push(request);
+      const route = routes[`${req.method} ${req.url}`];
+      const response = typeof route === 'function' ? route(request) : route;
+      if (!response) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Not Found' }));
+        return;
+      }
+      res.writeHead(response.status || 200, { 'Content-Type': 'application/json', ...(response.headers || {}) });
+      res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+// Start of a committer lookback window, formatted like the commits API `since` parameter
+function sinceDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+// Smallest config.yaml that passes validation; tests add or replace the sections they exercise
+const BASE_CONFIG = {
+  ghes_instances: [{ name: 'ghes', api_url: 'https://ghes.example.com/api/v3', auth_var: 'GHES_TOKEN' }],
+  ghec: { name: 'corp', api_url: 'https://api.github.com', auth_var: 'GHEC_TOKEN' }
+};
+
+// Runs fn from a temporary directory holding BASE_CONFIG with the given sections as config.yaml and
+// a copy of the issue form, as the helpers read both from the working directory
+async function withConfig(configYaml, fn) {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghas-helpers-'));
+  fs.writeFileSync(path.join(dir, 'config.yaml'), yaml.dump({ ...BASE_CONFIG, ...yaml.load(configYaml) }));
+  fs.mkdirSync(path.join(dir, '.github', 'ISSUE_TEMPLATE'), { recursive: true });
+  const template = path.join('.github', 'ISSUE_TEMPLATE', 'ghas-enablement-request.yml');
+  fs.copyFileSync(path.join(cwd, template), path.join(dir, template));
+  process.chdir(dir);
+  try {
+    return await fn(dir);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+after(() => {
+  helpers.setApiClientFactory(null);
+  server.close();
+});
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+  // Every helper talks to the local server, without waiting between retries
+  helpers.setApiClientFactory(options => helpers.createApiClient({ ...options, transport: 'rest', baseUrl, sleep: async () => {} }));
+});
+
+test('request sends the token and JSON body and resolves with status, headers and data', async () => {
+  routes['PATCH /repos/org/repo'] = request => ({ status: 200, headers: { 'x-request': 'ok' }, body: { received: request.body } });
+  const client = helpers.createApiClient({ hostname: 'ghes.example.com', token: 'secret', baseUrl });
+
+  const response = await client.request('PATCH', '/repos/org/repo', { name: 'repo' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers['x-request'], 'ok');
+  assert.deepStrictEqual(response.data, { received: { name: 'repo' } });
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+  assert.strictEqual(requests[0].headers['content-type'], 'application/json');
+});
+
+test('request resolves empty responses with null data', async () => {
+  routes['PUT /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+  const client = helpers.createApiClient({ hostname: 'ghes.example.com', token: 'secret', baseUrl });
+
+  const response = await client.request('PUT', '/repos/org/repo/vulnerability-alerts');
+
+  assert.strictEqual(response.status, 204);
+  assert.strictEqual(response.data, null);
+  assert.strictEqual(requests[0].headers['content-type'], undefined);
+});
+
+test('request rejects HTTP errors with the response status and data', async () => {
+  routes['GET /repos/org/private'] = { status: 403, body: { message: 'Must have admin rights' } };
+  const client = helpers.createApiClient({ hostname: 'ghes.example.com', token: 'secret', baseUrl });
+
+  await assert.rejects(client.request('GET', '/repos/org/private'), error => {
+    assert.strictEqual(error.status, 403);
+    assert.deepStrictEqual(error.data, { message: 'Must have admin rights' });
+    return true;
+  });
+});
+
+test('createApiClient rejects unknown transports', () => {
+  assert.throws(() => helpers.createApiClient({ hostname: 'ghes.example.com', transport: 'soap' }), /Unknown API transport 'soap'/);
+});
+
+test('request retries rate limited responses after Retry-After', async () => {
+  let calls = 0;
+  routes['GET /rate_limited'] = () => (++calls === 1
+    ? { status: 429, headers: { 'retry-after': '3' }, body: { message: 'API rate limit exceeded' } }
+    : { status: 200, body: { ok: true } });
+  const delays = [];
+  const client = helpers.createApiClient({ hostname: 'ratelimit.example.com', baseUrl, sleep: async ms => { delays.push(ms); } });
+
+  const response = await client.request('GET', '/rate_limited');
+
+  assert.deepStrictEqual(response.data, { ok: true });
+  assert.strictEqual(calls, 2);
+  assert.ok(delays[0] >= 3000 && delays[0] < 4000, `waited ${delays[0]}ms`);
+  const events = helpers.getRateLimitEvents(true);
+  assert.deepStrictEqual(events.map(event => [event.hostname, event.waitSeconds, event.reason]), [['ratelimit.example.com', Math.ceil(delays[0] / 1000), 'Rate limit']]);
+});
+
+test('request reads Retry-After as an HTTP date and falls back to backoff when it cannot be read', async () => {
+  const retryAfter = [new Date(Date.now() + 60000).toUTCString(), 'soon'];
+  let calls = 0;
+  routes['GET /rate_limited'] = () => (calls < 2
+    ? { status: 429, headers: { 'retry-after': retryAfter[calls++] }, body: { message: 'API rate limit exceeded' } }
+    : { status: 200, body: { ok: true } });
+  const delays = [];
+  const client = helpers.createApiClient({ hostname: 'ratelimit.example.com', baseUrl, retry: { baseDelayMs: 1000 }, sleep: async ms => { delays.push(ms); } });
+
+  await client.request('GET', '/rate_limited');
+
+  assert.ok(delays[0] > 50000 && delays[0] <= 61000, `first wait ${delays[0]}ms`);
+  assert.ok(delays[1] >= 2000 && delays[1] < 3000, `second wait ${delays[1]}ms`);
+  helpers.getRateLimitEvents(true);
+});
+
+test('request retries secondary rate limits reported as 403 with exponential backoff', async () => {
+  let calls = 0;
+  routes['GET /search'] = () => (++calls < 3
+    ? { status: 403, body: { message: 'You have exceeded a secondary rate limit' } }
+    : { status: 200, body: [] });
+  const delays = [];
+  const client = helpers.createApiClient({ hostname: 'ratelimit.example.com', baseUrl, retry: { baseDelayMs: 1000 }, sleep: async ms => { delays.push(ms); } });
+
+  await client.request('GET', '/search');
+
+  assert.strictEqual(calls, 3);
+  assert.ok(delays[0] >= 1000 && delays[0] < 2000, `first wait ${delays[0]}ms`);
+  assert.ok(delays[1] >= 2000 && delays[1] < 3000, `second wait ${delays[1]}ms`);
+  assert.ok(helpers.getRateLimitEvents(true).every(event => event.reason === 'Secondary rate limit'));
+});
+
+test('request retries transient server errors but not other errors', async () => {
+  let calls = 0;
+  routes['GET /flaky'] = () => (++calls === 1 ? { status: 502, body: {} } : { status: 200, body: {} });
+  routes['GET /forbidden'] = { status: 403, body: { message: 'Must have admin rights' } };
+  const client = helpers.createApiClient({ hostname: 'ghes.example.com', baseUrl, sleep: async () => {} });
+
+  await client.request('GET', '/flaky');
+  await assert.rejects(client.request('GET', '/forbidden'), error => error.status === 403 && !error.rateLimited);
+
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(requests.filter(request => request.url === '/forbidden').length, 1);
+  assert.deepStrictEqual(helpers.getRateLimitEvents(true), []);
+});
+
+test('request gives up after maxRetries and marks the error as rate limited', async () => {
+  routes['PATCH /repos/org/repo'] = { status: 429, headers: { 'retry-after': '1' }, body: { message: 'API rate limit exceeded' } };
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: {} } };
+  helpers.setApiClientFactory(options => helpers.createApiClient({ ...options, baseUrl, retry: { maxRetries: 2 }, sleep: async () => {} }));
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', {}, 'token');
+
+  assert.strictEqual(requests.filter(request => request.method === 'PATCH').length, 3);
+  assert.strictEqual(result.features.advanced_security.status, 'failed');
+  assert.match(result.features.advanced_security.reason, /^Rate limited by the GitHub API/);
+  helpers.getRateLimitEvents(true);
+});
+
+test('request waits for the reset time once the remaining quota reaches zero', async () => {
+  const reset = Math.floor(Date.now() / 1000) + 120;
+  routes['GET /first'] = { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }, body: {} };
+  routes['GET /second'] = { body: {} };
+  const delays = [];
+  const client = helpers.createApiClient({ hostname: 'quota.example.com', baseUrl, sleep: async ms => { delays.push(ms); } });
+
+  await client.request('GET', '/first');
+  await client.request('GET', '/second');
+
+  assert.strictEqual(delays.length, 1);
+  assert.ok(delays[0] > 100000 && delays[0] <= 120000, `waited ${delays[0]}ms`);
+  assert.strictEqual(helpers.getRateLimitEvents(true)[0].reason, 'primary rate limit reset');
+});
+
+test('paginate follows Link headers and collects every page', async () => {
+  routes['GET /orgs/org/repos?per_page=2'] = {
+    headers: { link: `<${baseUrl}/orgs/org/repos?per_page=2&page=2>; rel="next", <${baseUrl}/orgs/org/repos?per_page=2&page=2>; rel="last"` },
+    body: [{ name: 'one' }, { name: 'two' }]
+  };
+  routes['GET /orgs/org/repos?per_page=2&page=2'] = { body: [{ name: 'three' }] };
+  const client = helpers.createApiClient({ hostname: 'ghes.example.com', baseUrl });
+
+  const items = await client.paginate('/orgs/org/repos?per_page=2');
+
+  assert.deepStrictEqual(items.map(item => item.name), ['one', 'two', 'three']);
+  assert.strictEqual(requests.length, 2);
+});
+
+test('paginate reads the array named by itemsKey', async () => {
+  routes['GET /repos/org/repo/actions/runs'] = { body: { total_count: 1, workflow_runs: [{ id: 7 }] } };
+  const client = helpers.createApiClient({ hostname: 'ghes.example.com', baseUrl });
+
+  const items = await client.paginate('/repos/org/repo/actions/runs', { itemsKey: 'workflow_runs' });
+
+  assert.deepStrictEqual(items, [{ id: 7 }]);
+});
+
+test('helpers send REST requests to the api_url configured for the hostname', async () => {
+  const baseUrls = {};
+  helpers.setApiClientFactory(options => {
+    baseUrls[options.hostname] = options.baseUrl;
+    return helpers.createApiClient({ ...options, baseUrl, sleep: async () => {} });
+  });
+  routes['GET /orgs/org/repos?per_page=100'] = { body: [] };
+
+  await withConfig(`
+ghes_instances:
+  - name: proxied
+    api_url: https://ghes.example.com/proxy/api/v3/
+    auth_var: GHES_TOKEN
+`, async () => {
+    await helpers.fetchOrganizationRepos('https://ghes.example.com/org', 'token');
+    await helpers.fetchOrganizationRepos('https://other.example.com/org', 'token');
+    await helpers.fetchOrganizationRepos('https://github.com/org', 'token');
+  });
+
+  assert.deepStrictEqual(baseUrls, {
+    'ghes.example.com': 'https://ghes.example.com/proxy/api/v3',
+    'other.example.com': 'https://other.example.com/api/v3',
+    'github.com': 'https://api.github.com'
+  });
+});
+
+test('config.yaml is read once per step and invalid configurations are not hidden from API clients', async () => {
+  await withConfig('{}', async dir => {
+    const config = helpers.loadConfig();
+    fs.writeFileSync(path.join(dir, 'config.yaml'), 'not: [valid');
+    assert.strictEqual(helpers.loadConfig(), config);
+    assert.strictEqual(helpers.validateConfig().valid, false);
+  });
+
+  await withConfig('budgets:\n  action: warn\n', async () => {
+    await assert.rejects(
+      helpers.validateRepository('https://ghes.example.com/org/repo', { enableSecretScanning: true }, 'token'),
+      /^Error: Invalid configuration \(config\.yaml\):\n {2}- budgets\.action: must be one of reject, flag, got "warn"$/
+    );
+  });
+});
+
+test('fetchOrganizationRepos lists every repository of the organization through the client', async () => {
+  routes['GET /orgs/org/repos?per_page=100'] = {
+    headers: { link: `<${baseUrl}/orgs/org/repos?per_page=100&page=2>; rel="next"` },
+    body: [{ full_name: 'org/one' }]
+  };
+  routes['GET /orgs/org/repos?per_page=100&page=2'] = { body: [{ full_name: 'org/two' }] };
+
+  const result = await helpers.fetchOrganizationRepos('https://ghes.example.com/org', 'token');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.repositories, ['https://ghes.example.com/org/one', 'https://ghes.example.com/org/two']);
+});
+
+test('enableRepositoryFeatures enables the features that are off', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'disabled' } } } };
+  routes['PATCH /repos/org/repo'] = { body: {} };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableSecretScanning: true }, 'token');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.features.advanced_security, { status: 'enabled', reason: null, previous: 'disabled' });
+  assert.deepStrictEqual(result.features.secret_scanning, { status: 'enabled', reason: null, previous: 'disabled' });
+  assert.deepStrictEqual(requests.filter(request => request.method === 'PATCH').map(request => request.body), [
+    { security_and_analysis: { advanced_security: { status: 'enabled' } } },
+    { security_and_analysis: { secret_scanning: { status: 'enabled' } } }
+  ]);
+});
+
+test('enableRepositoryFeatures leaves already-enabled features unchanged', async () => {
+  routes['GET /repos/org/repo'] = {
+    body: { security_and_analysis: { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'enabled' } } }
+  };
+  routes['GET /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableSecretScanning: true, enableDependabotAlerts: true }, 'token');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.features.advanced_security.status, 'already-enabled');
+  assert.strictEqual(result.features.secret_scanning.status, 'already-enabled');
+  assert.strictEqual(result.features.dependabot_alerts.status, 'already-enabled');
+  assert.ok(requests.every(request => request.method === 'GET'));
+});
+
+test('enableRepositoryFeatures reports failed features with the reason', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['PATCH /repos/org/repo'] = { status: 422, body: { message: 'Secret scanning is not available' } };
+  routes['PUT /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableSecretScanning: true, enableDependabotAlerts: true }, 'token');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.features.secret_scanning.status, 'failed');
+  assert.match(result.features.secret_scanning.reason, /Validation failed/);
+  assert.strictEqual(result.features.dependabot_alerts.status, 'enabled');
+});
+
+test('enableRepositoryFeatures skips the remaining features when Advanced Security fails', async () => {
+  routes['GET /repos/org/repo'] = { body: { visibility: 'private', security_and_analysis: { advanced_security: { status: 'disabled' } } } };
+  routes['PATCH /repos/org/repo'] = { status: 403, body: { message: 'Advanced Security is disabled by policy' } };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableSecretScanning: true }, 'token');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.features.advanced_security.status, 'failed');
+  assert.match(result.features.advanced_security.reason, /Access denied/);
+  assert.strictEqual(result.error, result.features.advanced_security.reason);
+  assert.deepStrictEqual(result.features.secret_scanning, { status: 'skipped', reason: 'Advanced Security could not be enabled' });
+});
+
+test('enableRepositoryFeatures reports repositories it cannot read', async () => {
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/missing', { enableSecretScanning: true }, 'token');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Repository not found/);
+  assert.deepStrictEqual(result.features, {});
+});
+
+test('createResultsComment lists the outcome of each feature per repository', () => {
+  const comment = helpers.createResultsComment({
+    hostname: 'ghes.example.com',
+    repositories: ['https://ghes.example.com/org/repo'],
+    enableSecretScanning: true,
+    enableDependabotAlerts: true,
+    hasEnoughLicenses: true,
+    dryRun: false,
+    enablementResults: [{
+      repository: 'https://ghes.example.com/org/repo',
+      success: false,
+      error: null,
+      features: {
+        advanced_security: { status: 'already-enabled', reason: null },
+        secret_scanning: { status: 'enabled', reason: null },
+        dependabot_alerts: { status: 'failed', reason: 'Access denied | no admin' }
+      }
+    }]
+  });
+
+  assert.match(comment, /Repositories with feature failures: 1/);
+  assert.match(comment, /\| https:\/\/ghes\.example\.com\/org\/repo \| ☑️ Already enabled \| ✅ Enabled \| ❌ Failed: Access denied \\\| no admin \|/);
+});
+
+test('getAllUniqueCommitters analyzes repositories in parallel within the limit of each hostname', async () => {
+  const inFlight = {};
+  const peak = {};
+  helpers.setApiClientFactory(({ hostname }) => ({
+    hostname,
+    paginate: async path => {
+      inFlight[hostname] = (inFlight[hostname] || 0) + 1;
+      peak[hostname] = Math.max(peak[hostname] || 0, inFlight[hostname]);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight[hostname]--;
+      const repo = path.split('/')[3];
+      return [{ commit: { author: { email: `${repo}@example.com` }, committer: { email: 'Shared@Example.com' } } }];
+    }
+  }));
+  const repositories = [
+    ...Array.from({ length: 6 }, (_, index) => `https://ghes-a.example.com/org/a${index}`),
+    ...Array.from({ length: 3 }, (_, index) => `https://ghes-b.example.com/org/b${index}`)
+  ];
+  const progress = [];
+
+  const { committers, committersByRepository } = await helpers.getAllUniqueCommitters(
+    repositories,
+    { 'ghes-a.example.com': 'token-a', 'ghes-b.example.com': 'token-b' },
+    { concurrency: 2, concurrencyByHostname: { 'ghes-b.example.com': 1 }, onProgress: event => progress.push(event.completed) }
+  );
+
+  assert.deepStrictEqual(peak, { 'ghes-a.example.com': 2, 'ghes-b.example.com': 1 });
+  assert.strictEqual(committers.length, 10);
+  assert.ok(committers.some(committer => committer.id === 'shared@example.com'));
+  assert.deepStrictEqual(Object.keys(committersByRepository).sort(), repositories.slice().sort());
+  assert.strictEqual(committersByRepository['https://ghes-b.example.com/org/b0'], 2);
+  assert.deepStrictEqual(progress, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test('getAllUniqueCommitters skips hostnames without a token and still reports progress', async () => {
+  let calls = 0;
+  helpers.setApiClientFactory(({ hostname }) => ({ hostname, paginate: async () => { calls++; return []; } }));
+  const progress = [];
+
+  const { committers } = await helpers.getAllUniqueCommitters(
+    ['https://unknown.example.com/org/repo', 'not a url'],
+    {},
+    { onProgress: event => progress.push(event.repository) }
+  );
+
+  assert.deepStrictEqual(committers, []);
+  assert.strictEqual(calls, 0);
+  assert.deepStrictEqual(progress.sort(), ['https://unknown.example.com/org/repo', 'not a url']);
+});
+
+test('fetchRepoCommitters returns the author and committer of each commit with their linked login', async () => {
+  routes[`GET /repos/org/repo/commits?since=${sinceDate(90)}&per_page=100`] = {
+    body: [
+      { sha: '1', author: { login: 'Mona', type: 'User' }, committer: null, commit: { author: { email: 'Mona@Example.com', name: 'Mona' }, committer: { email: 'noreply@github.com', name: 'GitHub' } } },
+      { sha: '2', author: { login: 'mona', type: 'User' }, commit: { author: { email: 'mona@example.com', name: 'Mona' } } }
+    ]
+  };
+
+  const identities = await helpers.fetchRepoCommitters('https://ghes.example.com/org/repo', 'token');
+
+  assert.deepStrictEqual(identities, [
+    { login: 'mona', email: 'mona@example.com', name: 'Mona', type: 'User' },
+    { login: null, email: 'noreply@github.com', name: 'GitHub', type: null }
+  ]);
+});
+
+test('resolveCommitterIdentities folds linked emails, noreply addresses and aliases into one login', () => {
+  const result = helpers.resolveCommitterIdentities([
+    { login: 'mona', email: 'mona@work.example.com', type: 'User' },
+    { login: null, email: 'mona@work.example.com' },
+    { login: null, email: '12345+Mona@users.noreply.github.com' },
+    { login: null, email: 'mona@home.example.com' },
+    { login: null, email: 'hubot@example.com' }
+  ], { aliases: { mona: ['mona@home.example.com'] } });
+
+  assert.deepStrictEqual(result.committers.map(committer => committer.id), ['mona', 'hubot@example.com']);
+  assert.deepStrictEqual(result.committers[0].emails, ['mona@work.example.com', '12345+mona@users.noreply.github.com', 'mona@home.example.com']);
+  assert.deepStrictEqual(result.merged.map(item => item.id), ['mona']);
+  assert.strictEqual(result.merged[0].reason, 'alias from config.yaml');
+});
+
+test('resolveCommitterIdentities excludes bots and configured patterns', () => {
+  const identities = [
+    { login: 'dependabot[bot]', email: '49699333+dependabot[bot]@users.noreply.github.com', type: 'Bot' },
+    { login: 'github-actions', email: 'actions@github.com', type: 'User' },
+    { login: null, email: 'noreply@github.com' },
+    { login: 'svc-deploy', email: 'deploy@example.com', type: 'User' },
+    { login: null, email: 'build@ci.example.com' },
+    { login: 'octocat', email: 'octocat@example.com', type: 'User' }
+  ];
+
+  const result = helpers.resolveCommitterIdentities(identities, { excludePatterns: ['svc-*', '/@ci\\.example\\.com$/'] });
+
+  assert.deepStrictEqual(result.committers.map(committer => committer.id), ['octocat']);
+  assert.deepStrictEqual(result.excluded, [
+    { identifier: 'dependabot[bot]', reason: 'bot account' },
+    { identifier: 'github-actions', reason: 'bot account' },
+    { identifier: 'noreply@github.com', reason: 'bot account' },
+    { identifier: 'svc-deploy', reason: "matches exclude pattern 'svc-*'" },
+    { identifier: 'build@ci.example.com', reason: "matches exclude pattern '/@ci\\.example\\.com$/'" }
+  ]);
+  assert.strictEqual(helpers.resolveCommitterIdentities(identities, { excludeBots: false }).committers.length, 6);
+});
+
+test('normalizeBranchScope accepts default, all, comma separated globs and lists', () => {
+  assert.deepStrictEqual(helpers.normalizeBranchScope(undefined), { mode: 'default', patterns: [] });
+  assert.deepStrictEqual(helpers.normalizeBranchScope('Default'), { mode: 'default', patterns: [] });
+  assert.deepStrictEqual(helpers.normalizeBranchScope('ALL'), { mode: 'all', patterns: [] });
+  assert.deepStrictEqual(helpers.normalizeBranchScope('main, release/*'), { mode: 'patterns', patterns: ['main', 'release/*'] });
+  assert.deepStrictEqual(helpers.normalizeBranchScope(['main', ' ']), { mode: 'patterns', patterns: ['main'] });
+  assert.deepStrictEqual(helpers.normalizeBranchScope([]), { mode: 'default', patterns: [] });
+});
+
+test('fetchRepoCommitters reads the matching branches over the lookback window once per commit', async () => {
+  const since = sinceDate(30);
+  routes['GET /repos/org/repo/branches?per_page=100'] = { body: [{ name: 'main' }, { name: 'release/1.0' }, { name: 'feature/x' }] };
+  routes[`GET /repos/org/repo/commits?since=${since}&per_page=100&sha=main`] = {
+    body: [{ sha: 'a', commit: { author: { email: 'one@example.com' } } }]
+  };
+  routes[`GET /repos/org/repo/commits?since=${since}&per_page=100&sha=release%2F1.0`] = {
+    body: [{ sha: 'a', commit: { author: { email: 'one@example.com' } } }, { sha: 'b', commit: { author: { email: 'two@example.com' } } }]
+  };
+
+  const identities = await helpers.fetchRepoCommitters('https://ghes.example.com/org/repo', 'token', { lookbackDays: 30, branchScope: 'main, release/*' });
+
+  assert.deepStrictEqual(identities.map(identity => identity.email), ['one@example.com', 'two@example.com']);
+  assert.ok(!requests.some(request => request.url.includes('feature')));
+});
+
+test('parseIssueBody reads the committer lookback window and branch scope', () => {
+  const body = [
+    '### Repository URLs', '', 'https://ghes.example.com/org/repo', '',
+    '### Committer Lookback Days (optional)', '', '30', '',
+    '### Branch Scope (optional)', '', 'main, release/*'
+  ].join('\n');
+
+  const parsed = helpers.parseIssueBody(body);
+
+  assert.strictEqual(parsed.lookbackDays, 30);
+  assert.strictEqual(parsed.branchScope, 'main, release/*');
+  assert.strictEqual(helpers.parseIssueBody(body.replace('30', '400')).lookbackDays, null);
+  assert.strictEqual(helpers.parseIssueBody(body.replace('main, release/*', '_No response_')).branchScope, null);
+});
+
+test('parseRepositoryFilters reads known filters from the issue form and ignores the rest', () => {
+  assert.strictEqual(helpers.parseRepositoryFilters('_No response_'), null);
+  assert.deepStrictEqual(helpers.parseRepositoryFilters('exclude_archived: yes\nexclude_names: tmp-*, sandbox\ncolour: blue\nvisibility: private'), {
+    exclude_archived: true,
+    exclude_names: 'tmp-*, sandbox',
+    visibility: 'private'
+  });
+});
+
+test('resolveRepositoryFilters lets request overrides win over config.yaml and reads relative dates', () => {
+  const filters = helpers.resolveRepositoryFilters(
+    { exclude_forks: true, exclude_names: ['tmp-*'], pushed_after: '2020-01-01' },
+    { exclude_names: 'sandbox, demo-*', pushed_after: '30d', visibility: 'Private' }
+  );
+
+  assert.strictEqual(filters.excludeForks, true);
+  assert.deepStrictEqual(filters.excludeNames, ['sandbox', 'demo-*']);
+  assert.deepStrictEqual(filters.visibility, ['private']);
+  assert.ok(Math.abs(filters.pushedAfter.getTime() - (Date.now() - 30 * 86400000)) < 60000);
+  assert.strictEqual(helpers.resolveRepositoryFilters({ pushed_after: 'soon' }).pushedAfter, null);
+});
+
+test('getRepositoryExclusionReason explains why a repository is skipped', () => {
+  const filters = helpers.resolveRepositoryFilters({
+    exclude_archived: true,
+    exclude_forks: true,
+    include_names: ['svc-*', 'web'],
+    exclude_names: ['svc-legacy'],
+    exclude_topics: ['deprecated'],
+    visibility: ['private', 'internal'],
+    pushed_after: '2024-01-01'
+  });
+  const repo = { name: 'svc-api', visibility: 'private', topics: [], pushed_at: '2024-06-01T00:00:00Z' };
+
+  assert.strictEqual(helpers.getRepositoryExclusionReason(repo, filters), null);
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, archived: true }, filters), 'Archived repository');
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, fork: true }, filters), 'Forked repository');
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, visibility: 'public' }, filters), 'Visibility is public (allowed: private, internal)');
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, name: 'docs' }, filters), 'Name does not match any include_names pattern');
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, name: 'svc-legacy' }, filters), 'Name matches exclude_names pattern `svc-legacy`');
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, topics: ['deprecated'] }, filters), 'Has excluded topic `deprecated`');
+  assert.strictEqual(helpers.getRepositoryExclusionReason({ ...repo, pushed_at: '2023-05-01T00:00:00Z' }, filters), 'Last pushed 2023-05-01 (before 2024-01-01)');
+});
+
+test('fetchOrganizationRepos returns the repositories skipped by the filters with their reason', async () => {
+  routes['GET /orgs/org/repos?per_page=100'] = {
+    body: [{ full_name: 'org/app', name: 'app' }, { full_name: 'org/old', name: 'old', archived: true }]
+  };
+
+  const result = await helpers.fetchOrganizationRepos('https://ghes.example.com/org', 'token', helpers.resolveRepositoryFilters({ exclude_archived: true }));
+
+  assert.deepStrictEqual(result.repositories, ['https://ghes.example.com/org/app']);
+  assert.deepStrictEqual(result.excludedRepositories, [{ url: 'https://ghes.example.com/org/old', reason: 'Archived repository' }]);
+});
+
+test('classifyTargetUrl tells instance, organization and repository targets and their globs apart', () => {
+  const classify = url => helpers.classifyTargetUrl(url).type;
+
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com'), { hostname: 'ghes.example.com', org: null, repo: null, type: 'enterprise' });
+  assert.strictEqual(classify('https://ghes.example.com/org'), 'organization');
+  assert.strictEqual(classify('https://ghes.example.com/team-*'), 'organization-pattern');
+  assert.strictEqual(classify('https://ghes.example.com/org/app'), 'repository');
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com/org/svc-*'), { hostname: 'ghes.example.com', org: 'org', repo: 'svc-*', type: 'repository-pattern' });
+  assert.strictEqual(classify('https://ghes.example.com/team-*/app'), 'repository-pattern');
+  assert.strictEqual(classify('https://ghes.example.com/org/app/tree/main'), 'repository');
+  assert.strictEqual(classify('https://ghes.example.com/org/svc-*/tree/main'), 'invalid');
+  assert.strictEqual(classify('not a url'), 'invalid');
+  assert.strictEqual(helpers.isScopeTargetUrl('https://ghes.example.com/org/svc-*'), true);
+  assert.strictEqual(helpers.isScopeTargetUrl('https://ghes.example.com/org/app'), false);
+});
+
+test('classifyTargetUrl reads ? globs as part of the path rather than a query string', () => {
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com/'), { hostname: 'ghes.example.com', org: null, repo: null, type: 'enterprise' });
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com/team-*'), { hostname: 'ghes.example.com', org: 'team-*', repo: null, type: 'organization-pattern' });
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com/team-?'), { hostname: 'ghes.example.com', org: 'team-?', repo: null, type: 'organization-pattern' });
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com/org/svc-*'), { hostname: 'ghes.example.com', org: 'org', repo: 'svc-*', type: 'repository-pattern' });
+  assert.deepStrictEqual(helpers.classifyTargetUrl('https://ghes.example.com/org/svc-?'), { hostname: 'ghes.example.com', org: 'org', repo: 'svc-?', type: 'repository-pattern' });
+  assert.strictEqual(helpers.classifyTargetUrl('https://ghes.example.com/org/svc-?/tree/main').type, 'invalid');
+});
+
+test('expandScopeTarget lists the organizations on the instance for enterprise and organization globs', async () => {
+  routes['GET /organizations?per_page=100'] = { body: [{ login: 'team-a' }, { login: 'team-b' }, { login: 'other' }] };
+  routes['GET /orgs/team-a/repos?per_page=100'] = { body: [{ full_name: 'team-a/app', name: 'app' }] };
+  routes['GET /orgs/team-b/repos?per_page=100'] = { body: [{ full_name: 'team-b/web', name: 'web', archived: true }] };
+  routes['GET /orgs/other/repos?per_page=100'] = { status: 403, body: { message: 'Forbidden' } };
+  const filters = helpers.resolveRepositoryFilters({ exclude_archived: true });
+
+  const glob = await helpers.expandScopeTarget('https://ghes.example.com/team-*', 'token', filters);
+  assert.strictEqual(glob.success, true);
+  assert.deepStrictEqual(glob.repositories, ['https://ghes.example.com/team-a/app']);
+  assert.deepStrictEqual(glob.excludedRepositories, [{ url: 'https://ghes.example.com/team-b/web', reason: 'Archived repository' }]);
+
+  const enterprise = await helpers.expandScopeTarget('https://ghes.example.com', 'token', filters);
+  assert.strictEqual(enterprise.success, true);
+  assert.deepStrictEqual(enterprise.repositories, ['https://ghes.example.com/team-a/app']);
+  assert.deepStrictEqual(enterprise.invalidTargets.map(item => item.url), ['https://ghes.example.com/other']);
+
+  const none = await helpers.expandScopeTarget('https://ghes.example.com/nobody-*', 'token', filters);
+  assert.strictEqual(none.success, false);
+  assert.strictEqual(none.error, 'No organizations on ghes.example.com match this target');
+});
+
+test('expandScopeTarget keeps only the repositories matching a repository glob', async () => {
+  routes['GET /orgs/org/repos?per_page=100'] = {
+    body: [{ full_name: 'org/svc-api', name: 'svc-api' }, { full_name: 'org/svc-web', name: 'svc-web' }, { full_name: 'org/docs', name: 'docs' }]
+  };
+
+  const result = await helpers.expandScopeTarget('https://ghes.example.com/org/svc-*', 'token', helpers.resolveRepositoryFilters());
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.repositories, ['https://ghes.example.com/org/svc-api', 'https://ghes.example.com/org/svc-web']);
+  assert.strictEqual(requests.some(request => request.url.startsWith('/organizations')), false);
+
+  const single = await helpers.expandScopeTarget('https://ghes.example.com/org/svc-???', 'token', helpers.resolveRepositoryFilters());
+  assert.deepStrictEqual(single.repositories, ['https://ghes.example.com/org/svc-api', 'https://ghes.example.com/org/svc-web']);
+
+  const none = await helpers.expandScopeTarget('https://ghes.example.com/org/lib-*', 'token', helpers.resolveRepositoryFilters());
+  assert.strictEqual(none.success, false);
+  assert.strictEqual(none.error, 'No repositories in org match `lib-*`');
+});
+
+// Minimal Octokit stand-in for the helpers that run through actions/github-script
+// comments is either the comments of the one issue or a map of issue number to comments
+function mockGithub({ comments = [], events = [], issue = {}, issues = [], teams = {}, permissions = {}, lastEditedAt = null } = {}) {
+  const github = {
+    calls: [],
+    rest: {
+      issues: {
+        listForRepo: async params => {
+          github.calls.push(params);
+          return { data: issues.filter(item => !params.creator || item.user.login === params.creator) };
+        },
+        listComments: async ({ issue_number: issueNumber }) => ({ data: Array.isArray(comments) ? comments : comments[issueNumber] || [] }),
+        listEvents: async () => ({ data: events }),
+        get: async () => ({ data: { labels: [], ...issue } }),
+        createComment: async params => { github.calls.push({ createComment: params }); },
+        addLabels: async params => { github.calls.push({ addLabels: params }); },
+        removeLabel: async params => { github.calls.push({ removeLabel: params }); }
+      },
+      repos: {
+        getCollaboratorPermissionLevel: async ({ username }) => ({ data: { permission: permissions[username] || 'read' } })
+      },
+      teams: {
+        getMembershipForUserInOrg: async ({ org, team_slug: teamSlug, username }) => {
+          if (!(teams[`${org}/${teamSlug}`] || []).includes(username)) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return { data: { state: 'active' } };
+        }
+      }
+    },
+    paginate: async (method, params) => (await method(params)).data,
+    graphql: async () => {
+      if (lastEditedAt instanceof Error) {
+        throw lastEditedAt;
+      }
+      return { node: { lastEditedAt } };
+    }
+  };
+  return github;
+}
+
+const APPROVAL_CONFIG = `
+approval:
+  required: true
+  approvers:
+    users: ['@Lead']
+    teams: [org/security]
+`;
+
+test('checkApproval approves right away when approval is not required', async () => {
+  const approval = await withConfig('approval:\n  required: false\n', () => helpers.checkApproval(mockGithub(), 'org', 'requests', 1));
+
+  assert.strictEqual(approval.required, false);
+  assert.strictEqual(approval.approved, true);
+});
+
+test('checkApproval accepts the approval command only from configured users and team members', async () => {
+  const comments = [
+    { user: { login: 'someone' }, body: '/approve', created_at: '2024-05-01T10:00:00Z' },
+    { user: { login: 'reviewer' }, body: '/approve\nLooks good', created_at: '2024-05-02T10:00:00Z' }
+  ];
+
+  const approval = await withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ comments, teams: { 'org/security': ['reviewer'] } }), 'org', 'requests', 1));
+  assert.strictEqual(approval.approved, true);
+  assert.strictEqual(approval.approver, 'reviewer');
+  assert.strictEqual(approval.method, 'comment');
+  assert.deepStrictEqual(approval.approvers, ['@lead', '@org/security']);
+
+  const pending = await withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ comments }), 'org', 'requests', 1));
+  assert.strictEqual(pending.approved, false);
+});
+
+test('checkApproval accepts the approval label only while applied and when applied by an approver', async () => {
+  const events = [
+    { event: 'labeled', label: { name: 'ghas-approved' }, actor: { login: 'lead' }, created_at: '2024-05-01T10:00:00Z' },
+    { event: 'labeled', label: { name: 'ghas-approved' }, actor: { login: 'someone' }, created_at: '2024-05-02T10:00:00Z' }
+  ];
+
+  const approval = await withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ events, issue: { labels: [{ name: 'ghas-approved' }] } }), 'org', 'requests', 1));
+  assert.strictEqual(approval.approved, true);
+  assert.strictEqual(approval.approver, 'lead');
+  assert.strictEqual(approval.method, 'label');
+
+  const removed = await withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ events }), 'org', 'requests', 1));
+  assert.strictEqual(removed.approved, false);
+});
+
+test('createResultsComment explains who approved the request or how to approve it', () => {
+  const params = { hostname: 'ghes.example.com', repositories: ['https://ghes.example.com/org/repo'], hasEnoughLicenses: true, dryRun: false };
+  const approval = { required: true, approved: true, approver: 'lead', method: 'label', approvedAt: '2024-05-01T10:00:00Z', command: '/approve', label: 'ghas-approved', approvers: ['@lead'] };
+
+  assert.match(helpers.createResultsComment({ ...params, approval }), /\*\*✅ Approved by:\*\* @lead via the `ghas-approved` label on 2024-05-01/);
+
+  const waiting = helpers.createResultsComment({ ...params, awaitingApproval: true, approval: { ...approval, approved: false } });
+  assert.match(waiting, /## GHAS Analysis \(Awaiting Approval\) for ghes\.example\.com/);
+  assert.match(waiting, /an approver comments `\/approve` on this issue or applies the `ghas-approved` label/);
+  assert.match(waiting, /Approvers: @lead/);
+});
+
+test('parseSlashCommands reads one command per line and collects /add and /remove URLs', () => {
+  assert.deepStrictEqual(helpers.parseSlashCommands('Please add these\n/add https://ghes.example.com/org/a https://ghes.example.com/org/b\n/remove https://ghes.example.com/org/c\n/run'), {
+    action: 'run',
+    add: ['https://ghes.example.com/org/a', 'https://ghes.example.com/org/b'],
+    remove: ['https://ghes.example.com/org/c'],
+    unknown: []
+  });
+  assert.strictEqual(helpers.parseSlashCommands('/LGTM', { approvalCommand: '/lgtm' }).action, 'approve');
+  assert.strictEqual(helpers.parseSlashCommands('/dry-run\n/run').action, 'dry-run');
+  assert.deepStrictEqual(helpers.parseSlashCommands('/deploy now').unknown, ['/deploy']);
+  assert.strictEqual(helpers.parseSlashCommands('Looks good to me').action, null);
+});
+
+const REQUEST_BODY = ['### Repository URLs', '', 'https://ghes.example.com/org/a', '', '### Dry Run Mode', '', 'Yes'].join('\n');
+
+test('resolveIssueRequest applies /add and /remove from authorized users up to the triggering comment', async () => {
+  const comments = [
+    { id: 1, user: { login: 'requester' }, body: '/add https://ghes.example.com/org/b', created_at: '2024-05-01T10:00:00Z' },
+    { id: 2, user: { login: 'passerby' }, body: '/add https://ghes.example.com/org/evil', created_at: '2024-05-01T11:00:00Z' },
+    { id: 3, user: { login: 'maintainer' }, body: '/remove https://ghes.example.com/org/A/', created_at: '2024-05-01T12:00:00Z' },
+    { id: 4, user: { login: 'requester' }, body: '/run', created_at: '2024-05-01T13:00:00Z' },
+    { id: 5, user: { login: 'requester' }, body: '/add https://ghes.example.com/org/later', created_at: '2024-05-01T14:00:00Z' }
+  ];
+  const github = mockGithub({ comments, permissions: { maintainer: 'write' } });
+  const issue = { number: 1, body: REQUEST_BODY, user: { login: 'requester' } };
+
+  const request = await withConfig('{}', () => helpers.resolveIssueRequest(github, 'org', 'requests', issue, 4));
+
+  assert.strictEqual(request.action, 'run');
+  assert.strictEqual(request.dryRun, false);
+  assert.deepStrictEqual(request.repositories, ['https://ghes.example.com/org/b']);
+  assert.strictEqual(request.listChangedAt, '2024-05-01T12:00:00Z');
+  assert.strictEqual(request.error, null);
+
+  const opened = await withConfig('{}', () => helpers.resolveIssueRequest(github, 'org', 'requests', issue));
+  assert.strictEqual(opened.action, 'issue');
+  assert.strictEqual(opened.dryRun, true);
+});
+
+test('resolveIssueRequest rejects commands from users without write access and unknown commands', async () => {
+  const comments = [
+    { id: 1, user: { login: 'passerby' }, body: '/run' },
+    { id: 2, user: { login: 'requester' }, body: '/deploy' }
+  ];
+  const github = mockGithub({ comments });
+  const issue = { number: 1, body: REQUEST_BODY, user: { login: 'requester' } };
+
+  const denied = await withConfig('{}', () => helpers.resolveIssueRequest(github, 'org', 'requests', issue, 1));
+  assert.match(denied.error, /@passerby cannot run commands on this request/);
+
+  const unknown = await withConfig('{}', () => helpers.resolveIssueRequest(github, 'org', 'requests', issue, 2));
+  assert.match(unknown.error, /Unknown command \/deploy\. Supported commands:/);
+});
+
+test('resolveIssueRequest retries the failures recorded in the latest real run on each hostname', async () => {
+  const marker = results => helpers.createResultsComment({ hasEnoughLicenses: true, repositories: [], ...results });
+  const comments = [
+    { id: 1, user: { login: 'github-actions[bot]', type: 'Bot' }, body: marker({ hostname: 'ghes.example.com', enablementResults: [{ repository: 'https://ghes.example.com/org/old', success: false, features: {} }] }) },
+    { id: 2, user: { login: 'github-actions[bot]', type: 'Bot' }, body: marker({ hostname: 'ghes.example.com', enablementResults: [{ repository: 'https://ghes.example.com/org/a', success: false, features: {} }] }) },
+    { id: 3, user: { login: 'github-actions[bot]', type: 'Bot' }, body: marker({ hostname: 'ghes.example.com', dryRun: true }) },
+    { id: 4, user: { login: 'requester' }, body: '/retry-failed' }
+  ];
+  const issue = { number: 1, body: REQUEST_BODY, user: { login: 'requester' } };
+
+  const request = await withConfig('{}', () => helpers.resolveIssueRequest(mockGithub({ comments }), 'org', 'requests', issue, 4));
+  assert.strictEqual(request.action, 'retry-failed');
+  assert.strictEqual(request.dryRun, false);
+  assert.deepStrictEqual(request.repositories, ['https://ghes.example.com/org/a']);
+
+  const nothing = await withConfig('{}', () => helpers.resolveIssueRequest(mockGithub({ comments: comments.slice(2) }), 'org', 'requests', issue, 4));
+  assert.strictEqual(nothing.error, 'There are no failed repositories to retry from the last enablement run.');
+});
+
+test('resolveIssueRequest only retries failures from results comments posted by the workflow or results.author', async () => {
+  const marker = repository => helpers.createResultsComment({
+    hasEnoughLicenses: true, hostname: 'ghes.example.com', enablementResults: [{ repository, success: false, features: {} }]
+  });
+  const comments = [
+    { id: 1, user: { login: 'ghas-app[bot]', type: 'Bot' }, body: marker('https://ghes.example.com/org/app') },
+    { id: 2, user: { login: 'other-app[bot]', type: 'Bot' }, body: marker('https://ghes.example.com/org/planted') },
+    { id: 3, user: { login: 'requester' }, body: '/retry-failed' }
+  ];
+  const issue = { number: 1, body: REQUEST_BODY, user: { login: 'requester' } };
+
+  const untrusted = await withConfig('{}', () => helpers.resolveIssueRequest(mockGithub({ comments }), 'org', 'requests', issue, 3));
+  assert.strictEqual(untrusted.error, 'There are no failed repositories to retry from the last enablement run.');
+
+  const configured = await withConfig('results:\n  author: GHAS-App[bot]', () => helpers.resolveIssueRequest(mockGithub({ comments }), 'org', 'requests', issue, 3));
+  assert.deepStrictEqual(configured.repositories, ['https://ghes.example.com/org/app']);
+});
+
+test('checkApproval ignores approvals given before the repository list changed', async () => {
+  const comments = [{ user: { login: 'lead' }, body: '/approve', created_at: '2024-05-01T10:00:00Z' }];
+
+  const stale = await withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ comments }), 'org', 'requests', 1, '2024-05-02T00:00:00Z'));
+  assert.strictEqual(stale.approved, false);
+
+  const current = await withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ comments }), 'org', 'requests', 1, '2024-04-30T00:00:00Z'));
+  assert.strictEqual(current.approved, true);
+});
+
+test('checkApproval ignores approvals given before the issue form was last edited', async () => {
+  const comments = [{ user: { login: 'lead' }, body: '/approve', created_at: '2024-05-01T10:00:00Z' }];
+  const check = options => withConfig(APPROVAL_CONFIG, () => helpers.checkApproval(mockGithub({ comments, ...options }), 'org', 'requests', 1));
+
+  assert.strictEqual((await check({ lastEditedAt: '2024-05-01T12:00:00Z' })).approved, false);
+  assert.strictEqual((await check({ lastEditedAt: '2024-05-01T08:00:00Z' })).approved, true);
+  assert.strictEqual((await check({ lastEditedAt: null })).approved, true);
+
+  // Without the edit history, the last update of the issue is used
+  const unreadable = new Error('GraphQL unavailable');
+  assert.strictEqual((await check({ lastEditedAt: unreadable, issue: { updated_at: '2024-05-02T00:00:00Z' } })).approved, false);
+  assert.strictEqual((await check({ lastEditedAt: unreadable, issue: { updated_at: '2024-04-30T00:00:00Z' } })).approved, true);
+});
+
+test('disableRepositoryFeatures turns features off in reverse order and skips those already off', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'disabled' } } } };
+  routes['GET /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+  routes['DELETE /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+  routes['PATCH /repos/org/repo'] = { body: {} };
+
+  const result = await helpers.disableRepositoryFeatures(
+    'https://ghes.example.com/org/repo',
+    { enableSecretScanning: true, enableDependabotAlerts: true, disableAdvancedSecurity: true },
+    'token'
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(Object.keys(result.features), ['dependabot_alerts', 'secret_scanning', 'advanced_security']);
+  assert.deepStrictEqual(result.features.dependabot_alerts, { status: 'disabled', reason: null, previous: 'enabled' });
+  assert.deepStrictEqual(result.features.secret_scanning, { status: 'already-disabled', reason: null, previous: 'disabled' });
+  assert.deepStrictEqual(result.features.advanced_security, { status: 'disabled', reason: null, previous: 'enabled' });
+  assert.deepStrictEqual(requests.find(request => request.method === 'PATCH').body, { security_and_analysis: { advanced_security: { status: 'disabled' } } });
+});
+
+test('disableRepositoryFeatures reports dependabot alerts that are already off', async () => {
+  routes['GET /repos/org/repo'] = { body: {} };
+
+  const result = await helpers.disableRepositoryFeatures('https://ghes.example.com/org/repo', { enableDependabotAlerts: true }, 'token');
+
+  assert.deepStrictEqual(result.features, { dependabot_alerts: { status: 'already-disabled', reason: null, previous: 'disabled' } });
+  assert.strictEqual(requests.some(request => request.method === 'DELETE'), false);
+});
+
+test('estimateLicensesFreed only counts committers who keep no other licensed repository', () => {
+  const committers = (...logins) => ({ advanced_security_committers_breakdown: logins.map(login => ({ user_login: login })) });
+  const billing = [
+    { name: 'org/a', ...committers('mona', 'hubot', 'octocat') },
+    { name: 'org/b', ...committers('mona', 'lisa') },
+    { name: 'org/keep', ...committers('octocat') }
+  ];
+
+  const estimate = helpers.estimateLicensesFreed(billing, ['https://ghes.example.com/org/a', 'https://ghes.example.com/Org/B/']);
+
+  assert.strictEqual(estimate.total, 3);
+  assert.deepStrictEqual(estimate.perRepository, [
+    { repository: 'org/a', hostname: null, committers: 3, licensesFreed: 2 },
+    { repository: 'org/b', hostname: null, committers: 2, licensesFreed: 2 }
+  ]);
+});
+
+test('estimateLicensesFreed matches billing repositories of a GHES pool by hostname', () => {
+  const committers = (...logins) => ({ advanced_security_committers_breakdown: logins.map(login => ({ user_login: login })) });
+  const billing = [
+    { name: 'org/app', hostname: 'ghes-a.example.com', ...committers('mona') },
+    { name: 'org/app', hostname: 'ghes-b.example.com', ...committers('mona', 'lisa') }
+  ];
+
+  const estimate = helpers.estimateLicensesFreed(billing, ['https://ghes-a.example.com/org/app']);
+
+  assert.strictEqual(estimate.total, 0);
+  assert.deepStrictEqual(estimate.perRepository, [
+    { repository: 'org/app', hostname: 'ghes-a.example.com', committers: 1, licensesFreed: 0 }
+  ]);
+
+  const report = helpers.buildRunReport({
+    hostname: 'ghes-a.example.com',
+    requestType: 'disable',
+    licensesFreedByRepository: estimate.perRepository,
+    enablementResults: [
+      { repository: 'https://ghes-a.example.com/org/app', features: { advanced_security: { status: 'disabled', reason: null } } },
+      { repository: 'https://ghes-b.example.com/org/app', features: { advanced_security: { status: 'disabled', reason: null } } }
+    ]
+  });
+  assert.deepStrictEqual(report.rows.map(row => [row.hostname, row.committers, row.licenses_freed]), [
+    ['ghes-a.example.com', 1, 0],
+    ['ghes-b.example.com', null, null]
+  ]);
+});
+
+test('parseIssueBody reads disable requests and their Advanced Security selection', () => {
+  const body = [
+    '### Request Type', '', 'Disable GHAS', '',
+    '### Repository URLs', '', 'https://ghes.example.com/org/repo', '',
+    '### GHAS Features', '', 'Advanced Security, Secret Scanning'
+  ].join('\n');
+
+  const parsed = helpers.parseIssueBody(body);
+
+  assert.strictEqual(parsed.requestType, 'disable');
+  assert.strictEqual(parsed.features.disableAdvancedSecurity, true);
+  assert.strictEqual(parsed.features.enableSecretScanning, true);
+  assert.strictEqual(helpers.parseIssueBody(body.replace('Disable GHAS', 'Enable GHAS')).features.disableAdvancedSecurity, false);
+});
+
+test('buildLedgerEntries records one entry per repository and feature with the previous state', () => {
+  const results = [
+    {
+      repository: 'https://ghes.example.com/org/a',
+      hostname: 'ghes.example.com',
+      previousState: { security_and_analysis: {} },
+      features: { advanced_security: { status: 'enabled', reason: null, previous: 'disabled' }, dependabot_alerts: { status: 'failed', reason: 'Access denied' } }
+    },
+    { repository: 'https://ghes.example.com/org/missing', hostname: 'ghes.example.com', error: 'Repository not found', features: {} }
+  ];
+  const context = { action: 'enable', issueRepository: 'org/requests', issueNumber: 7, requestedBy: 'mona', triggeredBy: 'mona', approvedBy: 'lead', runUrl: 'https://example.com/run', timestamp: '2024-05-01T10:00:00Z' };
+
+  const entries = helpers.buildLedgerEntries(results, context);
+
+  assert.deepStrictEqual(entries.map(entry => [entry.repository, entry.feature, entry.status, entry.previous, entry.reason]), [
+    ['https://ghes.example.com/org/a', 'advanced_security', 'enabled', 'disabled', null],
+    ['https://ghes.example.com/org/a', 'dependabot_alerts', 'failed', null, 'Access denied'],
+    ['https://ghes.example.com/org/missing', null, 'failed', null, 'Repository not found']
+  ]);
+  assert.strictEqual(entries[0].issue, 'org/requests#7');
+  assert.strictEqual(entries[0].approvedBy, 'lead');
+  assert.deepStrictEqual(entries[0].previousState, { security_and_analysis: {} });
+});
+
+test('parseLedger skips malformed lines and findLedgerEntries filters by repository, feature and action', () => {
+  const entries = helpers.parseLedger([
+    JSON.stringify({ repository: 'https://ghes.example.com/org/a', feature: 'code_scanning_default_setup', action: 'enable', status: 'enabled' }),
+    'not json',
+    '',
+    JSON.stringify({ repository: 'https://ghes.example.com/org/a', feature: 'secret_scanning', action: 'disable', status: 'disabled' }),
+    JSON.stringify({ repository: 'https://ghes.example.com/org/ab', feature: 'code_scanning_default_setup', action: 'enable', status: 'enabled' })
+  ].join('\n'));
+
+  assert.strictEqual(entries.length, 3);
+  assert.deepStrictEqual(helpers.findLedgerEntries(entries, { repository: 'Org/A/', feature: 'code_scanning_default_setup' }), [entries[0]]);
+  assert.deepStrictEqual(helpers.findLedgerEntries(entries, { action: 'disable' }), [entries[1]]);
+  assert.strictEqual(helpers.findLedgerEntries(entries).length, 3);
+});
+
+test('getLedgerConfig keeps entries as an artifact only when the ledger branch is turned off', () => {
+  assert.deepStrictEqual(helpers.getLedgerConfig({}), { enabled: true, branch: 'ghas-ledger', path: 'ledger/ghas-ledger.jsonl', artifact: true });
+  assert.deepStrictEqual(helpers.getLedgerConfig({ ledger: { branch: false, path: '/audit.jsonl' } }), { enabled: true, branch: null, path: 'audit.jsonl', artifact: true });
+});
+
+test('appendLedgerEntries appends to the ledger file and retries when another job updated it first', async () => {
+  const writes = [];
+  let sha = 'v1';
+  const github = {
+    rest: {
+      repos: {
+        getBranch: async () => ({ data: {} }),
+        getContent: async () => ({ data: { content: Buffer.from('{"old":true}').toString('base64'), sha, size: 12 } }),
+        createOrUpdateFileContents: async params => {
+          writes.push(params);
+          if (writes.length === 1) {
+            sha = 'v2';
+            throw Object.assign(new Error('Conflict'), { status: 409 });
+          }
+          return { data: {} };
+        }
+      }
+    }
+  };
+  const entries = [{ repository: 'https://ghes.example.com/org/a', issue: 'org/requests#7' }];
+
+  const outcome = await helpers.appendLedgerEntries(github, 'org', 'requests', entries, helpers.getLedgerConfig({}));
+
+  assert.strictEqual(outcome.success, true);
+  assert.strictEqual(outcome.appended, 1);
+  assert.deepStrictEqual(writes.map(write => write.sha), ['v1', 'v2']);
+  assert.strictEqual(writes[1].branch, 'ghas-ledger');
+  assert.strictEqual(writes[1].message, 'Record 1 GHAS ledger entries for org/requests#7');
+  assert.strictEqual(Buffer.from(writes[1].content, 'base64').toString('utf8'), `{"old":true}\n${JSON.stringify(entries[0])}\n`);
+});
+
+test('enableRepositoryFeatures captures the settings of the requested features before changing them', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['GET /repos/org/repo/code-scanning/default-setup'] = { body: { state: 'configured' } };
+  routes['GET /repos/org/repo/vulnerability-alerts'] = { status: 404, body: { message: 'Not Found' } };
+  routes['PUT /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableCodeScanning: true, enableDependabotAlerts: true }, 'token');
+
+  assert.strictEqual(result.previousState.code_scanning_default_setup, 'configured');
+  assert.strictEqual(result.previousState.dependabot_alerts, 'disabled');
+  assert.deepStrictEqual(result.previousState.security_and_analysis, { advanced_security: { status: 'enabled' } });
+  assert.strictEqual(result.rollback, null);
+});
+
+test('enableRepositoryFeatures rolls back the features it enabled when another one fails', async () => {
+  let alertsEnabled = false;
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'disabled' } } } };
+  routes['PATCH /repos/org/repo'] = request => request.body.security_and_analysis.secret_scanning
+    ? { status: 422, body: { message: 'Secret scanning is not available' } }
+    : { body: {} };
+  routes['GET /repos/org/repo/vulnerability-alerts'] = () => alertsEnabled ? { status: 204 } : { status: 404, body: { message: 'Not Found' } };
+  routes['PUT /repos/org/repo/vulnerability-alerts'] = () => { alertsEnabled = true; return { status: 204 }; };
+  routes['DELETE /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+
+  const features = { enableSecretScanning: true, enableDependabotAlerts: true };
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', features, 'token', { rollbackOnFailure: true });
+
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.rollback, {
+    success: true,
+    features: { dependabot_alerts: { status: 'restored', reason: null }, advanced_security: { status: 'restored', reason: null } }
+  });
+  assert.deepStrictEqual(requests.filter(request => request.method === 'PATCH').map(request => request.body).pop(), { security_and_analysis: { advanced_security: { status: 'disabled' } } });
+  assert.ok(requests.some(request => request.method === 'DELETE'));
+
+  const entries = helpers.buildLedgerEntries([result], { action: 'enable' });
+  assert.deepStrictEqual(entries.filter(entry => entry.action === 'rollback').map(entry => [entry.feature, entry.status, entry.previous]), [
+    ['dependabot_alerts', 'restored', 'enabled'],
+    ['advanced_security', 'restored', 'enabled']
+  ]);
+
+  const comment = helpers.createResultsComment({ hostname: 'ghes.example.com', repositories: [result.repository], hasEnoughLicenses: true, enablementResults: [result], ...features });
+  assert.match(comment, /Repositories rolled back to their previous settings: 1/);
+  assert.match(comment, /↩️ Rolled back/);
+});
+
+test('getEnablementOptions turns on rollback only when config.yaml asks for it', async () => {
+  assert.strictEqual((await withConfig('enablement:\n  rollback_on_failure: true\n', () => helpers.getEnablementOptions())).rollbackOnFailure, true);
+  assert.strictEqual((await withConfig('{}', () => helpers.getEnablementOptions())).rollbackOnFailure, false);
+});
+
+test('detectCodeScanningLanguages maps detected repository languages to default setup languages', () => {
+  assert.deepStrictEqual(helpers.detectCodeScanningLanguages({ TypeScript: 100, JavaScript: 50, Kotlin: 10, HCL: 5 }), ['javascript-typescript', 'java-kotlin']);
+  assert.deepStrictEqual(helpers.detectCodeScanningLanguages(null), []);
+});
+
+test('resolveCodeScanningOptions lets the request win over config.yaml and falls back on invalid values', () => {
+  const configured = { query_suite: 'extended', languages: ['python'], runner_type: 'labeled', runner_label: 'code-scanning' };
+
+  assert.deepStrictEqual(helpers.resolveCodeScanningOptions(configured, { languages: ['ts', 'C++', 'cobol', 'js'] }), {
+    querySuite: 'extended',
+    languages: ['javascript-typescript', 'c-cpp'],
+    runnerType: 'labeled',
+    runnerLabel: 'code-scanning'
+  });
+  assert.deepStrictEqual(helpers.resolveCodeScanningOptions(configured, { querySuite: 'everything', runnerType: 'standard' }), {
+    querySuite: 'default',
+    languages: ['python'],
+    runnerType: 'standard',
+    runnerLabel: null
+  });
+  assert.strictEqual(helpers.resolveCodeScanningOptions({ runner_type: 'labeled' }).runnerType, 'standard');
+  assert.deepStrictEqual(helpers.resolveCodeScanningOptions(), { querySuite: 'default', languages: [], runnerType: 'standard', runnerLabel: null });
+});
+
+test('enableRepositoryFeatures configures default setup for the selected languages GitHub detected', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['GET /repos/org/repo/code-scanning/default-setup'] = { body: { state: 'not-configured' } };
+  routes['GET /repos/org/repo/languages'] = { body: { Python: 1000, Go: 10 } };
+  routes['PATCH /repos/org/repo/code-scanning/default-setup'] = { body: {} };
+  const codeScanning = helpers.resolveCodeScanningOptions({}, { querySuite: 'extended', languages: ['python', 'ruby'], runnerType: 'labeled', runnerLabel: 'codeql' });
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableCodeScanning: true }, 'token', { codeScanning });
+
+  assert.strictEqual(result.features.code_scanning_default_setup.status, 'enabled');
+  assert.deepStrictEqual(result.features.code_scanning_default_setup.configuration, {
+    languages: ['python'],
+    querySuite: 'extended',
+    runnerType: 'labeled',
+    runnerLabel: 'codeql',
+    skippedLanguages: ['ruby']
+  });
+  assert.deepStrictEqual(requests.find(request => request.method === 'PATCH').body, {
+    state: 'configured',
+    query_suite: 'extended',
+    runner_type: 'labeled',
+    languages: ['python'],
+    runner_label: 'codeql'
+  });
+
+  const comment = helpers.createResultsComment({ hostname: 'ghes.example.com', repositories: [result.repository], hasEnoughLicenses: true, enableCodeScanning: true, enablementResults: [result], codeScanning });
+  assert.match(comment, /\| https:\/\/ghes\.example\.com\/org\/repo \| python \| extended \| labeled \(`codeql`\) \| ruby \|/);
+});
+
+test('enableRepositoryFeatures fails default setup when none of the selected languages were detected', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['GET /repos/org/repo/code-scanning/default-setup'] = { body: { state: 'not-configured' } };
+  routes['GET /repos/org/repo/languages'] = { body: { Go: 10 } };
+
+  const codeScanning = helpers.resolveCodeScanningOptions({}, { languages: ['python'] });
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableCodeScanning: true }, 'token', { codeScanning });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.features.code_scanning_default_setup.reason, 'None of the selected languages (python) were detected in the repository (detected: go)');
+  assert.strictEqual(requests.some(request => request.method === 'PATCH'), false);
+});
+
+test('parseIssueBody reads the code scanning default setup fields', () => {
+  const body = [
+    '### Repository URLs', '', 'https://ghes.example.com/org/repo', '',
+    '### Code Scanning Query Suite (optional)', '', 'Extended (more queries)', '',
+    '### Code Scanning Languages (optional)', '', 'python, go', '',
+    '### Code Scanning Runner (optional)', '', 'Labeled (self-hosted)', '',
+    '### Code Scanning Runner Label (optional)', '', 'codeql'
+  ].join('\n');
+
+  assert.deepStrictEqual(helpers.parseIssueBody(body).codeScanning, { querySuite: 'extended', languages: ['python', 'go'], runnerType: 'labeled', runnerLabel: 'codeql' });
+  assert.strictEqual(helpers.parseIssueBody('### Repository URLs\n\nhttps://ghes.example.com/org/repo').codeScanning, null);
+});
+
+test('enableRepositoryFeatures brings along the feature a selected feature builds on', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['PATCH /repos/org/repo'] = { body: {} };
+  routes['GET /repos/org/repo/private-vulnerability-reporting'] = { body: { enabled: true } };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enablePushProtection: true, enablePrivateVulnerabilityReporting: true }, 'token');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(Object.keys(result.features), ['advanced_security', 'secret_scanning', 'secret_scanning_push_protection', 'private_vulnerability_reporting']);
+  assert.strictEqual(result.features.private_vulnerability_reporting.status, 'already-enabled');
+  assert.strictEqual(result.previousState.private_vulnerability_reporting, 'enabled');
+  assert.deepStrictEqual(requests.filter(request => request.method === 'PATCH').map(request => request.body), [
+    { security_and_analysis: { secret_scanning: { status: 'enabled' } } },
+    { security_and_analysis: { secret_scanning_push_protection: { status: 'enabled' } } }
+  ]);
+});
+
+test('enableRepositoryFeatures skips features whose prerequisite failed', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['GET /repos/org/repo/vulnerability-alerts'] = { status: 404, body: { message: 'Not Found' } };
+  routes['PUT /repos/org/repo/vulnerability-alerts'] = { status: 403, body: { message: 'Must have admin rights' } };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableDependabotAlerts: true, enableDependabotSecurityUpdates: true }, 'token');
+
+  assert.strictEqual(result.features.dependabot_alerts.status, 'failed');
+  assert.deepStrictEqual(result.features.dependabot_security_updates, { status: 'skipped', reason: 'Dependabot Alerts could not be enabled' });
+  assert.strictEqual(requests.some(request => request.method === 'PUT' && request.url.endsWith('/automated-security-fixes')), false);
+});
+
+test('disableRepositoryFeatures turns off features toggled through their own endpoint', async () => {
+  routes['GET /repos/org/repo'] = { body: {} };
+  routes['GET /repos/org/repo/automated-security-fixes'] = { body: { enabled: true, paused: false } };
+  routes['DELETE /repos/org/repo/automated-security-fixes'] = { status: 204 };
+
+  const result = await helpers.disableRepositoryFeatures('https://ghes.example.com/org/repo', { enableDependabotSecurityUpdates: true }, 'token');
+
+  assert.deepStrictEqual(result.features, { dependabot_security_updates: { status: 'disabled', reason: null, previous: 'enabled' } });
+});
+
+test('parseIssueBody matches feature options exactly and selects the features they build on', () => {
+  const body = [
+    '### Repository URLs', '', 'https://ghes.example.com/org/repo', '',
+    '### GHAS Features to Enable', '', 'Secret Scanning Push Protection, Dependabot Security Updates'
+  ].join('\n');
+
+  const { features } = helpers.parseIssueBody(body);
+
+  assert.strictEqual(features.enablePushProtection, true);
+  assert.strictEqual(features.enableSecretScanning, true);
+  assert.strictEqual(features.enableDependabotSecurityUpdates, true);
+  assert.strictEqual(features.enableDependabotAlerts, true);
+  assert.strictEqual(features.enableValidityChecks, false);
+  assert.deepStrictEqual(helpers.getSelectedFeatures(features).map(feature => feature.key), [
+    'secret_scanning', 'secret_scanning_push_protection', 'dependabot_alerts', 'dependabot_security_updates'
+  ]);
+});
+
+const SECURITY_CONFIGURATIONS_CONFIG = `
+security_configurations:
+  Baseline:
+    description: Baseline settings
+    advanced_security: enabled
+    secret_scanning: true
+    secret_scanning_push_protection: enabled
+    dependabot_alerts: disabled
+`;
+
+test('applySecurityConfiguration attaches an existing configuration to the repositories that do not have it yet', async () => {
+  routes['GET /orgs/org/code-security/configurations?per_page=100'] = { body: [{ id: 17, name: 'baseline' }] };
+  routes['GET /repos/org/a'] = { body: { id: 1, security_and_analysis: {} } };
+  routes['GET /repos/org/b'] = { body: { id: 2, security_and_analysis: {} } };
+  routes['GET /repos/org/b/code-security-configuration'] = { body: { configuration: { name: 'Baseline' } } };
+  routes['POST /orgs/org/code-security/configurations/17/attach'] = { status: 202, body: {} };
+
+  const outcome = await withConfig(SECURITY_CONFIGURATIONS_CONFIG, () => helpers.applySecurityConfiguration(
+    ['https://ghes.example.com/org/a', 'https://ghes.example.com/org/b'], 'Baseline', 'token'
+  ));
+
+  assert.deepStrictEqual(outcome.fallbackRepositories, []);
+  assert.deepStrictEqual(outcome.results.map(result => [result.repository, result.features.security_configuration]), [
+    ['https://ghes.example.com/org/a', { status: 'attached', reason: null, previous: 'none' }],
+    ['https://ghes.example.com/org/b', { status: 'already-attached', reason: null, previous: 'Baseline' }]
+  ]);
+  assert.deepStrictEqual(requests.find(request => request.url.endsWith('/attach')).body, { scope: 'selected', selected_repository_ids: [1] });
+});
+
+test('applySecurityConfiguration creates a configuration defined in config.yaml', async () => {
+  routes['GET /orgs/org/code-security/configurations?per_page=100'] = { body: [] };
+  routes['POST /orgs/org/code-security/configurations'] = request => ({ status: 201, body: { id: 5, ...request.body } });
+  routes['GET /repos/org/a'] = { body: { id: 1 } };
+  routes['POST /orgs/org/code-security/configurations/5/attach'] = { status: 202, body: {} };
+
+  const outcome = await withConfig(SECURITY_CONFIGURATIONS_CONFIG, () => helpers.applySecurityConfiguration(['https://ghes.example.com/org/a'], 'baseline', 'token'));
+
+  assert.strictEqual(outcome.results[0].success, true);
+  assert.deepStrictEqual(requests.find(request => request.method === 'POST').body, {
+    name: 'baseline',
+    description: 'Baseline settings',
+    advanced_security: 'enabled',
+    secret_scanning: 'enabled',
+    secret_scanning_push_protection: 'enabled',
+    dependabot_alerts: 'disabled'
+  });
+
+  const missing = await withConfig('{}', () => helpers.applySecurityConfiguration(['https://ghes.example.com/org/a'], 'Strict', 'token'));
+  assert.strictEqual(missing.results[0].error, 'Security configuration "Strict" does not exist in org and is not defined in config.yaml');
+});
+
+test('applySecurityConfiguration falls back to per-repository features where configurations are not available', async () => {
+  const outcome = await withConfig(SECURITY_CONFIGURATIONS_CONFIG, () => helpers.applySecurityConfiguration(['https://ghes.example.com/org/a'], 'Baseline', 'token'));
+
+  assert.deepStrictEqual(outcome.results, []);
+  assert.deepStrictEqual(outcome.fallbackRepositories, ['https://ghes.example.com/org/a']);
+  assert.strictEqual(outcome.fallbackFeatures.enableSecretScanning, true);
+  assert.strictEqual(outcome.fallbackFeatures.enablePushProtection, true);
+  assert.strictEqual(outcome.fallbackFeatures.enableDependabotAlerts, false);
+});
+
+test('parseIssueBody reads the security configuration to attach', () => {
+  const body = '### Repository URLs\n\nhttps://ghes.example.com/org/a\n\n### Security Configuration (optional)\n\nBaseline';
+
+  assert.strictEqual(helpers.parseIssueBody(body).securityConfiguration, 'Baseline');
+  assert.strictEqual(helpers.parseIssueBody(body.replace('Baseline', '_No response_')).securityConfiguration, null);
+});
+
+test('probeInstanceCapabilities derives the supported features from the GHES version', async () => {
+  routes['GET /meta'] = { body: { installed_version: '3.12.4' } };
+
+  const capabilities = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+
+  assert.strictEqual(capabilities.version, '3.12.4');
+  assert.strictEqual(capabilities.isCloud, false);
+  assert.deepStrictEqual(capabilities.features.secret_scanning_validity_checks, { supported: true, minimumVersion: '3.12' });
+  assert.deepStrictEqual(capabilities.apis, { securityConfigurations: false, codeScanningRunnerType: false });
+});
+
+test('probeInstanceCapabilities blocks nothing on cloud or when the version cannot be read', async () => {
+  routes['GET /meta'] = { body: {} };
+  const cloud = await helpers.probeInstanceCapabilities('tenant.ghe.com', 'token');
+  assert.strictEqual(cloud.isCloud, true);
+  assert.ok(Object.values(cloud.features).every(feature => feature.supported));
+
+  routes['GET /meta'] = { status: 403, body: { message: 'Forbidden' } };
+  const unknown = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+  assert.strictEqual(unknown.version, null);
+  assert.match(unknown.error, /Access denied/);
+  assert.ok(Object.values(unknown.apis).every(Boolean));
+  assert.deepStrictEqual(helpers.getUnsupportedFeatures(unknown, { enableValidityChecks: true }), []);
+});
+
+test('getUnsupportedFeatures lists the selected features and runner type the instance predates', async () => {
+  routes['GET /meta'] = { body: { installed_version: '3.9.2' } };
+  const capabilities = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+  const codeScanning = helpers.resolveCodeScanningOptions({}, { runnerType: 'labeled', runnerLabel: 'codeql' });
+
+  const unsupported = helpers.getUnsupportedFeatures(capabilities, { enableSecretScanning: true, enableValidityChecks: true, enableCodeScanning: true }, { codeScanning });
+
+  assert.deepStrictEqual(unsupported.map(feature => feature.key), ['secret_scanning_validity_checks', 'code_scanning_runner']);
+  assert.strictEqual(unsupported[0].reason, 'Secret Scanning Validity Checks requires GHES 3.12 or later (ghes.example.com runs 3.9.2)');
+});
+
+test('enableRepositoryFeatures does not attempt features the instance does not support', async () => {
+  routes['GET /meta'] = { body: { installed_version: '3.9.2' } };
+  const capabilities = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'enabled' } } } };
+  routes['GET /repos/org/repo/code-scanning/default-setup'] = { body: { state: 'not-configured' } };
+  routes['GET /repos/org/repo/languages'] = { body: { Go: 10 } };
+  routes['PATCH /repos/org/repo/code-scanning/default-setup'] = { body: {} };
+
+  const result = await helpers.enableRepositoryFeatures(
+    'https://ghes.example.com/org/repo',
+    { enableValidityChecks: true, enableCodeScanning: true },
+    'token',
+    { capabilities, codeScanning: helpers.resolveCodeScanningOptions() }
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.features.secret_scanning_validity_checks, { status: 'unsupported', reason: 'Not supported on GHES 3.9.2 (requires GHES 3.12 or later)', previous: 'disabled' });
+  assert.strictEqual(result.features.code_scanning_default_setup.status, 'enabled');
+  assert.deepStrictEqual(requests.find(request => request.method === 'PATCH').body, { state: 'configured', query_suite: 'default' });
+});
+
+test('applySecurityConfiguration goes straight to the fallback on instances that predate configurations', async () => {
+  routes['GET /meta'] = { body: { installed_version: '3.14.0' } };
+  const capabilities = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+
+  const outcome = await withConfig(SECURITY_CONFIGURATIONS_CONFIG, () => helpers.applySecurityConfiguration(['https://ghes.example.com/org/a'], 'Baseline', 'token', capabilities));
+
+  assert.deepStrictEqual(outcome.fallbackRepositories, ['https://ghes.example.com/org/a']);
+  assert.strictEqual(requests.some(request => request.url.includes('code-security')), false);
+});
+
+test('applySecurityConfiguration fails the organization\'s repositories on a 404 from an instance known to support configurations', async () => {
+  routes['GET /meta'] = { body: { installed_version: '3.16.1' } };
+  const capabilities = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+
+  const outcome = await withConfig(SECURITY_CONFIGURATIONS_CONFIG, () => helpers.applySecurityConfiguration(
+    ['https://ghes.example.com/gone/a', 'https://ghes.example.com/gone/b'], 'Baseline', 'token', capabilities
+  ));
+
+  assert.deepStrictEqual(outcome.fallbackRepositories, []);
+  assert.deepStrictEqual(outcome.results.map(result => [result.repository, result.success, result.error]), [
+    ['https://ghes.example.com/gone/a', false, 'Organization gone was not found, or the token cannot read its security configurations'],
+    ['https://ghes.example.com/gone/b', false, 'Organization gone was not found, or the token cannot read its security configurations']
+  ]);
+
+  // Without a readable version the 404 still means the API is missing
+  routes['GET /meta'] = { status: 500, body: {} };
+  const unknown = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+  const fallback = await withConfig(SECURITY_CONFIGURATIONS_CONFIG, () => helpers.applySecurityConfiguration(['https://ghes.example.com/gone/a'], 'Baseline', 'token', unknown));
+  assert.deepStrictEqual(fallback.fallbackRepositories, ['https://ghes.example.com/gone/a']);
+});
+
+const LICENSE_POOLS_CONFIG = {
+  ghec: { name: 'corp', api_url: 'https://api.github.com', auth_var: 'GHEC_TOKEN' },
+  license_pools: { lab: { source: 'ghes', total: 500, min_remaining_licenses: 10 } },
+  ghes_instances: [
+    { name: 'lab-a', api_url: 'https://ghes-a.example.com/api/v3', auth_var: 'TOKEN_A', license_pool: 'lab' },
+    { name: 'lab-b', api_url: 'https://ghes-b.example.com/api/v3', auth_var: 'TOKEN_B', license_pool: 'lab' },
+    { name: 'prod', api_url: 'https://ghes-prod.example.com/api/v3', auth_var: 'TOKEN_PROD' }
+  ]
+};
+
+test('resolveLicensePool finds the pool of a hostname and defaults to the ghec pool', () => {
+  const lab = helpers.resolveLicensePool(LICENSE_POOLS_CONFIG, 'ghes-b.example.com');
+  assert.strictEqual(lab.name, 'lab');
+  assert.strictEqual(lab.source, 'ghes');
+  assert.strictEqual(lab.total, 500);
+  assert.deepStrictEqual(lab.instances.map(instance => instance.hostname), ['ghes-a.example.com', 'ghes-b.example.com']);
+
+  assert.strictEqual(helpers.resolveLicensePool(LICENSE_POOLS_CONFIG, 'ghes-prod.example.com').name, 'ghec');
+  assert.strictEqual(helpers.resolveLicensePool(LICENSE_POOLS_CONFIG, 'unknown.example.com').name, 'ghec');
+  assert.throws(() => helpers.resolveLicensePool({ ghes_instances: [] }, 'ghes.example.com'), /No license pool found for ghes\.example\.com/);
+});
+
+test('checkLicenseAvailability adds up the billing of every instance in a GHES pool and applies its floor', async () => {
+  routes['GET /enterprises/lab-a/settings/billing/advanced-security'] = { body: { total_advanced_security_committers: 120, repositories: [] } };
+  routes['GET /enterprises/lab-b/settings/billing/advanced-security'] = { body: { total_advanced_security_committers: 80, repositories: [] } };
+  const env = { TOKEN_A: 'a', TOKEN_B: 'b', MIN_REMAINING_LICENSES: '5' };
+
+  const result = await withConfig(JSON.stringify(LICENSE_POOLS_CONFIG), () => helpers.checkLicenseAvailability(env, false, [], {}, { hostname: 'ghes-a.example.com' }));
+
+  assert.strictEqual(result.totalLicenses, 500);
+  assert.strictEqual(result.usedLicenses, 200);
+  assert.strictEqual(result.minRemainingLicenses, 10);
+  assert.strictEqual(result.licensePool.name, 'lab');
+  assert.strictEqual(result.licensePool.description, 'GHES billing on ghes-a.example.com and ghes-b.example.com, 500 seats');
+  assert.deepStrictEqual(requests.map(request => request.headers.authorization), ['Bearer a', 'Bearer b']);
+
+  const comment = helpers.createResultsComment({ hostname: 'ghes-a.example.com', repositories: [], dryRun: true, ...result });
+  assert.match(comment, /- License pool: `lab` \(GHES billing on ghes-a\.example\.com and ghes-b\.example\.com, 500 seats\)/);
+  assert.match(comment, /- Minimum required remaining licenses: 10 \(license pool policy\)/);
+});
+
+test('GHES pools take their seats from total instead of the seat count every instance reports', async () => {
+  routes['GET /enterprises/lab-a/settings/billing/advanced-security'] = { body: { purchased_advanced_security_committers: 300, total_advanced_security_committers: 120, repositories: [] } };
+  routes['GET /enterprises/lab-b/settings/billing/advanced-security'] = { body: { purchased_advanced_security_committers: 300, total_advanced_security_committers: 80, repositories: [] } };
+  routes['GET /enterprises/solo/settings/billing/advanced-security'] = { body: { maximum_advanced_security_committers: 40, total_advanced_security_committers: 5, repositories: [] } };
+  const config = {
+    ...LICENSE_POOLS_CONFIG,
+    license_pools: { ...LICENSE_POOLS_CONFIG.license_pools, solo: { source: 'ghes' } },
+    ghes_instances: [
+      ...LICENSE_POOLS_CONFIG.ghes_instances,
+      { name: 'solo', api_url: 'https://ghes-solo.example.com/api/v3', auth_var: 'TOKEN_SOLO', license_pool: 'solo' }
+    ]
+  };
+  const env = { TOKEN_A: 'a', TOKEN_B: 'b', TOKEN_SOLO: 'solo' };
+
+  const shared = await withConfig(JSON.stringify(config), () => helpers.checkLicenseAvailability(env, false, [], {}, { hostname: 'ghes-a.example.com' }));
+  assert.strictEqual(shared.totalLicenses, 500);
+  assert.strictEqual(shared.usedLicenses, 200);
+
+  const solo = await withConfig(JSON.stringify(config), () => helpers.checkLicenseAvailability(env, false, [], {}, { hostname: 'ghes-solo.example.com' }));
+  assert.strictEqual(solo.totalLicenses, 40);
+
+  const untotalled = validateConfigFiles({ 'config.yaml': yaml.dump({ ...LICENSE_POOLS_CONFIG, license_pools: { lab: { source: 'ghes' } } }) });
+  assert.strictEqual(untotalled.valid, false);
+  assert.ok(untotalled.errors.some(error => error.path === 'license_pools.lab.total' &&
+    error.message === 'is required for ghes pools with more than one instance (2 instances use this pool)'));
+});
+
+test('summarizeLicenseProduct counts seats and the committers already holding the product', () => {
+  const summary = helpers.summarizeLicenseProduct({
+    key: 'secret_protection',
+    label: 'Secret Protection',
+    ghasData: {
+      purchased_advanced_security_committers: 50,
+      total_advanced_security_committers: 20,
+      repositories: [{ advanced_security_committers_breakdown: [{ user_login: 'Mona', last_pushed_email: 'Mona@Example.com' }, { last_pushed_email: 'ci@example.com' }] }]
+    }
+  });
+
+  assert.strictEqual(summary.availableLicenses, 30);
+  assert.strictEqual(summary.isUnlimited, false);
+  assert.deepStrictEqual([...summary.currentLogins], ['mona']);
+  assert.deepStrictEqual([...summary.currentEmails], ['mona@example.com', 'ci@example.com']);
+
+  const unlimited = helpers.summarizeLicenseProduct({ key: 'advanced_security', label: 'GitHub Advanced Security', ghasData: { purchased_advanced_security_committers: 0 } });
+  assert.strictEqual(unlimited.isUnlimited, true);
+  assert.strictEqual(unlimited.availableLicenses, Number.MAX_SAFE_INTEGER);
+  assert.deepStrictEqual(unlimited.repositories, []);
+});
+
+test('checkLicenseAvailability checks Secret Protection and Code Security separately when billed per product', async () => {
+  const billingPath = '/enterprises/corp/settings/billing/advanced-security';
+  routes[`GET ${billingPath}`] = { status: 422, body: { message: 'advanced_security_product is required' } };
+  routes[`GET ${billingPath}?advanced_security_product=secret_protection`] = { body: { purchased_advanced_security_committers: 10, total_advanced_security_committers: 10, repositories: [] } };
+  routes[`GET ${billingPath}?advanced_security_product=code_security`] = { body: { purchased_advanced_security_committers: 100, total_advanced_security_committers: 10, repositories: [] } };
+
+  const result = await withConfig(JSON.stringify(LICENSE_POOLS_CONFIG), () => helpers.checkLicenseAvailability(
+    { GHEC_TOKEN: 'token' }, false, [], { enableSecretScanning: true, enableCodeScanning: true }, { hostname: 'github.com' }
+  ));
+
+  assert.strictEqual(result.hasEnoughLicenses, false);
+  assert.deepStrictEqual(result.licenseProducts.map(product => [product.key, product.availableLicenses, product.hasEnoughLicenses]), [
+    ['secret_protection', 0, false],
+    ['code_security', 90, true]
+  ]);
+  assert.strictEqual(result.totalLicenses, 10);
+
+  const comment = helpers.createResultsComment({ hostname: 'github.com', repositories: [], dryRun: true, ...result });
+  assert.match(comment, /\| Secret Protection \| 10 \| 10 \| 0 \| 0 \| ❌ Fail \|/);
+  assert.match(comment, /⚠️ Not enough Secret Protection licenses available/);
+});
+
+test('checkLicenseAvailability reads only Code Security seats for requests without secret scanning features', async () => {
+  const billingPath = '/enterprises/corp/settings/billing/advanced-security';
+  routes[`GET ${billingPath}`] = { status: 422, body: { message: 'advanced_security_product is required' } };
+  routes[`GET ${billingPath}?advanced_security_product=code_security`] = { body: { purchased_advanced_security_committers: 100, total_advanced_security_committers: 10, repositories: [] } };
+
+  const result = await withConfig(JSON.stringify(LICENSE_POOLS_CONFIG), () => helpers.checkLicenseAvailability(
+    { GHEC_TOKEN: 'token' }, false, [], { enableDependabotAlerts: true }, { hostname: 'github.com' }
+  ));
+
+  assert.deepStrictEqual(result.licenseProducts.map(product => product.key), ['code_security']);
+  assert.strictEqual(result.hasEnoughLicenses, true);
+});
+
+// Results comment posted by the workflow, holding only the hidden results marker
+function resultsMarkerComment(marker) {
+  return { user: { login: 'github-actions[bot]', type: 'Bot' }, body: `<!-- ghas-results: ${JSON.stringify(marker)} -->` };
+}
+
+const BUDGETS_CONFIG = `
+budgets:
+  max_repositories_per_request: 20
+  default: 5
+  users:
+    '@Mona': 12
+  teams:
+    org/platform: 15
+`;
+
+test('collectLicenseConsumption counts the largest applied estimate per issue and hostname, less licenses freed', async () => {
+  const issues = [{ number: 1, user: { login: 'Mona' } }, { number: 2, user: { login: 'mona' } }, { number: 3, user: { login: 'lisa' } }];
+  const comments = {
+    1: [
+      resultsMarkerComment({ hostname: 'ghes.example.com', applied: false, estimatedLicensesNeeded: 9 }),
+      resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 4 }),
+      resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 3 }),
+      resultsMarkerComment({ hostname: 'other.example.com', applied: true, estimatedLicensesNeeded: 2 })
+    ],
+    2: [resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, requestType: 'disable', licensesFreed: 1 })],
+    3: [resultsMarkerComment({ hostname: 'ghes.example.com', dryRun: false, estimatedLicensesNeeded: 6 })]
+  };
+
+  const github = mockGithub({ issues, comments });
+  const consumption = await helpers.collectLicenseConsumption(github, 'org', 'requests', { hostname: 'ghes.example.com' });
+
+  assert.deepStrictEqual(consumption, { mona: 3, lisa: 6 });
+  assert.strictEqual(github.calls[0].state, 'all');
+});
+
+test('collectLicenseConsumption ignores results markers from other bots', async () => {
+  const issues = [{ number: 1, user: { login: 'mona' } }];
+  const comments = {
+    1: [
+      resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 2 }),
+      { ...resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 40 }), user: { login: 'other-app[bot]', type: 'Bot' } }
+    ]
+  };
+
+  const consumption = await withConfig('{}', () => helpers.collectLicenseConsumption(mockGithub({ issues, comments }), 'org', 'requests'));
+
+  assert.deepStrictEqual(consumption, { mona: 2 });
+});
+
+test('checkRequestBudget counts earlier applied runs of the request being checked', async () => {
+  const issues = [{ number: 9, user: { login: 'mona' } }];
+  const comments = { 9: [resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 8 })] };
+
+  const budget = await withConfig(BUDGETS_CONFIG, () => helpers.checkRequestBudget(mockGithub({ issues, comments }), 'org', 'requests', {
+    requester: 'mona', hostname: 'ghes.example.com', estimatedLicensesNeeded: 5, repositoryCount: 3
+  }));
+
+  assert.strictEqual(budget.budgets[0].consumed, 8);
+  assert.strictEqual(budget.exceeded, true);
+});
+
+test('checkRequestBudget holds a requester to their own budget and every team budget they belong to', async () => {
+  const issues = [{ number: 1, user: { login: 'mona' } }, { number: 2, user: { login: 'lisa' } }];
+  const comments = {
+    1: [resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 6 })],
+    2: [resultsMarkerComment({ hostname: 'ghes.example.com', applied: true, estimatedLicensesNeeded: 5 })]
+  };
+  const github = mockGithub({ issues, comments, teams: { 'org/platform': ['mona', 'lisa'] } });
+
+  const budget = await withConfig(BUDGETS_CONFIG, () => helpers.checkRequestBudget(github, 'org', 'requests', {
+    requester: 'Mona', hostname: 'ghes.example.com', estimatedLicensesNeeded: 4, repositoryCount: 3
+  }));
+
+  assert.deepStrictEqual(budget.budgets.map(entry => [entry.scope, entry.consumed, entry.remaining, entry.exceeded]), [
+    ['user', 6, 2, false],
+    ['team', 11, 0, false]
+  ]);
+  assert.strictEqual(budget.exceeded, false);
+
+  const over = await withConfig(BUDGETS_CONFIG, () => helpers.checkRequestBudget(github, 'org', 'requests', {
+    requester: 'Mona', hostname: 'ghes.example.com', estimatedLicensesNeeded: 5, repositoryCount: 3
+  }));
+  assert.strictEqual(over.exceeded, true);
+  assert.strictEqual(over.blocked, true);
+
+  const comment = helpers.createResultsComment({ hostname: 'ghes.example.com', repositories: [], hasEnoughLicenses: true, budget: over });
+  assert.match(comment, /\| Team org\/platform \| 15 \| 11 \| 5 \| -1 ❌ \|/);
+  assert.match(comment, /this request was rejected and no changes were made/);
+});
+
+test('checkRequestBudget applies the default budget and the repository limit, flagging instead of rejecting when configured', async () => {
+  const config = BUDGETS_CONFIG.replace('budgets:', 'budgets:\n  action: flag');
+
+  const budget = await withConfig(config, () => helpers.checkRequestBudget(mockGithub(), 'org', 'requests', {
+    requester: 'newcomer', estimatedLicensesNeeded: 2, repositoryCount: 25
+  }));
+
+  assert.deepStrictEqual(budget.budgets.map(entry => [entry.scope, entry.limit, entry.remaining]), [['default', 5, 3]]);
+  assert.strictEqual(budget.repositoriesExceeded, true);
+  assert.strictEqual(budget.exceeded, true);
+  assert.strictEqual(budget.blocked, false);
+
+  const disabled = await withConfig('{}', () => helpers.checkRequestBudget(mockGithub(), 'org', 'requests', { requester: 'mona' }));
+  assert.strictEqual(disabled.enabled, false);
+});
+
+// Writes config files to a temporary directory and validates the first one
+function validateConfigFiles(files, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghas-config-'));
+  try {
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+    return helpers.validateConfig({ env: {}, ...options, path: path.join(dir, Object.keys(files)[0]) });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const VALID_CONFIG = yaml.dump(BASE_CONFIG);
+
+test('validateConfig accepts a valid config.yaml and reports every schema error with its path', () => {
+  assert.strictEqual(validateConfigFiles({ 'config.yaml': VALID_CONFIG }).valid, true);
+
+  const result = validateConfigFiles({
+    'config.yaml': yaml.dump({
+      ghes_instances: [{ name: 'ghes', api_url: 'ghes.example.com', auth_var: 'GHES TOKEN', max_concurency: 4 }],
+      committer_analysis: { lookback_days: 400 },
+      budgets: { action: 'warn', teams: { platform: 5 } }
+    })
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(error => error.path), [
+    'ghes_instances[0].api_url',
+    'ghes_instances[0].auth_var',
+    'ghes_instances[0].max_concurency',
+    'committer_analysis.lookback_days',
+    'budgets.action',
+    'budgets.teams.platform',
+    'ghes_instances[0].license_pool'
+  ]);
+  assert.strictEqual(result.errors[0].message, 'must be an http(s) URL, got "ghes.example.com"');
+  assert.match(result.errors[2].message, /^is not a known setting \(expected one of name, api_url, auth_var/);
+  assert.strictEqual(result.errors[3].message, 'must be at most 365, got 400');
+});
+
+test('validateConfig checks references between sections and, on request, the auth_var tokens', () => {
+  const config = {
+    ...BASE_CONFIG,
+    ghes_instances: [
+      { name: 'ghes', api_url: 'https://ghes.example.com/api/v3', auth_var: 'GHES_TOKEN', license_pool: 'lab' },
+      { name: 'GHES', api_url: 'https://ghes.example.com', auth_var: 'OTHER_TOKEN' }
+    ]
+  };
+
+  const result = validateConfigFiles({ 'config.yaml': yaml.dump(config) }, { checkAuthVars: true, env: { GHES_TOKEN: 'token' } });
+
+  assert.deepStrictEqual(result.errors.map(error => `${error.path}: ${error.message}`), [
+    'ghes_instances[0].license_pool: refers to license pool "lab", which is not defined in license_pools',
+    'ghes_instances[1].name: "GHES" is already used by ghes_instances[0]; instance names must be unique',
+    'ghes_instances[1].api_url: ghes.example.com is already configured by ghes_instances[0]',
+    'ghes_instances[1].api_url: must be the REST API URL of the instance, e.g. https://ghes.example.com/api/v3',
+    'ghes_instances[1].auth_var: OTHER_TOKEN is not set; add it as a secret and pass it to the workflow',
+    'ghec.auth_var: GHEC_TOKEN is not set; add it as a secret and pass it to the workflow'
+  ]);
+});
+
+test('validateConfig resolves ${VAR} placeholders from the environment and GHAS_CONFIG_VARS', () => {
+  const config = VALID_CONFIG + [
+    'committer_analysis:',
+    '  lookback_days: ${LOOKBACK_DAYS}',
+    '  exclude_bots: ${EXCLUDE_BOTS:-true}',
+    '  branch_scope: release/${RELEASE}',
+    'approval:',
+    '  label: ${APPROVAL_LABEL}'
+  ].join('\n');
+
+  const result = validateConfigFiles({ 'config.yaml': config }, {
+    env: { LOOKBACK_DAYS: '30', GHAS_CONFIG_VARS: JSON.stringify({ RELEASE: '2024.1', LOOKBACK_DAYS: '60' }) }
+  });
+
+  assert.deepStrictEqual(result.config.committer_analysis, { lookback_days: 30, exclude_bots: true, branch_scope: 'release/2024.1' });
+  assert.deepStrictEqual(result.errors, [{ path: 'approval.label', message: 'refers to ${APPROVAL_LABEL}, which is not set' }]);
+});
+
+test('validateConfig merges the environment overlay over config.yaml', () => {
+  const overlay = yaml.dump({
+    ghes_instances: [{ name: 'staging', api_url: 'https://staging.example.com/api/v3', auth_var: 'STAGING_TOKEN' }],
+    ghec: { name: 'corp-staging' },
+    approval: null
+  });
+
+  const result = validateConfigFiles({
+    'config.yaml': VALID_CONFIG + 'approval:\n  required: true\n',
+    'config.staging.yaml': overlay
+  }, { environment: 'staging' });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.environment, 'staging');
+  assert.deepStrictEqual(result.config.ghes_instances.map(instance => instance.name), ['staging']);
+  assert.deepStrictEqual(result.config.ghec, { ...BASE_CONFIG.ghec, name: 'corp-staging' });
+  assert.strictEqual(result.config.approval, undefined);
+
+  const missing = validateConfigFiles({ 'config.yaml': VALID_CONFIG }, { environment: 'prod' });
+  assert.strictEqual(missing.valid, false);
+  assert.match(missing.errors[0].message, /config\.prod\.yaml does not exist$/);
+});
+
+test('loadConfig throws with every error listed and formatConfigErrors explains them on the issue', async () => {
+  let error;
+  await withConfig('budgets:\n  action: warn\n', () => {
+    assert.throws(() => helpers.loadConfig(), thrown => {
+      error = thrown;
+      return true;
+    });
+  });
+  assert.match(error.message, /^Invalid configuration \(config\.yaml\):\n {2}- budgets\.action: must be one of reject, flag, got "warn"$/);
+  assert.strictEqual(error.configErrors.length, 1);
+
+  const comment = helpers.formatConfigErrors({ files: ['config.yaml', 'config.prod.yaml'], errors: error.configErrors });
+  assert.match(comment, /`config\.yaml` with the overlay `config\.prod\.yaml` has 1 error:/);
+  assert.match(comment, /- `budgets\.action`: must be one of reject, flag, got "warn"/);
+});
+
+// Issue form body as GitHub renders it, one "### Label" section per field
+function issueFormBody(fields) {
+  return Object.entries(fields).map(([label, value]) => `### ${label}\n\n${value}`).join('\n\n');
+}
+
+test('parseIssueBody reads fields by the labels of the issue form template and its legacy headings', () => {
+  const parsed = helpers.parseIssueBody(issueFormBody({
+    'Request Type': 'Enable GHAS',
+    'Repository or Organization URLs': 'https://ghes.example.com/org/repo\nhttps://github.com/corp',
+    'GHAS Features': 'Secret Scanning',
+    'Minimum Remaining Licenses (optional)': '_No response_',
+    'Dry Run Mode': 'Yes'
+  }), { config: BASE_CONFIG });
+
+  assert.deepStrictEqual(parsed.repositories, ['https://ghes.example.com/org/repo', 'https://github.com/corp']);
+  assert.strictEqual(parsed.features.enableSecretScanning, true);
+  assert.strictEqual(parsed.minRemainingLicenses, 1);
+  assert.strictEqual(parsed.dryRun, true);
+  assert.deepStrictEqual(parsed.validationErrors, []);
+
+  const legacy = helpers.parseIssueBody(issueFormBody({
+    'Request Type': 'Enable GHAS',
+    'Repository URLs': 'https://ghes.example.com/org/repo',
+    'GHAS Features to Enable': 'Secret Scanning'
+  }), { config: BASE_CONFIG });
+  assert.deepStrictEqual(legacy.repositories, ['https://ghes.example.com/org/repo']);
+  assert.strictEqual(legacy.features.enableSecretScanning, true);
+});
+
+test('parseIssueBody reports every invalid field instead of falling back to defaults', () => {
+  const parsed = helpers.parseIssueBody(issueFormBody({
+    'Request Type': 'Enable GHAS',
+    'Repository or Organization URLs': [
+      'ghes.example.com/org/repo',
+      'https://other.example.com/org/repo',
+      'https://ghes.example.com/org/repo/',
+      'https://ghes.example.com/org/repo',
+      'https://ghes.example.com/org/a*b/repo'
+    ].join('\n'),
+    'GHAS Features': 'Advanced Security (Disable GHAS only), Secret Scanning',
+    'Repository Filters (optional)': 'exclude_archived: maybe\nvisibility: secret\ncolour: blue',
+    'Code Scanning Languages (optional)': 'python, cobol',
+    'Code Scanning Runner (optional)': 'Labeled (self-hosted runners with the label below)',
+    'Minimum Remaining Licenses (optional)': '0',
+    'Committer Lookback Days (optional)': '400',
+    'Dry Run Mode': 'Maybe'
+  }), { config: BASE_CONFIG });
+
+  const messages = parsed.validationErrors.map(error => `${error.field}: ${error.message}`);
+  assert.deepStrictEqual(messages, [
+    'dry_run: "Maybe" is not one of the options (No, Yes)',
+    'repositories: `ghes.example.com/org/repo` is not a URL; use the full address, e.g. https://github.example.com/org-name/repo-name',
+    'repositories: `https://other.example.com/org/repo` is on other.example.com, which is not configured in config.yaml (ghes.example.com, github.com)',
+    'repositories: `https://ghes.example.com/org/repo` is listed more than once',
+    'repositories: `https://ghes.example.com/org/a*b/repo` is not a valid target; globs are only supported in the organization or repository name',
+    'ghas_features: Advanced Security can only be selected for Disable GHAS requests; it is always enabled with the other features',
+    'min_remaining_licenses: must be a whole number 1 or more, got "0"',
+    'repository_filters: `exclude_archived` must be true or false, got "maybe"',
+    'repository_filters: `visibility` must list public, private or internal, got "secret"',
+    'repository_filters: `colour: blue` is not a known filter (use one of exclude_archived, exclude_forks, exclude_empty, exclude_templates, exclude_disabled, include_names, exclude_names, include_topics, exclude_topics, visibility, pushed_after)',
+    'lookback_days: must be a whole number between 1 and 365, got "400"',
+    'code_scanning_languages: "cobol" is not supported by default setup (use c-cpp, csharp, go, java-kotlin, javascript-typescript, python, ruby, swift)',
+    'code_scanning_runner_label: is required for the Labeled runner type'
+  ]);
+  assert.strictEqual(parsed.validationErrors[0].label, 'Dry Run Mode');
+
+  const empty = helpers.parseIssueBody(issueFormBody({ 'Request Type': 'Enable GHAS' }), { config: BASE_CONFIG });
+  assert.deepStrictEqual(empty.validationErrors.map(error => error.field), ['repositories', 'ghas_features']);
+});
+
+test('parseIssueBody accepts enterprise, organization glob and repository glob targets', () => {
+  const urls = [
+    'https://ghes.example.com',
+    'https://ghes.example.com/team-*',
+    'https://ghes.example.com/org/svc-*',
+    'https://ghes.example.com/org/svc-?'
+  ];
+  const parsed = helpers.parseIssueBody(issueFormBody({
+    'Request Type': 'Enable GHAS',
+    'Repository or Organization URLs': urls.join('\n'),
+    'GHAS Features': 'Secret Scanning'
+  }), { config: BASE_CONFIG });
+
+  assert.deepStrictEqual(parsed.repositories, urls);
+  assert.deepStrictEqual(parsed.validationErrors, []);
+});
+
+test('parseIssueBody rejects target URLs with characters outside GitHub\'s name charset', () => {
+  const urls = [
+    "https://ghes.example.com/org/re'po",
+    'https://ghes.example.com/org/repo$(id)',
+    'https://ghes.example.com/org/repo/tree/ma"in',
+    'https://ghes.example.com/my-org/repo_1.js',
+    'https://ghes.example.com/org/svc-*'
+  ];
+  const parsed = helpers.parseIssueBody(issueFormBody({
+    'Request Type': 'Enable GHAS',
+    'Repository or Organization URLs': urls.join('\n'),
+    'GHAS Features': 'Secret Scanning'
+  }), { config: BASE_CONFIG });
+
+  const rejected = parsed.validationErrors.filter(error => /contains characters that are not allowed/.test(error.message));
+  assert.deepStrictEqual(rejected.map(error => error.message.split('`')[1]), urls.slice(0, 3));
+  assert.strictEqual(parsed.validationErrors.length, 3);
+});
+
+test('reportIssueValidation comments and labels invalid requests, and removes the label once they pass', async () => {
+  const github = mockGithub();
+  const validationErrors = [
+    { field: 'repositories', label: 'Repository or Organization URLs', message: '`a` is not a URL' },
+    { field: 'repositories', label: 'Repository or Organization URLs', message: '`b` is not a URL' },
+    { field: 'lookback_days', label: 'Committer Lookback Days (optional)', message: 'must be a whole number' }
+  ];
+
+  assert.strictEqual(await helpers.reportIssueValidation(github, 'org', 'requests', { number: 7, labels: [] }, validationErrors), false);
+
+  const comment = github.calls[0].createComment.body;
+  assert.match(comment, /the issue form has 3 problems:/);
+  assert.match(comment, /\*\*Repository or Organization URLs\*\*\n- `a` is not a URL\n- `b` is not a URL\n\n\*\*Committer Lookback Days \(optional\)\*\*\n- must be a whole number/);
+  assert.deepStrictEqual(github.calls[1].addLabels.labels, ['needs-info']);
+
+  const fixed = mockGithub();
+  assert.strictEqual(await helpers.reportIssueValidation(fixed, 'org', 'requests', { number: 7, labels: [{ name: 'needs-info' }] }, []), true);
+  assert.deepStrictEqual(fixed.calls, [{ removeLabel: { owner: 'org', repo: 'requests', issue_number: 7, name: 'needs-info' } }]);
+});
+
+test('validateRepository predicts each feature without changing the repository', async () => {
+  routes['GET /repos/org/repo'] = {
+    body: {
+      visibility: 'private',
+      permissions: { admin: true },
+      security_and_analysis: { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'enabled' } }
+    }
+  };
+  routes['GET /repos/org/repo/code-scanning/default-setup'] = { body: { state: 'not-configured' } };
+  routes['GET /repos/org/repo/languages'] = { body: { Python: 1000 } };
+
+  const result = await helpers.validateRepository('https://ghes.example.com/org/repo', {
+    enableSecretScanning: true, enableCodeScanning: true, enableDependabotAlerts: true
+  }, 'token');
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.admin, true);
+  assert.deepStrictEqual(result.features.advanced_security, { status: 'already-enabled', reason: null, current: 'enabled' });
+  assert.deepStrictEqual(result.features.secret_scanning, { status: 'already-enabled', reason: null, current: 'enabled' });
+  assert.deepStrictEqual(result.features.code_scanning_default_setup, { status: 'will-enable', reason: null, current: 'not-configured' });
+  assert.deepStrictEqual(result.features.dependabot_alerts, { status: 'will-enable', reason: null, current: 'disabled' });
+  assert.ok(requests.every(request => request.method === 'GET'));
+});
+
+test('validateRepository reports features blocked by policy and repositories that cannot be changed', async () => {
+  routes['GET /repos/org/private'] = { body: { visibility: 'private', security_and_analysis: {} } };
+  routes['GET /repos/org/archived'] = { body: { archived: true } };
+  routes['GET /repos/org/readonly'] = { body: { permissions: { admin: false } } };
+
+  const blocked = await helpers.validateRepository('https://ghes.example.com/org/private', { enablePushProtection: true }, 'token');
+  assert.strictEqual(blocked.valid, true);
+  assert.strictEqual(blocked.features.advanced_security.status, 'cannot-enable');
+  assert.match(blocked.features.advanced_security.reason, /blocked by organization or enterprise policy/);
+  assert.strictEqual(blocked.features.secret_scanning.status, 'cannot-enable');
+  assert.strictEqual(blocked.features.secret_scanning_push_protection.status, 'cannot-enable');
+
+  const archived = await helpers.validateRepository('https://ghes.example.com/org/archived', { enableSecretScanning: true }, 'token');
+  assert.strictEqual(archived.valid, false);
+  assert.match(archived.error, /archived/);
+
+  const readonly = await helpers.validateRepository('https://ghes.example.com/org/readonly', { enableSecretScanning: true }, 'token');
+  assert.strictEqual(readonly.valid, false);
+  assert.match(readonly.error, /admin access/);
+
+  const missing = await helpers.validateRepository('https://ghes.example.com/org/missing', { enableSecretScanning: true }, 'token');
+  assert.strictEqual(missing.valid, false);
+  assert.match(missing.error, /Repository not found/);
+});
+
+test('validateRepository predicts disable requests and unsupported features', async () => {
+  routes['GET /repos/org/repo'] = { body: { security_and_analysis: { advanced_security: { status: 'enabled' } } } };
+  routes['GET /repos/org/repo/vulnerability-alerts'] = { status: 204 };
+
+  const disable = await helpers.validateRepository('https://ghes.example.com/org/repo', {
+    enableSecretScanning: true, enableDependabotAlerts: true, disableAdvancedSecurity: true
+  }, 'token', { requestType: 'disable' });
+  assert.strictEqual(disable.features.advanced_security.status, 'will-disable');
+  assert.strictEqual(disable.features.secret_scanning.status, 'already-disabled');
+  assert.strictEqual(disable.features.dependabot_alerts.status, 'will-disable');
+
+  routes['GET /meta'] = { body: { installed_version: '3.9.2' } };
+  const capabilities = await helpers.probeInstanceCapabilities('ghes.example.com', 'token');
+  const old = await helpers.validateRepository('https://ghes.example.com/org/repo', { enableValidityChecks: true }, 'token', { capabilities });
+  assert.strictEqual(old.features.secret_scanning_validity_checks.status, 'unsupported');
+  assert.match(old.features.secret_scanning_validity_checks.reason, /requires GHES 3\.12 or later/);
+});
+
+test('createResultsComment shows the pre-flight check of a dry run as a table', () => {
+  const comment = helpers.createResultsComment({
+    hostname: 'ghes.example.com',
+    repositories: ['https://ghes.example.com/org/a', 'https://ghes.example.com/org/b'],
+    enableSecretScanning: true,
+    hasEnoughLicenses: true,
+    dryRun: true,
+    preflightResults: [
+      { repository: 'https://ghes.example.com/org/a', features: { advanced_security: { status: 'already-enabled' }, secret_scanning: { status: 'will-enable' } } },
+      { repository: 'https://ghes.example.com/org/b', features: { advanced_security: { status: 'cannot-enable', reason: 'no license | policy' } } }
+    ]
+  });
+
+  assert.match(comment, /### 🔎 Pre-flight Check \(No Changes Applied\)/);
+  assert.match(comment, /\| Repository \| Advanced Security \| Secret Scanning \|/);
+  assert.match(comment, /\| https:\/\/ghes\.example\.com\/org\/a \| ☑️ Already enabled \| ✅ Will enable \|/);
+  assert.match(comment, /\| https:\/\/ghes\.example\.com\/org\/b \| ❌ Cannot enable: no license \\\| policy \| ➖ \|/);
+});
+
+test('computeChangePlan compares the captured state with the requested features', () => {
+  const requested = [
+    { key: 'advanced_security', label: 'Advanced Security' },
+    { key: 'secret_scanning', label: 'Secret Scanning' },
+    { key: 'secret_scanning_push_protection', label: 'Push Protection', requires: 'secret_scanning' },
+    { key: 'dependabot_alerts', label: 'Dependabot Alerts' }
+  ];
+  const snapshot = {
+    security_and_analysis: { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'enabled' } },
+    dependabot_alerts: null
+  };
+
+  const plan = helpers.computeChangePlan(requested, snapshot, { visibility: 'private' });
+  assert.deepStrictEqual(plan.map(entry => [entry.key, entry.current, entry.action]), [
+    ['advanced_security', 'enabled', 'unchanged'],
+    ['secret_scanning', 'enabled', 'unchanged'],
+    ['secret_scanning_push_protection', 'disabled', 'add'],
+    ['dependabot_alerts', null, 'add']
+  ]);
+
+  const blocked = helpers.computeChangePlan(requested, { security_and_analysis: {} }, { visibility: 'internal' });
+  assert.deepStrictEqual(blocked.map(entry => entry.action), ['blocked', 'blocked', 'blocked', 'add']);
+  assert.match(blocked[0].reason, /blocked by organization or enterprise policy/);
+
+  const disable = helpers.computeChangePlan(requested.slice().reverse(), snapshot, { requestType: 'disable' });
+  assert.deepStrictEqual(disable.map(entry => [entry.key, entry.desired, entry.action]), [
+    ['dependabot_alerts', 'disabled', 'remove'],
+    ['secret_scanning_push_protection', 'disabled', 'unchanged'],
+    ['secret_scanning', 'disabled', 'remove'],
+    ['advanced_security', 'disabled', 'remove']
+  ]);
+});
+
+test('enableRepositoryFeatures only sends the features its change plan adds', async () => {
+  routes['GET /repos/org/repo'] = {
+    body: { visibility: 'private', security_and_analysis: { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'enabled' } } }
+  };
+  routes['PATCH /repos/org/repo'] = { body: {} };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enablePushProtection: true }, 'token');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.plan.map(entry => [entry.key, entry.action]), [
+    ['advanced_security', 'unchanged'],
+    ['secret_scanning', 'unchanged'],
+    ['secret_scanning_push_protection', 'add']
+  ]);
+  assert.deepStrictEqual(requests.filter(request => request.method === 'PATCH').map(request => request.body), [
+    { security_and_analysis: { secret_scanning_push_protection: { status: 'enabled' } } }
+  ]);
+});
+
+test('enableRepositoryFeatures lets the API answer for private repositories the dry run predicts as blocked', async () => {
+  routes['GET /repos/org/repo'] = { body: { visibility: 'private', security_and_analysis: {} } };
+  routes['PATCH /repos/org/repo'] = { status: 403, body: { message: 'Advanced Security is disabled by policy' } };
+
+  const result = await helpers.enableRepositoryFeatures('https://ghes.example.com/org/repo', { enableSecretScanning: true }, 'token');
+
+  assert.deepStrictEqual(result.plan.map(entry => entry.action), ['add', 'add']);
+  assert.strictEqual(result.features.advanced_security.status, 'failed');
+  assert.match(result.features.advanced_security.reason, /Access denied/);
+  assert.strictEqual(requests.filter(request => request.method === 'PATCH').length, 1);
+
+  const predicted = await helpers.validateRepository('https://ghes.example.com/org/repo', { enableSecretScanning: true }, 'token');
+  assert.strictEqual(predicted.features.advanced_security.status, 'cannot-enable');
+});
+
+test('createResultsComment counts the change plan per feature for dry runs and real runs', () => {
+  const params = {
+    hostname: 'ghes.example.com',
+    repositories: ['https://ghes.example.com/org/a', 'https://ghes.example.com/org/b'],
+    enableSecretScanning: true,
+    hasEnoughLicenses: true
+  };
+
+  const planned = helpers.createResultsComment({
+    ...params,
+    dryRun: true,
+    preflightResults: [
+      { repository: 'https://ghes.example.com/org/a', features: { advanced_security: { status: 'already-enabled' }, secret_scanning: { status: 'will-enable' } } },
+      { repository: 'https://ghes.example.com/org/b', features: { advanced_security: { status: 'cannot-enable', reason: 'policy' }, secret_scanning: { status: 'cannot-enable', reason: 'policy' } } }
+    ]
+  });
+  assert.match(planned, /### 📋 Change Plan\n\*\*Plan:\*\* 1 to enable, 1 unchanged, 2 cannot be enabled\n/);
+  assert.match(planned, /\| Feature \| To enable \| Unchanged \| Cannot enable \|\n\|---\|---\|---\|---\|\n\| Advanced Security \| 0 \| 1 \| 1 \|\n\| Secret Scanning \| 1 \| 0 \| 1 \|/);
+
+  const applied = helpers.createResultsComment({
+    ...params,
+    dryRun: false,
+    enablementResults: [
+      { repository: 'https://ghes.example.com/org/a', success: true, error: null, features: { advanced_security: { status: 'already-enabled' }, secret_scanning: { status: 'enabled' } } },
+      { repository: 'https://ghes.example.com/org/b', success: false, error: 'Repository not found', features: {} }
+    ]
+  });
+  assert.match(applied, /\*\*Applied:\*\* 1 enabled, 1 unchanged, 0 failed\n/);
+});
+
+test('buildRunReport lists one row per repository and feature with committers and invalid repositories', () => {
+  const report = helpers.buildRunReport({
+    hostname: 'ghes.example.com',
+    instanceName: 'ghes',
+    dryRun: false,
+    newCommitters: 4,
+    committersByRepository: { 'https://ghes.example.com/Org/A': 3 },
+    enablementResults: [
+      {
+        repository: 'https://ghes.example.com/org/a',
+        features: { advanced_security: { status: 'enabled', reason: null }, secret_scanning: { status: 'enabled', reason: null } },
+        rollback: { features: { secret_scanning: { status: 'restored' } } }
+      },
+      { repository: 'https://ghes.example.com/org/gone', error: 'Repository not found', features: {} }
+    ],
+    invalidRepositories: [{ url: 'https://ghes.example.com/org/bad', error: 'Not accessible' }]
+  }, { issueNumber: 7, runUrl: 'https://github.com/org/requests/actions/runs/1' });
+
+  assert.strictEqual(report.issueNumber, 7);
+  assert.strictEqual(report.requestType, 'enable');
+  assert.deepStrictEqual(report.rows.map(row => [row.repository, row.feature, row.outcome, row.category, row.committers]), [
+    ['https://ghes.example.com/org/a', 'advanced_security', 'enabled', 'changed', 3],
+    ['https://ghes.example.com/org/a', 'secret_scanning', 'rolled-back', 'failed', 3],
+    ['https://ghes.example.com/org/gone', null, 'invalid', 'invalid', null],
+    ['https://ghes.example.com/org/bad', null, 'invalid', 'invalid', null]
+  ]);
+  assert.strictEqual(report.rows[0].instance, 'ghes');
+  assert.deepStrictEqual(report.summary, {
+    repositories: 3, changed: 1, unchanged: 0, failed: 1, unsupported: 0, invalid: 2,
+    newCommitters: 4, estimatedLicensesNeeded: 0, licensesFreed: 0
+  });
+});
+
+test('writeRunReport writes the JSON, CSV and SARIF reports', async () => {
+  const report = helpers.buildRunReport({
+    hostname: 'ghes.example.com',
+    requestType: 'disable',
+    dryRun: true,
+    licensesFreedByRepository: [{ repository: 'org/a', committers: 5, licensesFreed: 2 }],
+    preflightResults: [{
+      repository: 'https://ghes.example.com/org/a',
+      features: {
+        secret_scanning: { status: 'will-disable', reason: null },
+        dependabot_alerts: { status: 'cannot-disable', reason: 'Access denied, "admin" required' }
+      }
+    }]
+  }, { issueNumber: 7 });
+
+  await withConfig('{}', dir => {
+    const files = helpers.writeRunReport(report, path.join(dir, 'reports'));
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(files.json, 'utf8')).rows, report.rows);
+    assert.strictEqual(fs.readFileSync(files.csv, 'utf8'), [
+      'repository,hostname,instance,feature,outcome,category,error,committers,licenses_freed',
+      'https://ghes.example.com/org/a,ghes.example.com,,secret_scanning,will-disable,changed,,5,2',
+      'https://ghes.example.com/org/a,ghes.example.com,,dependabot_alerts,cannot-disable,failed,"Access denied, ""admin"" required",5,2',
+      ''
+    ].join('\n'));
+
+    const sarif = JSON.parse(fs.readFileSync(files.sarif, 'utf8'));
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(sarif.runs[0].automationDetails.id, 'ghas-enablement/7/ghes.example.com/');
+    assert.deepStrictEqual(sarif.runs[0].tool.driver.rules.map(rule => rule.id), ['cannot-disable']);
+    assert.deepStrictEqual(sarif.runs[0].results.map(result => [result.ruleId, result.level, result.message.text]), [
+      ['cannot-disable', 'warning', 'dependabot_alerts: Access denied, "admin" required']
+    ]);
+    assert.strictEqual(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, 'https://ghes.example.com/org/a');
+  });
+});
+
+test('createResultsComment links the uploaded reports', () => {
+  const comment = helpers.createResultsComment({
+    hostname: 'ghes.example.com',
+    repositories: ['https://ghes.example.com/org/a'],
+    enableSecretScanning: true,
+    hasEnoughLicenses: true,
+    dryRun: true,
+    report: { artifact: 'ghas-report-7-ghes', url: 'https://github.com/org/requests/actions/runs/1/artifacts/2', rows: 4 }
+  });
+
+  assert.match(comment, /\*\*📎 Reports:\*\* JSON, CSV and SARIF reports of this run \(4 rows, one per repository and feature\) are in \[`ghas-report-7-ghes`\]\(https:\/\/github\.com\/org\/requests\/actions\/runs\/1\/artifacts\/2\)/);
+});